@@ -6,139 +6,557 @@
 const Analyzer = (function () {
   'use strict';
 
+  // Bump when the analysis logic changes in ways the pattern lists don't capture
+  const ANALYZER_VERSION = '1.13.4';
+
+  // Default weight of each tier; list entries can override it with { phrase, weight }
+  const TIER_WEIGHTS = {
+    strongPositive: 3,
+    moderatePositive: 1,
+    restriction: -4,
+    strongNegative: -3,
+    moderateNegative: -1
+  };
+
+  // Phrase templates are written in PhraseGrammar syntax: {slot} parts come from PhraseGrammar.LEXICON,
+  // (a|b) are alternatives and ? marks an optional part. Entries can override the tier weight with
+  // { phrase, weight }. Entries marked { phrase, us: true } only apply to U.S. jobs; jobs in other
+  // countries use the rest plus their CountryPacks rules.
+
   // Strong Positive Indicators (explicit sponsorship mention) - Weight: +3
-  const STRONG_POSITIVE_PATTERNS = [
-    /\bH1B\s+sponsorship\b/i,
-    /\bH1B\s+visa\s+sponsorship\b/i,
-    /\bH-1B\s+sponsorship\b/i,
-    /\bvisa\s+sponsorship\b/i,
-    /\bwork\s+visa\s+sponsorship\b/i,
-    /\bemployment\s+visa\s+sponsorship\b/i,
-    /\bsponsor\s+H1B\b/i,
-    /\bsponsor\s+visa\b/i,
-    /\bprovide\s+sponsorship\b/i,
-    /\bsponsorship\s+available\b/i,
-    /\bsponsorship\s+provided\b/i,
-    /\boffers\s+sponsorship\b/i,
-    /\bwilling\s+to\s+sponsor\b/i,
-    /\bwill\s+sponsor\b/i,
-    /\bcan\s+sponsor\b/i,
-    /\bsponsor\s+for\s+international\s+candidates\b/i,
-    /\binternational\s+sponsorship\b/i,
-    /\bwork\s+authorization\s+sponsorship\b/i,
-    /\bemployment\s+authorization\s+sponsorship\b/i,
-    /\bTN\s+visa\b/i,
-    /\bE-3\s+visa\b/i,
-    /\bO-1\s+visa\b/i,
-    /\bL-1\s+visa\b/i,
-    /\bJ-1\s+visa\b/i,
-    /\bOPT\s+to\s+H1B\b/i,
-    /\bpleased\s+to\s+offer\s+visa\s+sponsorship\b/i,  // "pleased to offer visa sponsorship"
-    /\bpleased\s+to\s+offer\s+sponsorship\b/i,
-    /\boffer\s+visa\s+sponsorship\b/i,
-    /\boffer\s+sponsorship\b/i
+  const STRONG_POSITIVE_PHRASES = [
+    { phrase: 'visa (sponsorship|sponsorships)', weight: 2 },  // bare mention, often in boilerplate
+    '(work|employment) visa sponsorship',
+    { phrase: '{visa_name} (visa|visas)? sponsorship', us: true },  // "H-1B sponsorship", "H1B visa sponsorship"
+    '(work|employment) authorization sponsorship',
+    'international sponsorship',
+    '{subject}? {positive_ability}? {sponsor_verb} {visa_object}',  // "we sponsor H-1B visas", "sponsor H1B"
+    '{subject}? {positive_ability} sponsor',  // "we will sponsor", "willing to sponsor", "can sponsor"
+    '{subject}? {positive_ability}? {provide_verb} {sponsorship_noun}',  // "pleased to offer visa sponsorship"
+    '{sponsorship_noun} {be}? {adverb}? (available|provided|offered|supported|possible)',
+    '(sponsor|sponsorship) for (international|foreign) (candidates|applicants)',
+    // Visa names alone only hint at sponsorship; the per-visa breakdown says which ones
+    { phrase: '(tn|e-3|o-1|l-1|j-1) (visa|visas)', weight: 2, us: true },
+    { phrase: 'opt to h-1b', us: true }
   ];
 
   // Moderate Positive Indicators (implies openness) - Weight: +1
-  const MODERATE_POSITIVE_PATTERNS = [
-    /\bopen\s+to\s+international\s+candidates\b/i,
-    /\binternational\s+applicants\s+welcome\b/i,
-    /\bglobal\s+talent\b/i,
-    /\bdiverse\s+candidates\b/i,
-    /\binternational\s+experience\s+preferred\b/i,
-    /\brelocation\s+assistance\b/i,
-    /\bimmigration\s+support\b/i
+  const MODERATE_POSITIVE_PHRASES = [
+    'open to (international|foreign) (candidates|applicants)',
+    '(international|foreign) (candidates|applicants) {be}? welcome',
+    { phrase: 'global talent', weight: 0.5 },
+    { phrase: 'diverse candidates', weight: 0.5 },
+    'international experience preferred',
+    'relocation (assistance|support|package)',
+    { phrase: 'immigration (support|assistance)', weight: 2 }
   ];
 
   // Strong Negative Indicators (explicit exclusion) - Weight: -3
-  const STRONG_NEGATIVE_PATTERNS = [
-    /\bU\.?S\.?\s+citizens?\s+only\b/i,  // "US citizens only" or "U.S. citizens only"
-    /\bU\.?S\.?\s+citizenship\s+required\b/i,  // "US citizenship required" or "U.S. citizenship required"
-    /\bmust\s+be\s+(a\s+)?U\.?S\.?\s+citizen\b/i,  // "must be US citizen" or "must be a U.S. citizen"
-    /\bmust\s+be\s+(a\s+)?United\s+States\s+citizen\b/i,  // "must be a United States citizen"
-    /\bU\.?S\.?\s+citizenship\s+only\b/i,
-    /\bno\s+sponsorship\b/i,
-    /\bdoes\s+not\s+sponsor\b/i,
-    /\bcannot\s+sponsor\b/i,
-    /\bcan't\s+sponsor\b/i,
-    /\bunable\s+to\s+sponsor\b/i,  // "unable to sponsor"
-    /\bunable\s+to\s+sponsor.*work\s+visas?\b/i,  // "unable to sponsor...work visas"
-    /\bnot\s+sponsoring\b/i,
-    /\bsponsorship\s+not\s+available\b/i,
-    /\bno\s+visa\s+sponsorship\b/i,
-    /\bmust\s+have\s+work\s+authorization\b/i,
+  // Legal restrictions to U.S. persons live in RESTRICTION_PHRASES instead
+  const STRONG_NEGATIVE_PHRASES = [
+    'no {sponsorship_noun}',
+    '{subject}? {negated_ability} {sponsor_verb} {visa_object}?',  // "we are unable to sponsor", "not able to sponsor at this time"
+    '{subject}? {negated_ability} {provide_verb} {sponsorship_noun}',  // "we do not provide visa sponsorship"
+    '{sponsorship_noun} {be}? {adverb}? not {adverb}? (available|provided|offered|supported|possible|an option)',
+    '{sponsorship_noun} (will|can|could|would) not be (available|provided|offered|supported|possible)',
+    // "sponsorship is not something we can offer"
+    '{sponsorship_noun} {be} not something {subject}? {positive_ability}? ({provide_verb}|do)',
+    '{sponsorship_noun} {be}? unavailable',
+    '(not eligible|ineligible) for {sponsorship_noun}',
+    // "will not now or in the future require sponsorship"
+    '(will|do|does|must|should|would) not {time_qualifier}? {require_verb} {sponsorship_noun}',
+    // "without the need for employer sponsorship"
+    'without (the need (for|of)|need (for|of)|needing|requiring|any)? {sponsorship_noun}',
+    // "candidates requiring sponsorship will not be considered"
+    '{require_verb} {sponsorship_noun} {time_qualifier}? (will|would|can|could|are|is)? not be (considered|eligible)',
+    // "please do not apply if you need sponsorship"
+    '(do|should) not apply if you (will|do|currently)? {require_verb} {sponsorship_noun}',
+    'no (visa|immigration) (support|assistance)',
     // Note: "must be authorized to work" is NOT a negative indicator by itself
     // It's only negative when paired with "no sponsorship" - handled by context checking
-    /\bno\s+visa\s+support\b/i,
-    /\bwill\s+not\s+sponsor\b/i,
-    /\bsponsorship\s+not\s+provided\b/i,
-    /\bU\.?S\.?\s+work\s+authorization\s+required\b/i,
-    /\bcitizenship\s+required\b/i,
-    /\bU\.?S\.?\s+citizenship\s+mandatory\b/i,
-    /\bsecurity\s+clearance\s+required\b/i,
-    /\bDOD\s+security\s+clearance\b/i,  // Department of Defense security clearance
-    /\bD\.?O\.?D\.?\s+security\s+clearance\b/i,  // DOD or D.O.D. security clearance
-    /\beligible\s+to\s+obtain\s+(a\s+)?(DOD|D\.?O\.?D\.?|security)\s+clearance\b/i,  // "eligible to obtain a DOD Security Clearance"
-    /\bmust\s+be\s+eligible\s+for\s+security\s+clearance\b/i,
-    /\bmust\s+obtain\s+security\s+clearance\b/i,
-    /\bable\s+to\s+obtain\s+security\s+clearance\b/i,
-    /\bclearance\s+eligible\b/i,
-    /\bsecurity\s+clearance\s+eligible\b/i,
-    /\bmust\s+possess\s+U\.?S\.?\s+citizenship\b/i,
-    /\bITAR\s+requirements?\b/i,  // ITAR (International Traffic in Arms Regulations) requirements
-    /\bITAR\s+compliance\b/i,
-    /\bITAR\s+eligible\b/i,
-    /\bmust\s+be\s+ITAR\s+eligible\b/i,
-    /\bU\.?S\.?\s+citizen\s+or\s+national\b/i,  // "U.S. citizen or national" (from ITAR text)
-    /\bU\.?S\.?\s+lawful\s+permanent\s+resident\b/i,  // "U.S. lawful permanent resident" (green card holder)
-    /\bgreen\s+card\s+holder\b/i,
-    /\bexport\s+control\s+regulations?\b/i,
-    /\bDepartment\s+of\s+State\s+authorization\b/i
+    { phrase: 'must (have|possess|hold) (valid|current)? {us}? work authorization', weight: -2, us: true },
+    { phrase: '{us} work authorization {be}? required', weight: -2, us: true }
+  ];
+
+  // Restrictions to U.S. persons (citizenship, security clearance, export control)
+  // These are legal requirements, not a refusal to sponsor, and get their own status. All of them are
+  // U.S.-only; other countries have their own in CountryPacks.
+  const RESTRICTION_PHRASES = [
+    // Citizenship
+    '{us} (citizen|citizens) only',
+    '{us} citizenship {be}? (required|mandatory|only)',
+    'must (be|possess|have|hold) (a|an)? {us} (citizen|citizenship)',
+    'citizenship {be}? required',
+    '{require_verb} {us} citizenship',
+    // Citizens or permanent residents
+    '{us} citizen or national',  // from ITAR text
+    '{us} lawful permanent resident',  // green card holder
+    '(citizen|citizens) or (lawful)? permanent (resident|residents)',
+    // Green card holders only where they are the only ones admitted; "green card holders welcome" admits them
+    // without turning anyone away
+    'green card (holder|holders) only',
+    'must (be|hold|have|possess) (a|an)? (green card holder|permanent resident|green card)',
+    'must (be|hold|have|possess)? (a|an)? {us}? (citizen|citizens) or green card (holder|holders)',
+    '(open|limited|restricted) (only)? to {us}? (citizen|citizens) (and|or) green card (holder|holders)',
+    // Security clearance
+    'security clearance {be}? required',
+    '(dod|department of defense) security clearance',
+    '(eligible|able) to obtain (a|an)? (dod|security|secret|top secret) clearance',
+    'must be eligible for (a|an)? security clearance',
+    'must obtain (a|an)? security clearance',
+    '(security)? clearance eligible',
+    '(active|current) (secret|top secret|ts sci|security) clearance',
+    'ts sci',
+    'public trust clearance',
+    // Export control (ITAR: International Traffic in Arms Regulations, EAR: Export Administration Regulations)
+    '(must be)? itar (eligible|requirement|requirements|compliance|regulations|controlled|restrictions)',
+    'export (control|controlled) (regulation|regulations)',
+    'export administration regulations',
+    'ear (regulations|controlled|compliance)',
+    '{us} (person|persons)',  // ITAR/EAR term covering citizens, permanent residents, asylees and refugees
+    'department of state authorization'
+  ];
+
+  // Restriction categories, checked against each matched restriction phrase
+  const RESTRICTION_CATEGORIES = {
+    clearance: /\bclearance\b|\bTS\/SCI\b|\bsecret\b|\bpublic\s+trust\b/i,
+    exportControl: /\bITAR\b|\bEAR\b|\bexport\b|\bU\.?S\.?\s+persons?\b|\bDepartment\s+of\s+State\b/i,
+    citizenship: /./
+  };
+
+  // Phrases that admit permanent residents alongside citizens
+  const PERMANENT_RESIDENT_PATTERN = /\bpermanent\s+residents?\b|\bgreen\s+cards?\b|\bcitizen\s+or\s+national\b|\bU\.?S\.?\s+persons?\b|\bGCs?\b|\bLPR\b/i;
+
+  // Clearance levels, most restrictive first
+  const CLEARANCE_LEVELS = [
+    { level: 'TS/SCI', pattern: /\bTS\s*\/\s*SCI\b/i },
+    { level: 'Top Secret', pattern: /\btop\s+secret\b/i },
+    { level: 'Secret', pattern: /\bsecret\s+(?:security\s+)?clearance\b|\b(?:active|current)\s+secret\b/i },
+    { level: 'DOE Q/L', pattern: /\bDOE\s+[QL]\b/ },
+    { level: 'Public Trust', pattern: /\bpublic\s+trust\b/i }
   ];
 
   // Moderate Negative Indicators (likely exclusion) - Weight: -1
   // Note: "authorized to work" phrases are NOT negative by themselves
   // They're only negative when there's no positive sponsorship language
-  const MODERATE_NEGATIVE_PATTERNS = [
+  const MODERATE_NEGATIVE_PHRASES = [
     // Only include these if they appear with explicit "no sponsorship" context
-    /\bno\s+relocation\s+assistance\b/i,
-    /\blocal\s+candidates\s+only\b/i
+    'no relocation (assistance|support|package)',
+    'local candidates only'
   ];
 
-  // Negation patterns to detect negative context
-  const NEGATION_PATTERNS = [
-    /\bno\s+/i,
-    /\bnot\s+/i,
-    /\bdoesn't\s+/i,
-    /\bdoes\s+not\s+/i,
-    /\bcannot\s+/i,
-    /\bcan't\s+/i,
-    /\bwill\s+not\s+/i,
-    /\bwon't\s+/i
+  // Conditions that limit an offer of sponsorship, in display order. A condition only counts in a
+  // sentence that offers sponsorship, and makes the status "conditional". `offer` marks conditions whose
+  // wording is an offer by itself ("sponsorship may be considered"); the others need a positive match in
+  // their sentence, so "sponsorship is not available at this time" stays a refusal.
+  const CONDITIONS = [
+    {
+      label: 'senior only',
+      title: 'Senior Only',
+      description: 'Sponsorship is limited to senior-level roles or candidates.',
+      phrases: [
+        '(senior|senior level|staff|principal|lead|experienced) (level)? (roles|positions|candidates|hires|engineers)? only',
+        'only (for|to|at) (the)? (senior|senior level|staff|principal|lead|experienced) (level)? (roles|positions|candidates|hires|engineers)?'
+      ]
+    },
+    {
+      label: 'transfer only',
+      title: 'Transfer Only',
+      description: 'Only candidates who already hold an H-1B (transfers) can be sponsored; new petitions are not filed.',
+      phrases: [
+        '(h-1b)? (visa)? (transfer|transfers) only',
+        'only (h-1b)? (visa)? (transfer|transfers)'
+      ]
+    },
+    {
+      label: 'exceptional candidates',
+      title: 'Exceptional Candidates',
+      description: 'Sponsorship is only considered for exceptional candidates.',
+      phrases: [
+        '(exceptional|outstanding|exceptionally qualified|highly qualified|the right|the most qualified) (candidate|candidates|applicant|applicants|talent|individuals)'
+      ]
+    },
+    {
+      label: 'case by case',
+      title: 'Case by Case',
+      offer: true,
+      description: 'Sponsorship is decided case by case and is not guaranteed.',
+      phrases: [
+        'case by case',
+        '(may|might|could) be (considered|discussed|possible|available|evaluated)',
+        '(may|might|could) {adverb}? (be able to)? (sponsor|consider sponsoring|consider sponsorship)',
+        '(possible|potential|limited) {sponsorship_noun}',
+        '{sponsorship_noun} {be}? (negotiable|not guaranteed)',
+        'depending on (the)? (candidate|role|position|qualifications|experience|business needs)'
+      ]
+    },
+    {
+      label: 'at this time',
+      title: 'At This Time',
+      description: 'The statement only applies at this time and may change.',
+      phrases: [
+        'at (this|the) (time|moment|stage)',
+        'at this point in time',
+        'at present',
+        'for now',
+        'for the time being'
+      ]
+    }
   ];
 
+  // A sentence must mention sponsorship for a condition in it to count
+  const SPONSORSHIP_CONTEXT_PATTERN = /\b(?:sponsor\w*|H[\s-]?1[\s-]?B|immigration)\b/i;
+
+  // Words that negate a statement in their clause ("cannot" and "won't" are tokenized as "can not", "will not")
+  const NEGATION_CUES = ['no', 'not', 'never', 'without', 'unable', 'unwilling', 'neither', 'nor', 'none', 'ineligible', 'unavailable'];
+
+  // Negation words that don't negate what follows ("not only", "including but not limited to")
+  const NON_NEGATING_PHRASES = [['not', 'only'], ['not', 'just'], ['not', 'limited'], ['no', 'matter'], ['no', 'later']];
+
+  // Tokens that end the clause a negation applies to
+  const CLAUSE_BREAK_TOKENS = ['.', '!', '?', ';', ':', ',', '(', ')', 'but', 'however', 'although', 'though', 'while', 'whereas', 'except', 'unless'];
+
+  // How many tokens before a match a negation can sit, within its clause
+  const NEGATION_REACH_BEFORE = 6;
+
+  // Words allowed between a match and a negation after it ("sponsorship is currently not offered")
+  const POST_NEGATION_FILLERS = ['is', 'are', 'was', 'were', 'will', 'would', 'can', 'could', 'be', 'currently', 'presently', 'still', 'unfortunately'];
+
+  // Visa types reported individually in the result, in display order
+  // `mention` patterns find references to the visa; each reference is then classified by its clause.
+  // `contextMention` only counts when the sentence also matches `context`.
+  const VISA_TYPES = {
+    h1bNew: {
+      label: 'H-1B',
+      mention: [/(?<!transfers?\s+(?:of\s+)?(?:an?\s+)?(?:existing\s+)?)\bH[\s-]?1[\s-]?B\b(?!\s+(?:visa\s+)?transfers?)/i]
+    },
+    h1bTransfer: {
+      label: 'H-1B transfer',
+      mention: [
+        /\bH[\s-]?1[\s-]?B\s+(?:visa\s+)?transfers?\b/i,
+        /\btransfers?\s+(?:of\s+)?(?:an?\s+)?(?:existing\s+)?H[\s-]?1[\s-]?B\b/i
+      ],
+      contextMention: { pattern: /\btransfers?\b/i, context: /\bH[\s-]?1[\s-]?B\b/i }
+    },
+    opt: {
+      label: 'OPT/CPT',
+      mention: [/(?<!STEM[\s-]+)\bOPT\b/, /\bCPT\b/, /\bF[\s-]?1\s+(?:visa|students?|status)\b/i]
+    },
+    stemOpt: {
+      label: 'STEM OPT',
+      mention: [/\bSTEM[\s-]+OPT\b/i]
+    },
+    tn: {
+      label: 'TN',
+      // Plain "TN" is usually Tennessee, so require visa context
+      mention: [
+        /\bTN[\s-]+(?:visas?|status|holders?|1|classification)\b/,
+        /\bTN\b(?=\s*(?:,|\/|and|or)\s*(?:H[\s-]?1[\s-]?B|E-?3|O-?1|L-?1))/,
+        /(?<=(?:H[\s-]?1[\s-]?B|E-?3|O-?1|L-?1)\s*(?:,|\/|and|or)\s*)\bTN\b/,
+        /\b(?:NAFTA|USMCA)\b/
+      ]
+    },
+    e3: {
+      label: 'E-3',
+      mention: [/\bE[\s-]?3\b/]
+    },
+    o1: {
+      label: 'O-1',
+      mention: [/\bO[\s-]?1[AB]?\b/]
+    },
+    greenCard: {
+      label: 'Green card',
+      mention: [
+        /\bgreen\s+cards?\b(?!\s+holders?)/i,
+        /\bPERM\b/,
+        /\bI-?140\b/,
+        /\bpermanent\s+residen(?:cy|ce)\s+(?:sponsorship|process|application)\b/i
+      ]
+    }
+  };
+
+  // Visas that need the employer to sponsor; a blanket "no sponsorship" excludes these
+  const SPONSORED_VISAS = ['h1bNew', 'h1bTransfer', 'tn', 'e3', 'o1', 'greenCard'];
+
+  // Clause cues used to classify a visa mention
+  const CLAUSE_NEGATIVE_CUE = /\b(?:no|not(?!\s+(?:only|just|limited)\b)|cannot|can't|don't|doesn't|won't|isn't|aren't|unable|never|without|ineligible)\b/i;
+  const CLAUSE_POSITIVE_CUE = /\b(?:sponsor\w*|accept\w*|welcome\w*|eligible|support\w*|ok|okay|open|available|consider\w*|file|filing|provide\w*|offer\w*|transfer\w*|encouraged)\b/i;
+
+  // Rule tiers, in the order they are checked
+  const TIERS = ['strongPositive', 'moderatePositive', 'restriction', 'strongNegative', 'moderateNegative'];
+
+  // Grammar options for the shared rules outside the U.S.
+  const NON_US_GRAMMAR = { without: ['visa_name'] };
+
+  // The rules above, as a country pack (see CountryPacks for the others)
+  const US_PACK = {
+    code: 'US',
+    visaTypes: VISA_TYPES,
+    sponsoredVisas: SPONSORED_VISAS,
+    primaryVisas: ['h1bNew', 'h1bTransfer'],
+    restriction: null
+  };
+
   /**
-   * Check if a match is negated (e.g., "no sponsorship" vs "sponsorship available")
-   * @param {string} text - Full text to check
-   * @param {number} matchIndex - Index where the match was found
-   * @param {number} matchLength - Length of the matched text
-   * @returns {boolean} - True if the match appears to be negated
+   * Turn a phrase list into rule objects
+   * @param {string} tier - One of TIERS
+   * @param {Array<string|Object>} entries - Templates, or { phrase, weight?, us? } to override the tier
+   *   weight or mark the rule U.S.-only
+   * @param {string} [idPrefix] - Prefix for rule IDs, for country packs
+   * @returns {Array<Object>} - Rules: { id, tier, phrase, weight, source, usOnly }
    */
-  function isNegated(text, matchIndex, matchLength) {
-    const contextBefore = text.substring(Math.max(0, matchIndex - 50), matchIndex).toLowerCase();
+  function buildRules(tier, entries, idPrefix = '') {
+    return entries.map((entry, index) => {
+      const template = typeof entry === 'string' ? entry : entry.phrase;
+      const weight = typeof entry === 'string' || entry.weight === undefined ? TIER_WEIGHTS[tier] : entry.weight;
+      const usOnly = typeof entry !== 'string' && !!entry.us;
+      return { id: `${idPrefix}${tier}#${index}`, tier, phrase: PhraseGrammar.compile(template), weight, source: template, usOnly };
+    });
+  }
 
-    // Check for negation patterns before the match
-    for (const negPattern of NEGATION_PATTERNS) {
-      if (negPattern.test(contextBefore)) {
-        // Make sure the negation is close to our match (within 20 chars)
-        const lastNegMatch = contextBefore.match(new RegExp(negPattern.source + '[^.]{0,20}$', 'i'));
-        if (lastNegMatch) {
-          return true;
-        }
+  const CONDITION_RULES = CONDITIONS.map(condition => ({
+    label: condition.label,
+    offer: !!condition.offer,
+    phrases: condition.phrases.map(phrase => PhraseGrammar.compile(phrase))
+  }));
+
+  const BUILT_IN_RULES = {
+    strongPositive: buildRules('strongPositive', STRONG_POSITIVE_PHRASES),
+    moderatePositive: buildRules('moderatePositive', MODERATE_POSITIVE_PHRASES),
+    restriction: buildRules('restriction', RESTRICTION_PHRASES),
+    strongNegative: buildRules('strongNegative', STRONG_NEGATIVE_PHRASES),
+    moderateNegative: buildRules('moderateNegative', MODERATE_NEGATIVE_PHRASES)
+  };
+
+  // Built-in rules per country, built on first use
+  const countryRules = { US: BUILT_IN_RULES };
+
+  // User-defined rules (from the options page), compiled per tier
+  let customRules = {
+    strongPositive: [],
+    moderatePositive: [],
+    restriction: [],
+    strongNegative: [],
+    moderateNegative: []
+  };
+
+  // Score thresholds for yes/no (see Scoring.DEFAULT_THRESHOLDS)
+  let thresholds = Scoring.normalizeThresholds(null);
+
+  let patternSignature = null;
+
+  /**
+   * Build a short signature of every rule and setting the analyzer uses
+   * @returns {string} - Hex signature that changes whenever a pattern, weight or threshold changes
+   */
+  function getPatternSignature() {
+    if (patternSignature) return patternSignature;
+
+    const ruleSources = TIERS.map(tier => getRules(tier)
+      .map(rule => `${rule.pattern ? `/${rule.pattern.source}/${rule.pattern.flags}` : rule.source}=${rule.weight}${rule.usOnly ? ':us' : ''}`)
+      .join('\n'));
+    ruleSources.push(JSON.stringify(PhraseGrammar.LEXICON));
+    const packs = CountryPacks.COUNTRIES.map(country => CountryPacks.get(country.code)).filter(Boolean);
+    packs.forEach(pack => {
+      ruleSources.push(JSON.stringify([pack.phrases, pack.sponsoredVisas, pack.primaryVisas, pack.restriction]));
+    });
+    const otherSources = [
+      ...Object.values(VISA_TYPES).map(visa => visa.mention),
+      ...packs.map(pack => Object.values(pack.visaTypes).map(visa => visa.mention).flat()),
+      JobLocation.RESIDENCY_PATTERNS.map(({ pattern }) => pattern)
+    ].map(patterns => patterns.map(pattern => pattern.source + '/' + pattern.flags).join('\n'));
+    const vocabularySources = JSON.stringify([RecruiterVocabulary.TERMS, RecruiterVocabulary.QUALIFIERS]);
+    const conditionSources = JSON.stringify(CONDITIONS) + SPONSORSHIP_CONTEXT_PATTERN.source;
+    const negationSources = JSON.stringify([NEGATION_CUES, NON_NEGATING_PHRASES, CLAUSE_BREAK_TOKENS, NEGATION_REACH_BEFORE, POST_NEGATION_FILLERS]);
+    const sources = ruleSources.concat(otherSources, [vocabularySources, conditionSources, negationSources, `${thresholds.yes}:${thresholds.no}`]).join('\n\n');
+
+    let hash = 0;
+    for (let i = 0; i < sources.length; i++) {
+      hash = (Math.imul(hash, 31) + sources.charCodeAt(i)) | 0;
+    }
+
+    patternSignature = (hash >>> 0).toString(16);
+    return patternSignature;
+  }
+
+  /**
+   * Compile a user-defined rule into a matcher
+   * Phrases are matched as token sequences, so they get the same normalization as the built-in
+   * rules ("H1-B" matches "H-1B", line breaks and bullets between words are ignored).
+   * @param {Object} rule - Rule with type ('phrase' or 'regex') and pattern
+   * @returns {Object} - { pattern: RegExp } for regex rules, { phrase } for phrase rules
+   * @throws {Error} - If the rule is empty or its regex is invalid
+   */
+  function compileRule(rule) {
+    const pattern = (rule.pattern || '').trim();
+    if (!pattern) {
+      throw new Error('Rule pattern is empty');
+    }
+
+    if (rule.type === 'regex') {
+      return { pattern: new RegExp(pattern, 'i') };
+    }
+
+    return { phrase: PhraseGrammar.compileLiteral(pattern) };
+  }
+
+  /**
+   * Find every match of a rule in text
+   * @param {Object} rule - Rule with a compiled phrase or pattern
+   * @param {string} text - Text to search
+   * @param {Object} parsed - PhraseGrammar.parse(text)
+   * @returns {Array<{text: string, index: number, length: number}>}
+   */
+  function findRuleMatches(rule, text, parsed) {
+    return rule.pattern ? findMatches(rule.pattern, text) : PhraseGrammar.match(rule.phrase, parsed);
+  }
+
+  /**
+   * Find the matches of a user-defined rule in text (used to test rules on the options page)
+   * @param {Object} rule - Rule with type and pattern
+   * @param {string} text - Text to search
+   * @returns {Array<{text: string, index: number, length: number}>}
+   * @throws {Error} - If the rule is invalid
+   */
+  function matchRule(rule, text) {
+    return findRuleMatches(compileRule(rule), text, PhraseGrammar.parse(text));
+  }
+
+  /**
+   * Replace the user-defined rules merged into the built-in rule lists
+   * Disabled and invalid rules are skipped. A rule's optional weight keeps the sign of its tier.
+   * @param {Array<Object>} rules - Rules with id, tier, type, pattern, enabled and optional weight
+   */
+  function setCustomRules(rules) {
+    const compiled = {};
+    TIERS.forEach(tier => {
+      compiled[tier] = [];
+    });
+
+    (rules || []).forEach(rule => {
+      if (!rule || rule.enabled === false || !compiled[rule.tier]) return;
+      try {
+        const matcher = compileRule(rule);
+        const customWeight = Math.abs(Number(rule.weight));
+        const weight = customWeight > 0
+          ? Math.sign(TIER_WEIGHTS[rule.tier]) * customWeight
+          : TIER_WEIGHTS[rule.tier];
+        compiled[rule.tier].push(Object.assign({ id: `custom:${rule.id}`, tier: rule.tier, weight, source: rule.pattern }, matcher));
+      } catch (error) {
+        // Invalid rules are reported on the options page, not here
       }
+    });
+
+    customRules = compiled;
+    patternSignature = null;
+  }
+
+  /**
+   * Set the score thresholds for "yes" and "no"
+   * @param {Object} newThresholds - { yes, no }; invalid values fall back to the defaults
+   */
+  function setThresholds(newThresholds) {
+    thresholds = Scoring.normalizeThresholds(newThresholds);
+    patternSignature = null;
+  }
+
+  /**
+   * Get the pack for a country: the U.S. rules, or a CountryPacks pack
+   * @param {string} [country] - Country code; CountryPacks.OTHER_COUNTRY gets the shared rules only, codes
+   *   CountryPacks doesn't know get the U.S. pack
+   * @returns {Object}
+   */
+  function getPack(country) {
+    return CountryPacks.get(country) || US_PACK;
+  }
+
+  /**
+   * Get the built-in rules for a tier merged with the user's rules
+   * @param {string} tier - One of TIERS
+   * @param {string} [country] - Country the job is in (U.S. by default)
+   * @returns {Array<Object>} - Rules to check
+   */
+  function getRules(tier, country) {
+    const pack = getPack(country);
+    if (!countryRules[pack.code]) {
+      // Other countries share the rules that aren't about U.S. visas or U.S. persons, with U.S. visa names
+      // left out of their parts ("we will sponsor H-1B visas" is no offer for a job in London)
+      const rules = {};
+      TIERS.forEach(sharedTier => {
+        const shared = sharedTier === 'restriction' ? [] : BUILT_IN_RULES[sharedTier]
+          .filter(rule => !rule.usOnly)
+          .map(rule => Object.assign({}, rule, { phrase: PhraseGrammar.compile(rule.source, NON_US_GRAMMAR) }));
+        rules[sharedTier] = shared.concat(buildRules(sharedTier, pack.phrases[sharedTier] || [], `${pack.code}:`));
+      });
+      countryRules[pack.code] = rules;
     }
+    return countryRules[pack.code][tier].concat(customRules[tier]);
+  }
 
-    return false;
+  /**
+   * Get the version of the analysis logic and pattern set, used to invalidate stored results
+   * @returns {string} - Version string
+   */
+  function getVersion() {
+    return `${ANALYZER_VERSION}+${getPatternSignature()}`;
+  }
+
+  /**
+   * Check if the token at an index is a negation cue
+   * @param {Array<Object>} tokens - Tokens from PhraseGrammar.parse()
+   * @param {number} index - Token index
+   * @returns {boolean}
+   */
+  function isNegationCue(tokens, index) {
+    if (!NEGATION_CUES.includes(tokens[index].text)) return false;
+    return !NON_NEGATING_PHRASES.some(phrase =>
+      phrase.every((word, offset) => tokens[index + offset] && tokens[index + offset].text === word)
+    );
+  }
+
+  /**
+   * Decide whether a match is negated by the clause around it
+   * Negations count before the match ("we do not offer visa sponsorship") and right after it
+   * ("sponsorship is not something we offer"), but never across a clause break, so
+   * "No relocation; visa sponsorship available" is not negated. Negations inside the match are
+   * part of the phrase itself ("no sponsorship"). Two negations cancel out ("not without sponsorship").
+   * @param {Object} parsed - PhraseGrammar.parse(text)
+   * @param {number} matchIndex - Offset of the match in the text
+   * @param {number} matchLength - Length of the match
+   * @returns {{decision: string, cues: Array<{word: string, position: string}>}} - decision is
+   *   'kept' (no negation), 'negated' or 'double_negative'
+   */
+  function checkNegation(parsed, matchIndex, matchLength) {
+    const tokens = parsed.tokens;
+    const matchEnd = matchIndex + matchLength;
+    const cues = [];
+    const cueWord = token => parsed.text.substring(token.start, token.end);
+
+    let first = tokens.findIndex(token => token.end > matchIndex);
+    if (first === -1) first = tokens.length;
+    let last = first;
+    while (last < tokens.length && tokens[last].start < matchEnd) last++;
+
+    // Before the match, back to the start of its clause
+    for (let i = first - 1; i >= 0 && first - i <= NEGATION_REACH_BEFORE; i--) {
+      if (CLAUSE_BREAK_TOKENS.includes(tokens[i].text)) break;
+      if (isNegationCue(tokens, i)) {
+        cues.push({ word: cueWord(tokens[i]), position: 'before' });
+      }
+    }
+
+    // After the match, only through verbs like "is" and "will be"
+    let next = last;
+    while (next < tokens.length && POST_NEGATION_FILLERS.includes(tokens[next].text)) next++;
+    if (next < tokens.length && isNegationCue(tokens, next)) {
+      cues.push({ word: cueWord(tokens[next]), position: 'after' });
+    }
+
+    let decision = 'kept';
+    if (cues.length % 2 === 1) decision = 'negated';
+    else if (cues.length > 0) decision = 'double_negative';
+
+    return { decision, cues };
   }
 
   /**
@@ -155,6 +573,12 @@ const Analyzer = (function () {
     const globalPattern = pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
 
     while ((match = globalPattern.exec(text)) !== null) {
+      // exec() doesn't move past an empty match by itself (custom rules like "(visa)?" or "visa|")
+      if (match[0].length === 0) {
+        globalPattern.lastIndex++;
+        continue;
+      }
+
       matches.push({
         text: match[0],
         index: match.index,
@@ -165,19 +589,468 @@ const Analyzer = (function () {
     return matches;
   }
 
+  /**
+   * Split text into sentences, keeping their offsets
+   * Periods after single letters (as in "U.S.") don't end a sentence.
+   * @param {string} text - Text to split
+   * @returns {Array<{text: string, start: number}>}
+   */
+  function splitSentences(text) {
+    const sentences = [];
+    const boundary = /(?<!\b[A-Za-z])[.!?]+(?=\s)|\n+|[•▪●]/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+      const end = match.index + match[0].length;
+      if (text.substring(start, end).trim()) {
+        sentences.push({ text: text.substring(start, end), start });
+      }
+      start = end;
+    }
+
+    if (text.substring(start).trim()) {
+      sentences.push({ text: text.substring(start), start });
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Split a sentence into clauses ("we sponsor transfers but not new H-1B petitions")
+   * @param {string} sentence - Sentence text
+   * @returns {Array<{text: string, start: number}>}
+   */
+  function splitClauses(sentence) {
+    const clauses = [];
+    const boundary = /[,;:()]|\s(?:but|however|while|except|although)\s/gi;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(sentence)) !== null) {
+      clauses.push({ text: sentence.substring(start, match.index), start });
+      start = match.index;
+    }
+    clauses.push({ text: sentence.substring(start), start });
+
+    return clauses;
+  }
+
+  /**
+   * Find every visa type mentioned in a sentence
+   * @param {string} sentence - Sentence text
+   * @param {Object} visaTypes - The country's visa types (VISA_TYPES for the U.S.)
+   * @returns {Array<{visa: string, index: number}>} - Mentions with their offset in the sentence
+   */
+  function findVisaMentions(sentence, visaTypes) {
+    const mentions = [];
+
+    Object.keys(visaTypes).forEach(visa => {
+      const visaType = visaTypes[visa];
+      const patterns = visaType.mention.slice();
+      if (visaType.contextMention && visaType.contextMention.context.test(sentence)) {
+        patterns.push(visaType.contextMention.pattern);
+      }
+
+      patterns.forEach(pattern => {
+        findMatches(pattern, sentence).forEach(match => {
+          mentions.push({ visa, index: match.index });
+        });
+      });
+    });
+
+    return mentions;
+  }
+
+  /**
+   * Classify one clause as supporting or excluding the visas it mentions
+   * @param {string} clause - Clause text
+   * @returns {string|null} - 'supported', 'excluded', or null if the clause has no cue
+   */
+  function classifyClause(clause) {
+    if (CLAUSE_NEGATIVE_CUE.test(clause)) return 'excluded';
+    if (CLAUSE_POSITIVE_CUE.test(clause)) return 'supported';
+    return null;
+  }
+
+  /**
+   * Record a verdict for a visa row, keeping exclusions over support for the same scope
+   * @param {Object} row - Visa row in the result
+   * @param {string} status - 'supported' or 'excluded'
+   * @param {string} scope - 'specific', 'implied' or 'general'
+   * @param {string} evidence - Sentence or phrase supporting the verdict
+   */
+  function recordVisaVerdict(row, status, scope, evidence) {
+    const scopeRank = { general: 0, implied: 1, specific: 2 };
+
+    if (row.status !== 'not_mentioned') {
+      if (scopeRank[scope] < scopeRank[row.scope]) return;
+      if (scopeRank[scope] === scopeRank[row.scope] && row.status === 'excluded' && status === 'supported') return;
+    }
+
+    if (row.status !== 'not_mentioned' && (row.scope !== scope || row.status !== status)) {
+      row.evidence = [];
+    }
+
+    row.status = status;
+    row.scope = scope;
+    if (evidence && !row.evidence.includes(evidence)) {
+      row.evidence.push(evidence);
+    }
+  }
+
+  /**
+   * Classify each visa type as supported, excluded or not mentioned
+   * @param {string} text - Job description text
+   * @param {Object} matchedKeywords - Matches per tier from analyze()
+   * @param {Array<Object>} shorthand - Statements from RecruiterVocabulary.findStatements()
+   * @param {Object} pack - Country pack from getPack()
+   * @returns {Object} - Visa rows keyed by visa type: { label, status, scope, evidence }
+   */
+  function classifyVisas(text, matchedKeywords, shorthand, pack) {
+    const { visaTypes } = pack;
+    const visas = {};
+    Object.keys(visaTypes).forEach(visa => {
+      visas[visa] = { label: visaTypes[visa].label, status: 'not_mentioned', scope: null, evidence: [] };
+    });
+
+    const exclusiveStatements = [];
+
+    // Specific mentions: each visa takes the verdict of its clause, or of the
+    // nearest earlier clause in the sentence ("We sponsor H-1B, TN and E-3 visas")
+    splitSentences(text).forEach(sentence => {
+      const mentions = findVisaMentions(sentence.text, visaTypes);
+      if (mentions.length === 0) return;
+
+      const evidence = sentence.text.trim();
+      const clauses = splitClauses(sentence.text);
+      const clauseVerdicts = [];
+      let inherited = null;
+      clauses.forEach(clause => {
+        inherited = classifyClause(clause.text) || inherited;
+        clauseVerdicts.push(inherited);
+      });
+
+      mentions.forEach(mention => {
+        let clauseIndex = 0;
+        while (clauseIndex + 1 < clauses.length && clauses[clauseIndex + 1].start <= mention.index) {
+          clauseIndex++;
+        }
+
+        const verdict = clauseVerdicts[clauseIndex];
+        if (!verdict) return;
+
+        recordVisaVerdict(visas[mention.visa], verdict, 'specific', evidence);
+        if (verdict === 'supported' && /\bonly\b/i.test(clauses[clauseIndex].text)) {
+          exclusiveStatements.push(evidence);
+        }
+      });
+    });
+
+    // "We sponsor TN visas only" excludes every visa it doesn't name
+    exclusiveStatements.forEach(evidence => {
+      Object.keys(visas).forEach(visa => {
+        if (visas[visa].status === 'not_mentioned') {
+          recordVisaVerdict(visas[visa], 'excluded', 'implied', evidence);
+        }
+      });
+    });
+
+    // Recruiter shorthand names visas directly ("No H1B"), or leaves them out of an "only" list ("USC/GC only")
+    shorthand.forEach(statement => {
+      const verdicts = RecruiterVocabulary.getVisaVerdicts(statement, Object.keys(visaTypes));
+      verdicts.supported.forEach(visa => recordVisaVerdict(visas[visa], 'supported', 'specific', statement.text));
+      verdicts.excluded.forEach(visa => recordVisaVerdict(visas[visa], 'excluded', 'specific', statement.text));
+      verdicts.implied.forEach(visa => recordVisaVerdict(visas[visa], 'excluded', 'implied', statement.text));
+    });
+
+    // Blanket statements fill the rows that weren't mentioned specifically
+    const isVisaSpecific = keyword => findVisaMentions(keyword, visaTypes).length > 0;
+    const generalPositive = matchedKeywords.strongPositive.filter(keyword => !isVisaSpecific(keyword));
+
+    // Restrictions to citizens or residents rule out every visa holder, not just those needing sponsorship
+    if (matchedKeywords.restriction.length > 0 && generalPositive.length === 0) {
+      Object.keys(visas).forEach(visa => {
+        if (visas[visa].status === 'not_mentioned' || visas[visa].scope === 'general') {
+          matchedKeywords.restriction.forEach(keyword => {
+            recordVisaVerdict(visas[visa], 'excluded', 'general', keyword);
+          });
+        }
+      });
+    }
+
+    const generalNegative = matchedKeywords.strongNegative.filter(keyword => !isVisaSpecific(keyword));
+    if (generalNegative.length > 0 && generalPositive.length === 0) {
+      pack.sponsoredVisas.forEach(visa => {
+        if (visas[visa].status === 'not_mentioned') {
+          generalNegative.forEach(keyword => {
+            recordVisaVerdict(visas[visa], 'excluded', 'general', keyword);
+          });
+        }
+      });
+    } else if (generalPositive.length > 0) {
+      pack.primaryVisas.forEach(visa => {
+        if (visas[visa].status === 'not_mentioned') {
+          generalPositive.forEach(keyword => {
+            recordVisaVerdict(visas[visa], 'supported', 'general', keyword);
+          });
+        }
+      });
+    }
+
+    return visas;
+  }
+
+  /**
+   * Turn visas named as supported or excluded in sentences no rule matched into evidence
+   * ("Can not do H1B.", "TN visas are not supported for this role"). A sentence naming one of the
+   * country's primary visas is a strong statement; one naming only other visas is a moderate one,
+   * since it leaves the primary visas open.
+   * @param {string} text - Job description text
+   * @param {Object} visas - Visa rows from classifyVisas()
+   * @param {Array<Object>} evidence - Rule matches already scored
+   * @param {Object} pack - Country pack from getPack()
+   * @returns {Array<Object>} - Evidence items for Scoring.score(): { rule, text, index, length, negation }
+   */
+  function findVisaEvidence(text, visas, evidence, pack) {
+    const statements = {};
+
+    Object.keys(visas).forEach(visa => {
+      const row = visas[visa];
+      if (row.scope !== 'specific') return;
+
+      row.evidence.forEach(sentence => {
+        const key = `${row.status}|${sentence}`;
+        if (!statements[key]) {
+          statements[key] = { status: row.status, sentence, visas: [] };
+        }
+        statements[key].visas.push(visa);
+      });
+    });
+
+    const items = [];
+    Object.values(statements).forEach(({ status, sentence, visas: named }) => {
+      const index = text.indexOf(sentence);
+      if (index === -1) return;
+
+      const covered = evidence.some(other => index < other.index + other.length && other.index < index + sentence.length);
+      if (covered) return;
+
+      const strong = named.some(visa => pack.primaryVisas.includes(visa));
+      const tier = status === 'supported'
+        ? (strong ? 'strongPositive' : 'moderatePositive')
+        : (strong ? 'strongNegative' : 'moderateNegative');
+      const labels = named.map(visa => visas[visa].label).join('/');
+      const rule = { id: `visa:${status}:${named.join('/')}`, tier, weight: TIER_WEIGHTS[tier], source: `${labels} ${status}` };
+      items.push({ rule, text: sentence, index, length: sentence.length, negation: null });
+    });
+
+    return items;
+  }
+
+  /**
+   * Describe the legal restrictions found in a description
+   * @param {string} text - Job description text
+   * @param {Array<string>} keywords - Matched restriction phrases
+   * @returns {Object|null} - { types, clearanceLevel, citizenshipOnly, permanentResidentOk, evidence, explanation },
+   *   or null when there is no restriction
+   */
+  function classifyRestriction(text, keywords) {
+    if (keywords.length === 0) return null;
+
+    const types = [];
+    keywords.forEach(keyword => {
+      const type = Object.keys(RESTRICTION_CATEGORIES).find(category => RESTRICTION_CATEGORIES[category].test(keyword));
+      if (!types.includes(type)) {
+        types.push(type);
+      }
+    });
+
+    const clearance = types.includes('clearance')
+      ? CLEARANCE_LEVELS.find(candidate => candidate.pattern.test(text))
+      : null;
+    const clearanceLevel = clearance ? clearance.level : null;
+
+    // Clearances (other than Public Trust) are only granted to citizens
+    const clearanceNeedsCitizenship = types.includes('clearance') && clearanceLevel !== 'Public Trust';
+    const permanentResidentOk = !clearanceNeedsCitizenship && keywords.some(keyword => PERMANENT_RESIDENT_PATTERN.test(keyword));
+    const citizenshipOnly = clearanceNeedsCitizenship || (types.includes('citizenship') && !permanentResidentOk);
+
+    let explanation;
+    if (clearanceNeedsCitizenship) {
+      explanation = `Requires ${clearanceLevel ? `a ${clearanceLevel}` : 'a security'} clearance, which is only granted to U.S. citizens. Visa holders and permanent residents are not eligible.`;
+    } else if (citizenshipOnly) {
+      explanation = 'Restricted to U.S. citizens. Visa holders and permanent residents are not eligible.';
+    } else if (types.includes('exportControl')) {
+      explanation = 'Export-controlled (ITAR/EAR) work: open to U.S. persons (citizens, permanent residents, asylees and refugees). Visa holders would need an export license.';
+    } else {
+      explanation = 'Restricted to U.S. citizens and permanent residents. Visa holders are not eligible.';
+    }
+
+    return {
+      types,
+      clearanceLevel,
+      citizenshipOnly,
+      permanentResidentOk,
+      evidence: [...new Set(keywords)],
+      explanation
+    };
+  }
+
+  /**
+   * Describe the restrictions found in a job outside the U.S.
+   * @param {Array<string>} keywords - Matched restriction phrases
+   * @param {Object} pack - Country pack
+   * @returns {Object|null} - Same shape as classifyRestriction(), plus the badge message
+   */
+  function classifyPackRestriction(keywords, pack) {
+    if (keywords.length === 0) return null;
+
+    const { clearancePattern, residentPattern, messages, explanations } = pack.restriction;
+    const types = [];
+    keywords.forEach(keyword => {
+      const type = clearancePattern.test(keyword) ? 'clearance' : 'citizenship';
+      if (!types.includes(type)) {
+        types.push(type);
+      }
+    });
+
+    const permanentResidentOk = !types.includes('clearance') && !!residentPattern &&
+      keywords.some(keyword => residentPattern.test(keyword));
+    let kind = 'citizenship';
+    if (types.includes('clearance')) {
+      kind = 'clearance';
+    } else if (permanentResidentOk) {
+      kind = 'residents';
+    }
+
+    return {
+      types,
+      clearanceLevel: null,
+      citizenshipOnly: types.includes('citizenship') && !permanentResidentOk,
+      permanentResidentOk,
+      evidence: [...new Set(keywords)],
+      explanation: explanations[kind],
+      message: messages[kind]
+    };
+  }
+
+  /**
+   * Get the status message for a restriction
+   * @param {Object} restriction - Result of classifyRestriction() or classifyPackRestriction()
+   * @returns {string}
+   */
+  function getRestrictionMessage(restriction) {
+    if (restriction.message) {
+      return restriction.message;
+    }
+    if (restriction.types.includes('clearance') && restriction.citizenshipOnly) {
+      return 'Clearance Required';
+    }
+    return restriction.citizenshipOnly ? 'US Citizens Only' : 'US Persons Only';
+  }
+
+  /**
+   * Find conditions attached to offers of sponsorship
+   * @param {string} text - Job description text
+   * @param {Object} parsed - PhraseGrammar.parse(text)
+   * @param {Object} visas - Visa rows from classifyVisas()
+   * @param {Array<Object>} matches - Rule matches counted as evidence ({ rule, index, length })
+   * @returns {Object|null} - { labels, evidence: [{ label, text, index }], explanation },
+   *   or null when sponsorship is not conditional
+   */
+  function findConditions(text, parsed, visas, matches) {
+    const sentences = splitSentences(text);
+    const found = [];
+    const inSentence = (sentence, index) => sentence.start <= index && index < sentence.start + sentence.text.length;
+    const hasMatch = (sentence, sign) => matches.some(item =>
+      Math.sign(item.rule.weight) === sign && inSentence(sentence, item.index)
+    );
+
+    CONDITION_RULES.forEach(condition => {
+      condition.phrases.forEach(phrase => {
+        PhraseGrammar.match(phrase, parsed).forEach(match => {
+          const sentence = sentences.find(candidate => inSentence(candidate, match.index));
+          if (!sentence || !SPONSORSHIP_CONTEXT_PATTERN.test(sentence.text)) return;
+          found.push({ condition, sentence, text: match.text, index: match.index });
+        });
+      });
+    });
+
+    // A sentence offers sponsorship when a rule found an offer in it, or when it hedges one
+    // ("may be considered") without refusing
+    const offers = sentence => hasMatch(sentence, 1) ||
+      (!hasMatch(sentence, -1) && found.some(item => item.sentence === sentence && item.condition.offer));
+    const evidence = found
+      .filter(item => offers(item.sentence))
+      .map(item => ({ label: item.condition.label, text: item.text, index: item.index }));
+
+    // "We sponsor transfers but not new H-1B petitions"
+    if (visas.h1bTransfer && visas.h1bTransfer.status === 'supported' && visas.h1bNew.status === 'excluded' &&
+      visas.h1bTransfer.scope === 'specific') {
+      const sentence = visas.h1bTransfer.evidence[0];
+      evidence.push({ label: 'transfer only', text: sentence, index: text.indexOf(sentence) });
+    }
+
+    if (evidence.length === 0) return null;
+
+    const conditions = CONDITIONS.filter(condition => evidence.some(item => item.label === condition.label));
+    return {
+      labels: conditions.map(condition => condition.label),
+      titles: conditions.map(condition => condition.title),
+      evidence: evidence.sort((a, b) => a.index - b.index),
+      explanation: conditions.map(condition => condition.description).join(' ')
+    };
+  }
+
+  /**
+   * Summarize visa rows for the badge, e.g. "H-1B ✗ · TN ✓"
+   * Only visas named in the description are listed (the country's main work visa, e.g. H-1B, is always
+   * included when it has a verdict).
+   * @param {Object} visas - Visa rows from classifyVisas()
+   * @param {Object} pack - Country pack
+   * @returns {string|null} - Summary, or null when no visa was named specifically
+   */
+  function summarizeVisas(visas, pack) {
+    const named = Object.keys(visas).filter(visa => visas[visa].scope === 'specific');
+    if (named.length === 0) return null;
+
+    const mainVisa = pack.primaryVisas[0];
+    return Object.keys(visas)
+      .filter(visa => named.includes(visa) || (visa === mainVisa && visas[visa].status !== 'not_mentioned'))
+      .map(visa => `${visas[visa].label} ${visas[visa].status === 'supported' ? '✓' : '✗'}`)
+      .join(' · ');
+  }
+
   /**
    * Analyze job description text for sponsorship indicators
    * @param {string} jobDescription - The job description text to analyze
-   * @returns {Object} - Analysis result with status, score, and matched keywords
+   * @param {Object} [options] - { country, location }: code of the country the job is in (see
+   *   CountryPacks.detectCountry), 'US' by default, and the top card's location from JobLocation.parseTopCard()
+   * @returns {Object} - Analysis result with status, score, and matched keywords; `location` adds the
+   *   residency restrictions found in the description to the top card's location
    */
-  function analyze(jobDescription) {
+  function analyze(jobDescription, options = {}) {
+    const pack = getPack(options.country);
+    const country = pack.code;
+    const messages = getStatusMessages(country);
+
     if (!jobDescription || typeof jobDescription !== 'string') {
       return {
+        country,
+        location: JobLocation.read(options.location || null, null),
         status: 'unclear',
         score: 0,
         confidence: 'low',
         matchedKeywords: [],
-        message: 'No job description found'
+        message: 'No job description found',
+        visas: {},
+        visaSummary: null,
+        restriction: null,
+        condition: null,
+        shorthand: [],
+        negation: [],
+        scoring: null
       };
     }
 
@@ -185,115 +1058,526 @@ const Analyzer = (function () {
     const matchedKeywords = {
       strongPositive: [],
       moderatePositive: [],
+      restriction: [],
       strongNegative: [],
       moderateNegative: []
     };
 
-    // First, check for POSITIVE indicators (explicit sponsorship offers)
-    // These override everything else
-    for (const pattern of STRONG_POSITIVE_PATTERNS) {
-      const matches = findMatches(pattern, text);
-      for (const match of matches) {
-        if (!isNegated(text, match.index, match.length)) {
-          matchedKeywords.strongPositive.push(match.text);
-        }
-      }
-    }
+    // Collect every rule match; matches negated in their clause are dropped, for negative rules too
+    // ("this role does not require U.S. citizenship")
+    const parsed = PhraseGrammar.parse(text);
+    const matches = [];
+    const negation = [];
+    TIERS.forEach(tier => {
+      getRules(tier, country).forEach(rule => {
+        findRuleMatches(rule, text, parsed).forEach(match => {
+          const decision = Object.assign(
+            { ruleId: rule.id, tier, text: match.text, index: match.index },
+            checkNegation(parsed, match.index, match.length)
+          );
+          negation.push(decision);
+          if (decision.decision === 'negated') return;
+          matches.push({ rule, text: match.text, index: match.index, length: match.length, negation: decision });
+        });
+      });
+    });
 
-    for (const pattern of MODERATE_POSITIVE_PATTERNS) {
-      const matches = findMatches(pattern, text);
-      for (const match of matches) {
-        if (!isNegated(text, match.index, match.length)) {
-          matchedKeywords.moderatePositive.push(match.text);
-        }
-      }
-    }
+    // Recruiter shorthand ("USC/GC only", "No H1B", "OPT/CPT welcome"), which is about U.S. work
+    // authorization; statements already covered by a phrase rule ("green card holders only") are not
+    // counted twice
+    const shorthand = pack === US_PACK ? RecruiterVocabulary.findStatements(parsed) : [];
+    shorthand.forEach(statement => {
+      const tier = RecruiterVocabulary.classifyStatement(statement);
+      if (!tier) return;
 
-    // Then check for NEGATIVE indicators (explicit "no sponsorship" statements)
-    for (const pattern of STRONG_NEGATIVE_PATTERNS) {
-      const matches = findMatches(pattern, text);
-      for (const match of matches) {
-        matchedKeywords.strongNegative.push(match.text);
-      }
-    }
+      const weight = TIER_WEIGHTS[tier];
+      const covered = matches.some(other =>
+        Math.sign(other.rule.weight) === Math.sign(weight) &&
+        statement.index < other.index + other.length &&
+        other.index < statement.index + statement.length
+      );
+      if (covered) return;
 
-    for (const pattern of MODERATE_NEGATIVE_PATTERNS) {
-      const matches = findMatches(pattern, text);
-      for (const match of matches) {
-        matchedKeywords.moderateNegative.push(match.text);
+      const terms = statement.terms.join('/');
+      const rule = { id: `vocabulary:${statement.kind}:${terms}`, tier, weight, source: `${statement.kind} ${terms}` };
+      matches.push({ rule, text: statement.text, index: statement.index, length: statement.length, negation: null });
+    });
+
+    // A positive phrase inside a negative statement is part of that statement
+    // ("we are unable to sponsor visas" also contains "sponsor visas")
+    const evidence = matches.filter(item => {
+      const inside = item.rule.weight > 0 && matches.some(other =>
+        other.rule.weight < 0 &&
+        other.index <= item.index &&
+        item.index + item.length <= other.index + other.length
+      );
+      if (inside && item.negation) {
+        item.negation.decision = 'inside_negative';
       }
-    }
+      return !inside;
+    });
+    evidence.forEach(item => matchedKeywords[item.rule.tier].push(item.text));
 
-    // Determine status: Positive indicators override negative ones
-    let status, message, confidence;
+    // Per-visa breakdown; a visa the rules missed still counts ("Can not do H1B.")
+    const visas = classifyVisas(text, matchedKeywords, shorthand, pack);
+    findVisaEvidence(text, visas, evidence, pack).forEach(item => {
+      evidence.push(item);
+      matchedKeywords[item.rule.tier].push(item.text);
+    });
 
-    if (matchedKeywords.strongPositive.length > 0) {
-      // Explicit positive sponsorship language found - definitely yes
-      status = 'yes';
-      message = 'Sponsorship Available';
-      confidence = 'high';
-    } else if (matchedKeywords.strongNegative.length > 0) {
-      // Strong negative indicators found - definitely no sponsorship
-      status = 'no';
-      message = 'No Sponsorship';
-      confidence = 'high';
-    } else if (matchedKeywords.moderatePositive.length > 0) {
-      // Moderate positive indicators found - likely yes
+    const restriction = pack.restriction
+      ? classifyPackRestriction(matchedKeywords.restriction, pack)
+      : classifyRestriction(text, matchedKeywords.restriction);
+    const scoring = Scoring.score(evidence, text, thresholds);
+
+    const condition = findConditions(text, parsed, visas, evidence);
+
+    // Determine status from the weighted score
+    let status, message;
+    const { confidence } = scoring;
+
+    if (scoring.verdict === 'no' && restriction) {
+      // Legally restricted to citizens or residents - different from declining to sponsor
+      status = 'restricted';
+      message = getRestrictionMessage(restriction);
+    } else if (condition && scoring.verdict !== 'no') {
+      // Hedged or limited offer ("for senior roles only", "may be considered", "available at this time")
+      status = 'conditional';
+      message = getConditionMessage(country, condition);
+    } else if (scoring.verdict === 'yes') {
       status = 'yes';
-      message = 'Sponsorship Available';
-      confidence = 'medium';
-    } else if (matchedKeywords.moderateNegative.length > 0) {
-      // Only moderate negative indicators found - likely no sponsorship
+      message = messages.yes;
+    } else if (scoring.verdict === 'no') {
       status = 'no';
-      message = 'No Sponsorship';
-      confidence = 'medium';
+      message = messages.no;
+    } else if (scoring.verdict === 'uncertain') {
+      // Evidence found, but not enough (or too mixed) to cross either threshold
+      status = 'unclear';
+      message = messages.unclear;
     } else {
-      // No indicators found - default to yes (most jobs don't mention sponsorship)
-      status = 'yes';
-      message = 'Sponsorship Available';
-      confidence = 'low'; // Low confidence since we're inferring from absence of indicators
+      // No indicators found - how this is shown depends on the user's policy (see applyNotMentionedPolicy)
+      status = 'not_mentioned';
+      message = messages.not_mentioned;
     }
 
     // Collect all matched keywords for display
     const allMatchedKeywords = [
       ...matchedKeywords.strongPositive,
       ...matchedKeywords.moderatePositive,
+      ...matchedKeywords.restriction,
       ...matchedKeywords.strongNegative,
       ...matchedKeywords.moderateNegative
     ];
 
-    // Calculate score for compatibility
-    let score = 0;
-    if (matchedKeywords.strongPositive.length > 0) score = 3;
-    else if (matchedKeywords.moderatePositive.length > 0) score = 1;
-    else if (matchedKeywords.strongNegative.length > 0) score = -3;
-    else if (matchedKeywords.moderateNegative.length > 0) score = -1;
-
     return {
+      country,
+      location: JobLocation.read(options.location || null, text),
       status,
-      score,
+      score: scoring.score,
       confidence,
       matchedKeywords: [...new Set(allMatchedKeywords)], // Remove duplicates
       message,
-      details: matchedKeywords
+      details: matchedKeywords,
+      scoring: {
+        positive: scoring.positive,
+        negative: scoring.negative,
+        thresholds: Object.assign({}, thresholds),
+        breakdown: scoring.breakdown
+      },
+      visas,
+      visaSummary: summarizeVisas(visas, pack),
+      restriction,
+      condition,
+      shorthand: shorthand.map(statement => ({
+        text: statement.text,
+        index: statement.index,
+        kind: statement.kind,
+        terms: statement.terms,
+        description: RecruiterVocabulary.describeStatement(statement)
+      })),
+      negation
     };
   }
 
   /**
-   * Future: AI-powered analysis (placeholder for future enhancement)
+   * Decide how a "not mentioned" result should be presented
+   * Results with any other status are returned unchanged.
+   * @param {Object} result - Analysis result
+   * @param {string} policy - 'optimistic', 'neutral', 'pessimistic' or 'inferred'
+   * @param {Object|null} employerHistory - Result from EmployerLookup.lookup, used by the 'inferred' policy
+   * @returns {Object} - Copy of the result with lean ('likely_yes', 'unknown' or 'likely_no'), leanReason and message
+   */
+  function applyNotMentionedPolicy(result, policy, employerHistory) {
+    if (!result || result.status !== 'not_mentioned') return result;
+
+    // Filing history is about H-1B petitions, so it says nothing about jobs in other countries
+    const pack = CountryPacks.get(result.country);
+
+    let lean = 'unknown';
+    let leanReason = 'The description does not mention sponsorship.';
+
+    if (policy === 'optimistic') {
+      lean = 'likely_yes';
+      leanReason = 'The description does not mention sponsorship; most postings that stay silent are open to it.';
+    } else if (policy === 'pessimistic') {
+      lean = 'likely_no';
+      leanReason = 'The description does not mention sponsorship; assume it is not offered until confirmed.';
+    } else if (policy === 'inferred' && employerHistory && !pack) {
+      if (employerHistory.filings > 0) {
+        lean = 'likely_yes';
+        leanReason = `The description does not mention sponsorship, but the employer filed ${employerHistory.filings} H-1B petitions in FY${employerHistory.fiscalYear}.`;
+      } else {
+        lean = 'likely_no';
+        leanReason = 'The description does not mention sponsorship, and the employer has no H-1B filings on record.';
+      }
+    }
+
+    const messages = pack
+      ? {
+        likely_yes: `${pack.label} visa sponsorship: Not mentioned · Likely`,
+        unknown: `${pack.label} visa sponsorship: Not mentioned`,
+        likely_no: `${pack.label} visa sponsorship: Not mentioned · Unlikely`
+      }
+      : {
+        likely_yes: 'Not Mentioned · Likely Sponsors',
+        unknown: 'Sponsorship Not Mentioned',
+        likely_no: 'Not Mentioned · Unlikely to Sponsor'
+      };
+
+    return Object.assign({}, result, {
+      lean,
+      leanReason,
+      message: messages[lean]
+    });
+  }
+
+  // Badge messages for statuses set by a user correction or an AI verdict
+  const STATUS_MESSAGES = {
+    yes: 'Sponsorship Available',
+    conditional: 'Conditional Sponsorship',
+    no: 'No Sponsorship',
+    restricted: 'US Persons Only',
+    unclear: 'Sponsorship Unclear',
+    not_mentioned: 'Sponsorship Not Mentioned'
+  };
+
+  /**
+   * Get the badge messages for a country; outside the U.S. they name the country ("UK visa sponsorship: No")
+   * @param {string} country - Country code
+   * @returns {Object} - Messages by status
+   */
+  function getStatusMessages(country) {
+    const pack = CountryPacks.get(country);
+    if (!pack) return STATUS_MESSAGES;
+
+    const prefix = `${pack.label} visa sponsorship`;
+    return {
+      yes: `${prefix}: Yes`,
+      conditional: `${prefix}: Conditional`,
+      no: `${prefix}: No`,
+      restricted: pack.restriction.messages.citizenship,
+      unclear: `${prefix}: Unclear`,
+      not_mentioned: `${prefix}: Not mentioned`
+    };
+  }
+
+  /**
+   * Get the badge message for conditional sponsorship, e.g. "Conditional · Senior Only"
+   * @param {string} country - Country code
+   * @param {Object} condition - Result of findConditions()
+   * @returns {string}
+   */
+  function getConditionMessage(country, condition) {
+    const pack = CountryPacks.get(country);
+    const prefix = pack ? `${pack.label} visa sponsorship: ` : '';
+    return `${prefix}Conditional · ${condition.titles.join(', ')}`;
+  }
+
+  /**
+   * Get the badge message for a status set from outside the rules, keeping the restriction or
+   * condition wording when the rules found one
+   * @param {Object} result - Analysis result
+   * @param {string} status - New status
+   * @returns {string}
+   */
+  function getStatusMessage(result, status) {
+    if (status === 'restricted' && result.restriction) {
+      return getRestrictionMessage(result.restriction);
+    }
+    if (status === 'conditional' && result.condition) {
+      return getConditionMessage(result.country, result.condition);
+    }
+    return getStatusMessages(result.country)[status];
+  }
+
+  /**
+   * Apply the user's correction to an analysis result
+   * Apply before applyNotMentionedPolicy, so a job corrected to "not mentioned" still gets a lean.
+   * @param {Object} result - Analysis result
+   * @param {Object|null} correction - From CorrectionStore.get: { status, text, originalStatus, correctedAt }
+   * @returns {Object} - Copy of the result with the corrected status and a `correction` record,
+   *   or the result unchanged when there is no correction
+   */
+  function applyCorrection(result, correction) {
+    if (!result || !correction || !STATUS_MESSAGES[correction.status]) return result;
+
+    const { status } = correction;
+    return Object.assign({}, result, {
+      status,
+      message: getStatusMessage(result, status),
+      confidence: 'high',
+      // The visa summary and restriction or condition only stay when they agree with the correction
+      visaSummary: status === result.status ? result.visaSummary : null,
+      restriction: status === 'restricted' ? result.restriction : null,
+      condition: status === 'conditional' ? result.condition : null,
+      correction: {
+        status,
+        originalStatus: result.status,
+        originalMessage: result.message,
+        text: correction.text || null,
+        correctedAt: correction.correctedAt
+      }
+    });
+  }
+
+  // AI verdicts: the statuses and per-visa verdicts a model may answer with
+  const AI_STATUSES = ['yes', 'conditional', 'no', 'restricted', 'unclear', 'not_mentioned'];
+  const AI_VISA_STATUSES = ['supported', 'excluded', 'not_mentioned'];
+  const AI_VERDICT_KEYS = ['status', 'visas', 'evidence', 'rationale'];
+  const AI_MAX_EVIDENCE = 5;
+
+  // Long descriptions are cut to fit small local models' context windows
+  const AI_MAX_DESCRIPTION_LENGTH = 12000;
+
+  const AI_SYSTEM_PROMPT = [
+    'You read job postings and decide whether the employer will sponsor a work visa for the role.',
+    'Statuses:',
+    '- "yes": the posting offers visa sponsorship.',
+    '- "conditional": sponsorship is offered with a limit (senior roles only, transfers only, case by case, for now).',
+    '- "no": the posting says sponsorship is not available (also "not available at this time"), or requires the right to work in the job\'s country without sponsorship.',
+    '- "restricted": the role is legally limited to citizens or permanent residents of the job\'s country (security clearance, export control).',
+    '- "unclear": the posting talks about work authorization but does not say whether it sponsors.',
+    '- "not_mentioned": the posting says nothing about sponsorship or work authorization.',
+    'For each visa type, answer "supported", "excluded" or "not_mentioned" from what the posting says about it.',
+    `Quote up to ${AI_MAX_EVIDENCE} short passages that support the status, copied exactly from the posting; quote nothing for "not_mentioned".`,
+    'Give a one or two sentence rationale. Reply with JSON only, matching the schema.'
+  ].join('\n');
+
+  /**
+   * Build the prompt and JSON schema for a provider request
+   * @param {string} jobDescription - Job description text
+   * @param {string} [country] - Country the job is in (U.S. by default); sets the visa types asked about
+   * @returns {Object} - { messages, schema }
+   */
+  function buildAIRequest(jobDescription, country) {
+    const { code, visaTypes } = getPack(country);
+    const visaKeys = Object.keys(visaTypes);
+    const visaList = visaKeys.map(key => `${key} (${visaTypes[key].label})`).join(', ');
+    const text = jobDescription.length > AI_MAX_DESCRIPTION_LENGTH
+      ? `${jobDescription.slice(0, AI_MAX_DESCRIPTION_LENGTH)} […]`
+      : jobDescription;
+
+    const visaProperties = {};
+    visaKeys.forEach(key => {
+      visaProperties[key] = { type: 'string', enum: AI_VISA_STATUSES };
+    });
+
+    return {
+      messages: [
+        { role: 'system', content: AI_SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `Job country: ${CountryPacks.getName(code)}\nVisa types: ${visaList}\n\nJob posting:\n<<<\n${text}\n>>>`
+        }
+      ],
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: AI_VERDICT_KEYS,
+        properties: {
+          status: { type: 'string', enum: AI_STATUSES },
+          visas: { type: 'object', additionalProperties: false, required: visaKeys, properties: visaProperties },
+          evidence: { type: 'array', maxItems: AI_MAX_EVIDENCE, items: { type: 'string' } },
+          rationale: { type: 'string' }
+        }
+      }
+    };
+  }
+
+  /**
+   * Parse and validate a model's reply against the verdict schema
+   * @param {string} content - Reply text
+   * @param {string} [country] - Country the request was built for (U.S. by default)
+   * @returns {Object} - { status, visas, evidence, rationale }
+   * @throws {Error} - When the reply isn't JSON or doesn't match the schema
+   */
+  function parseAIVerdict(content, country) {
+    const { visaTypes } = getPack(country);
+    let data;
+    try {
+      // Some local models wrap JSON in a Markdown code fence despite the schema
+      data = JSON.parse(String(content).trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+      throw new Error('The model did not reply with JSON');
+    }
+
+    const fail = detail => {
+      throw new Error(`The model's reply does not match the verdict schema: ${detail}`);
+    };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) fail('not an object');
+    const unknownKeys = Object.keys(data).filter(key => !AI_VERDICT_KEYS.includes(key));
+    if (unknownKeys.length > 0) fail(`unexpected ${unknownKeys.join(', ')}`);
+    if (!AI_STATUSES.includes(data.status)) fail(`status "${data.status}"`);
+    if (!data.visas || typeof data.visas !== 'object' || Array.isArray(data.visas)) fail('visas is not an object');
+    if (!Array.isArray(data.evidence) || data.evidence.some(quote => typeof quote !== 'string')) {
+      fail('evidence is not a list of quotes');
+    }
+    if (typeof data.rationale !== 'string') fail('rationale is not text');
+
+    Object.keys(data.visas).forEach(key => {
+      if (!visaTypes[key]) fail(`unknown visa type "${key}"`);
+      if (!AI_VISA_STATUSES.includes(data.visas[key])) fail(`visa ${key} is "${data.visas[key]}"`);
+    });
+    const visas = {};
+    Object.keys(visaTypes).forEach(key => {
+      if (!(key in data.visas)) fail(`visa ${key} is missing`);
+      visas[key] = data.visas[key];
+    });
+
+    return {
+      status: data.status,
+      visas,
+      evidence: data.evidence.slice(0, AI_MAX_EVIDENCE),
+      rationale: data.rationale.trim()
+    };
+  }
+
+  /**
+   * Normalize text for finding quotes: case, whitespace and typographic quotes/dashes are ignored
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizeForQuote(text) {
+    return text
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/[‐‑‒–—]/g, '-')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Decide whether the rules' result needs a second opinion
+   * @param {Object} result - Result of analyze()
+   * @returns {string|null} - Why ('low confidence' or 'conflicting evidence'), or null when the rules are sure
+   */
+  function needsAI(result) {
+    if (!result) return null;
+    if (result.status === 'unclear' || result.confidence === 'low') return 'low confidence';
+    if (result.scoring && result.scoring.positive >= 1 && result.scoring.negative <= -1) return 'conflicting evidence';
+    return null;
+  }
+
+  /**
+   * Combine the rules' result with an AI verdict
+   * The verdict replaces the status only when the rules weren't sure and the model backed it with a quote
+   * found in the text ("not_mentioned" needs none). Otherwise the rules' status stands and the verdict is
+   * attached as a second opinion.
+   * @param {Object} result - Result of analyze()
+   * @param {Object} verdict - From parseAIVerdict()
+   * @param {string} jobDescription - The analyzed text, to check the quotes against
+   * @param {Object} details - { provider, model, reason }
+   * @returns {Object} - Copy of the result with an `ai` record
+   */
+  function combineWithAI(result, verdict, jobDescription, details) {
+    const normalizedText = normalizeForQuote(jobDescription);
+    const evidence = verdict.evidence.filter(quote => {
+      const normalizedQuote = normalizeForQuote(quote);
+      return normalizedQuote.length > 0 && normalizedText.includes(normalizedQuote);
+    });
+
+    const agrees = verdict.status === result.status;
+    const supported = verdict.status === 'not_mentioned' || evidence.length > 0;
+    const adopted = !agrees && !!details.reason && supported;
+
+    const ai = Object.assign({}, details, {
+      status: verdict.status,
+      visas: verdict.visas,
+      evidence,
+      unverifiedQuotes: verdict.evidence.length - evidence.length,
+      rationale: verdict.rationale,
+      agrees,
+      adopted
+    });
+
+    if (!adopted) {
+      return Object.assign({}, result, { ai });
+    }
+
+    return Object.assign({}, result, {
+      status: verdict.status,
+      message: `${getStatusMessage(result, verdict.status)} · AI`,
+      confidence: 'medium',
+      visaSummary: null,
+      restriction: verdict.status === 'restricted' ? result.restriction : null,
+      condition: verdict.status === 'conditional' ? result.condition : null,
+      ai: Object.assign(ai, { rulesStatus: result.status, rulesMessage: result.message })
+    });
+  }
+
+  /**
+   * Analyze a job description with the rules, and ask a language model when the rules aren't sure
+   * Never rejects: provider and schema failures are reported in `ai.error` with the rules' result unchanged.
    * @param {string} jobDescription - The job description text
-   * @returns {Promise<Object>} - AI analysis result
+   * @param {Object} options - { provider } from LLMProviders, plus optional country and location (as for
+   *   analyze()), result (the rules' result, when already computed), always (ask even when the rules are
+   *   sure), and cache ({ get(key), set(key, verdict) } returning promises) with cacheKey (e.g. model +
+   *   description hash)
+   * @returns {Promise<Object>} - Analysis result; `ai` is null when the model wasn't asked
    */
-  async function analyzeWithAI(jobDescription) {
-    // Placeholder for future AI API integration
-    // This would use OpenAI/Claude API for more sophisticated analysis
-    throw new Error('AI analysis not yet implemented');
+  async function analyzeWithAI(jobDescription, options) {
+    const result = options.result || analyze(jobDescription, { country: options.country, location: options.location });
+    const reason = needsAI(result);
+    if (!jobDescription || typeof jobDescription !== 'string' || (!reason && !options.always)) {
+      return Object.assign({}, result, { ai: null });
+    }
+
+    const { provider, cache, cacheKey } = options;
+    const details = { provider: provider.id, model: provider.model, reason };
+    try {
+      let verdict = cache && cacheKey ? await cache.get(cacheKey) : null;
+      if (!verdict) {
+        const request = buildAIRequest(jobDescription, result.country);
+        verdict = parseAIVerdict(await provider.complete(request), result.country);
+        if (cache && cacheKey) {
+          await cache.set(cacheKey, verdict);
+        }
+      }
+      return combineWithAI(result, verdict, jobDescription, details);
+    } catch (error) {
+      return Object.assign({}, result, { ai: Object.assign(details, { error: error.message }) });
+    }
   }
 
   // Public API
   return {
     analyze,
-    analyzeWithAI
+    analyzeWithAI,
+    needsAI,
+    buildAIRequest,
+    parseAIVerdict,
+    applyNotMentionedPolicy,
+    applyCorrection,
+    getVersion,
+    compileRule,
+    matchRule,
+    setCustomRules,
+    setThresholds,
+    TIERS,
+    TIER_WEIGHTS,
+    VISA_TYPES
   };
 })();
 
@@ -0,0 +1,36 @@
+/**
+ * Background service worker
+ * Tells the content script when a job site navigates in place (history.pushState/replaceState), which the
+ * content script can't see from its isolated world, and runs AI analysis requests for content scripts
+ * (job sites' pages can't reach a local model server, the extension can)
+ */
+
+importScripts('llm.js');
+
+(function () {
+  'use strict';
+
+  // Must match NAVIGATION_MESSAGE in content.js
+  const NAVIGATION_MESSAGE = 'h1b-sponsor:navigation';
+
+  // Hosts of the sites in sites.js; the content script ignores pages that aren't job pages
+  const HOST_SUFFIXES = ['linkedin.com', 'indeed.com', 'glassdoor.com', 'greenhouse.io', 'lever.co'];
+
+  chrome.webNavigation.onHistoryStateUpdated.addListener(details => {
+    // Only the top frame runs the content script
+    if (details.frameId !== 0) return;
+
+    chrome.tabs.sendMessage(details.tabId, { type: NAVIGATION_MESSAGE, url: details.url }, { frameId: 0 })
+      .catch(() => {
+        // No content script in the tab (e.g. a non-job page of the site, or one still loading)
+      });
+  }, { url: HOST_SUFFIXES.map(hostSuffix => ({ hostSuffix })) });
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== LLMProviders.AI_MESSAGE) return false;
+
+    LLMProviders.handleBackgroundRequest(message).then(sendResponse);
+    // Keep the channel open for the asynchronous response
+    return true;
+  });
+})();
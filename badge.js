@@ -8,13 +8,58 @@ const BadgeManager = (function () {
 
   const BADGE_ID = 'h1b-sponsor-badge';
   const BADGE_CONTAINER_ID = 'h1b-sponsor-badge-container';
+  const CARD_CHIP_CLASS = 'h1b-sponsor-card-chip';
+  const EMPLOYER_HISTORY_ID = 'h1b-sponsor-employer-history';
+  const PANEL_ID = 'h1b-sponsor-evidence-panel';
+
+  const TIER_LABELS = {
+    strongPositive: 'Strong positive',
+    moderatePositive: 'Moderate positive',
+    restriction: 'Restriction',
+    strongNegative: 'Strong negative',
+    moderateNegative: 'Moderate negative'
+  };
+
+  // Statuses the user can correct a job to, in display order
+  const CORRECTION_STATUSES = [
+    { status: 'yes', label: 'Sponsorship available' },
+    { status: 'conditional', label: 'Conditional sponsorship' },
+    { status: 'no', label: 'No sponsorship' },
+    { status: 'restricted', label: 'Restricted to U.S. persons' },
+    { status: 'not_mentioned', label: 'Not mentioned' }
+  ];
+
+  // Labels for an AI verdict's status and per-visa answers
+  const AI_STATUS_LABELS = {
+    yes: 'sponsorship available',
+    conditional: 'conditional sponsorship',
+    no: 'no sponsorship',
+    restricted: 'restricted to U.S. persons',
+    unclear: 'unclear',
+    not_mentioned: 'not mentioned'
+  };
+
+  // Filing history for the open job's employer, shown next to the badge
+  let employerHistory = null;
+
+  // Result shown by the badge, for the evidence panel
+  let badgeResult = null;
+
+  // Called with { status, text } when a correction is saved, or null when it is undone
+  let correctionListener = null;
+
+  // Text last selected on the page outside the badge, offered as proof for a correction.
+  // Clicking the badge clears the page selection, so it is remembered as it changes.
+  let lastSelection = '';
+  let selectionTracked = false;
 
   /**
    * Get badge colors based on status
-   * @param {string} status - Status: 'yes', 'no', or 'unclear'
+   * @param {string} status - Status: 'yes', 'no', 'restricted', 'conditional', 'not_mentioned', or 'unclear'
+   * @param {string} [lean] - For 'not_mentioned': 'likely_yes', 'unknown' or 'likely_no'
    * @returns {Object} - Color configuration
    */
-  function getBadgeColors(status) {
+  function getBadgeColors(status, lean) {
     switch (status) {
       case 'yes':
         return {
@@ -30,6 +75,44 @@ const BadgeManager = (function () {
           text: '#ffffff',
           icon: '✗'
         };
+      case 'restricted':
+        return {
+          background: '#5e3a8c',
+          border: '#472b6b',
+          text: '#ffffff',
+          icon: '⚑'
+        };
+      case 'conditional':
+        return {
+          background: '#0e7c86',
+          border: '#0a5c63',
+          text: '#ffffff',
+          icon: '◐'
+        };
+      case 'not_mentioned':
+        // Outlined rather than filled, so a silent posting never looks like an explicit answer
+        if (lean === 'likely_yes') {
+          return {
+            background: '#ffffff',
+            border: '#057642',
+            text: '#057642',
+            icon: '–'
+          };
+        }
+        if (lean === 'likely_no') {
+          return {
+            background: '#ffffff',
+            border: '#c7372f',
+            text: '#c7372f',
+            icon: '–'
+          };
+        }
+        return {
+          background: '#ffffff',
+          border: '#666666',
+          text: '#444444',
+          icon: '–'
+        };
       case 'unclear':
         return {
           background: '#e37318',
@@ -56,7 +139,44 @@ const BadgeManager = (function () {
     const { status, message, matchedKeywords, confidence } = analysisResult;
 
     let tooltip = `${message}\n\n`;
-    tooltip += `Confidence: ${confidence.toUpperCase()}\n\n`;
+    if (analysisResult.country === CountryPacks.OTHER_COUNTRY) {
+      tooltip += 'Checked with the rules shared by every country: the job location is outside the U.S., in a country without its own rules\n\n';
+    } else if (isOutsideUS(analysisResult)) {
+      tooltip += `Checked with the ${CountryPacks.getName(analysisResult.country)} rules (from the job location)\n\n`;
+    }
+    const locationLine = describeLocation(analysisResult.location);
+    if (locationLine) {
+      tooltip += `${locationLine}\n\n`;
+    }
+    if (analysisResult.restriction) {
+      tooltip += `${analysisResult.restriction.explanation}\n\n`;
+    }
+    if (analysisResult.condition) {
+      tooltip += `${analysisResult.condition.explanation}\n`;
+      tooltip += `Condition: ${analysisResult.condition.evidence.map(item => `"${item.text}"`).join(', ')}\n\n`;
+    }
+    if (analysisResult.shorthand && analysisResult.shorthand.length > 0) {
+      tooltip += `Recruiter shorthand: ${analysisResult.shorthand.map(item => item.description).join('; ')}\n\n`;
+    }
+    if (analysisResult.leanReason) {
+      tooltip += `${analysisResult.leanReason}\n\n`;
+    }
+    if (analysisResult.correction) {
+      tooltip += `Corrected by you (the analyzer said "${analysisResult.correction.originalMessage}")\n\n`;
+    }
+    const { ai } = analysisResult;
+    if (ai && !ai.error) {
+      if (ai.adopted) {
+        tooltip += `Read by the AI model; the rules said "${ai.rulesMessage}"\n\n`;
+      } else if (!ai.agrees) {
+        tooltip += `AI second opinion: ${AI_STATUS_LABELS[ai.status]}\n\n`;
+      }
+    }
+    tooltip += `Confidence: ${confidence.toUpperCase()}`;
+    if (analysisResult.scoring) {
+      tooltip += ` (score ${analysisResult.score})`;
+    }
+    tooltip += '\n\n';
 
     if (matchedKeywords.length > 0) {
       tooltip += `Matched keywords:\n${matchedKeywords.slice(0, 5).join(', ')}`;
@@ -67,23 +187,85 @@ const BadgeManager = (function () {
       tooltip += 'No specific keywords found';
     }
 
+    // Per-visa breakdown
+    const visaLines = Object.values(analysisResult.visas || {})
+      .filter(visa => visa.status !== 'not_mentioned')
+      .map(visa => `${visa.label}: ${visa.status === 'supported' ? 'supported' : 'excluded'}`);
+    if (visaLines.length > 0) {
+      tooltip += `\n\nVisa types:\n${visaLines.join('\n')}`;
+    }
+
     return tooltip;
   }
 
+  /**
+   * Whether a result was checked with another country's rules
+   * @param {Object} analysisResult - Result from analyzer
+   * @returns {boolean}
+   */
+  function isOutsideUS(analysisResult) {
+    return !!analysisResult.country && analysisResult.country !== CountryPacks.DEFAULT_COUNTRY;
+  }
+
+  /**
+   * Describe the job's location, workplace type and residency restrictions for the tooltip and panel
+   * @param {Object|undefined} location - `location` of the analysis result
+   * @returns {string|null} - e.g. 'Location: Austin, TX · Remote · US residents only ("must reside in the
+   *   United States")', or null when nothing is known
+   */
+  function describeLocation(location) {
+    if (!location) return null;
+
+    const parts = [];
+    if (location.text) {
+      parts.push(location.text);
+    }
+    if (location.workplaceType) {
+      parts.push(JobLocation.WORKPLACE_LABELS[location.workplaceType]);
+    }
+    location.residency.forEach(entry => {
+      parts.push(`${entry.label} residents only ("${entry.text}")`);
+    });
+    return parts.length > 0 ? `Location: ${parts.join(' · ')}` : null;
+  }
+
+  /**
+   * Get the text shown on the badge
+   * @param {Object} analysisResult - Result from analyzer
+   * @returns {string} - Per-visa summary when the description names visas, else the status message
+   */
+  function getBadgeText(analysisResult) {
+    // A legal restriction or condition matters more than which visas are mentioned, and outside the U.S.
+    // the message names the country ("UK visa sponsorship: No")
+    if (analysisResult.status === 'restricted' || analysisResult.status === 'conditional' ||
+      isOutsideUS(analysisResult)) {
+      return analysisResult.message;
+    }
+    return analysisResult.visaSummary || analysisResult.message;
+  }
+
   /**
    * Create the badge element
    * @param {Object} analysisResult - Analysis result from analyzer
    * @returns {HTMLElement} - Badge element
    */
   function createBadge(analysisResult) {
-    const { status, message } = analysisResult;
-    const colors = getBadgeColors(status);
+    const { status, lean } = analysisResult;
+    const colors = getBadgeColors(status, lean);
 
     const badge = document.createElement('div');
     badge.id = BADGE_ID;
     badge.className = 'h1b-sponsor-badge';
     badge.setAttribute('data-status', status);
+    if (lean) {
+      badge.setAttribute('data-lean', lean);
+    }
     badge.setAttribute('title', createTooltipText(analysisResult));
+    badge.setAttribute('role', 'button');
+    badge.setAttribute('tabindex', '0');
+    badge.setAttribute('aria-haspopup', 'dialog');
+    badge.setAttribute('aria-expanded', 'false');
+    badge.setAttribute('aria-controls', PANEL_ID);
 
     badge.style.cssText = `
       display: inline-flex;
@@ -98,7 +280,7 @@ const BadgeManager = (function () {
       font-weight: 600;
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
       box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-      cursor: help;
+      cursor: pointer;
       transition: all 0.2s ease;
       z-index: 10000;
       position: relative;
@@ -112,9 +294,12 @@ const BadgeManager = (function () {
       font-weight: bold;
     `;
 
-    // Text
+    // Text, followed by where the job can be done from ("Remote, US residents only"); card chips leave it out
     const text = document.createElement('span');
-    text.textContent = message;
+    const locationSummary = JobLocation.summarize(analysisResult.location);
+    text.textContent = locationSummary
+      ? `${getBadgeText(analysisResult)} · ${locationSummary}`
+      : getBadgeText(analysisResult);
 
     badge.appendChild(icon);
     badge.appendChild(text);
@@ -130,42 +315,534 @@ const BadgeManager = (function () {
       this.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.1)';
     });
 
+    // Evidence panel
+    badge.addEventListener('click', togglePanel);
+    badge.addEventListener('keydown', function (event) {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        togglePanel();
+      }
+    });
+
     return badge;
   }
 
   /**
-   * Find the best position to inject the badge on LinkedIn job page
-   * @returns {HTMLElement|null} - Target container element or null
+   * Explain why the final status was chosen
+   * @param {Object} analysisResult - Result from analyzer
+   * @returns {string}
    */
-  function findBadgeContainer() {
-    // Try multiple selectors for LinkedIn job page structure
-    const selectors = [
-      '.jobs-details-top-card__job-title-lockup', // Job title area
-      '.jobs-details__main-content .jobs-details-top-card', // Top card container
-      '.jobs-search__job-details .jobs-details-top-card', // Search view top card
-      '.jobs-details__main-content', // Main content area
-      '.jobs-details-top-card', // Top card (direct)
-      '.jobs-details__job-details-top-card', // Alternative top card selector
-      '[data-job-id]', // Any element with job ID
-      '.jobs-details__main-content header', // Header in main content
-      '.jobs-details__main-content > div:first-child' // First child of main content
-    ];
+  function explainStatus(analysisResult) {
+    const { status, score, scoring, correction } = analysisResult;
+    const thresholds = scoring ? scoring.thresholds : null;
+
+    if (correction) {
+      const proof = correction.text ? ` Your proof: "${correction.text}".` : '';
+      return `You corrected this job; the analyzer said "${correction.originalMessage}".${proof}`;
+    }
+
+    if (analysisResult.ai && analysisResult.ai.adopted) {
+      const { ai } = analysisResult;
+      return `The rules were not sure (${ai.reason}: "${ai.rulesMessage}"), so the AI model's reading is shown.`;
+    }
+
+    switch (status) {
+      case 'restricted':
+        return analysisResult.restriction
+          ? analysisResult.restriction.explanation
+          : `The description restricts the role to ${isOutsideUS(analysisResult) ? 'citizens or residents' : 'U.S. persons'}.`;
+      case 'conditional':
+        return `Sponsorship is offered with a condition. ${analysisResult.condition.explanation}`;
+      case 'yes':
+        return `The evidence scores ${score}, at or above the "available" threshold of ${thresholds.yes}.`;
+      case 'no':
+        return `The evidence scores ${score}, at or below the "no sponsorship" threshold of ${thresholds.no}.`;
+      case 'unclear':
+        return `The evidence scores ${score}, between the "no sponsorship" (${thresholds.no}) and "available" (${thresholds.yes}) thresholds.`;
+      default:
+        return analysisResult.leanReason || 'The description does not mention sponsorship.';
+    }
+  }
+
+  /**
+   * Rate one piece of evidence by how much of its weight counted
+   * @param {number} multiplier - Hit multiplier from the scoring breakdown
+   * @returns {string} - 'high', 'medium' or 'low'
+   */
+  function getHitConfidence(multiplier) {
+    if (multiplier >= 1) return 'high';
+    if (multiplier >= 0.5) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Create one evidence row of the panel
+   * @param {Object} entry - Scoring breakdown entry
+   * @param {Object} hit - Hit from the entry
+   * @returns {HTMLElement} - List item
+   */
+  function createEvidenceItem(entry, hit) {
+    const item = document.createElement('li');
+    item.className = 'h1b-sponsor-panel__item';
+    item.setAttribute('data-tier', entry.tier);
+
+    const category = document.createElement('span');
+    category.className = 'h1b-sponsor-panel__category';
+    category.textContent = TIER_LABELS[entry.tier] || entry.tier;
+    item.appendChild(category);
+
+    const meta = document.createElement('span');
+    meta.className = 'h1b-sponsor-panel__meta';
+    const weight = entry.weight > 0 ? `+${entry.weight}` : String(entry.weight);
+    meta.textContent = `weight ${weight} · counted ×${hit.multiplier} · ${getHitConfidence(hit.multiplier)} confidence`;
+    if (hit.notes.length > 0) {
+      meta.setAttribute('title', hit.notes.join('\n'));
+    }
+    item.appendChild(meta);
+
+    const sentence = document.createElement('q');
+    sentence.className = 'h1b-sponsor-panel__sentence';
+    sentence.textContent = hit.sentence || hit.text;
+    item.appendChild(sentence);
+
+    const jump = document.createElement('button');
+    jump.type = 'button';
+    jump.className = 'h1b-sponsor-panel__jump';
+    jump.textContent = `Jump to "${hit.text}"`;
+    jump.setAttribute('aria-label', `Jump to "${hit.text}" in the description`);
+    jump.addEventListener('click', function () {
+      const found = typeof Highlighter !== 'undefined' && Highlighter.focusEvidence(hit.index, hit.text);
+      if (!found) {
+        jump.textContent = 'Not highlighted on the page';
+        jump.disabled = true;
+      }
+    });
+    item.appendChild(jump);
+
+    return item;
+  }
+
+  /**
+   * Create the evidence panel for an analysis result
+   * @param {Object} analysisResult - Result from analyzer
+   * @returns {HTMLElement} - Panel element
+   */
+  function createEvidencePanel(analysisResult) {
+    const panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    panel.className = 'h1b-sponsor-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Sponsorship evidence');
+    panel.setAttribute('tabindex', '-1');
+
+    const header = document.createElement('div');
+    header.className = 'h1b-sponsor-panel__header';
+    const title = document.createElement('strong');
+    title.textContent = analysisResult.message;
+    header.appendChild(title);
+    const summary = document.createElement('span');
+    if (analysisResult.correction) {
+      summary.textContent = 'corrected by you';
+    } else if (analysisResult.ai && analysisResult.ai.adopted) {
+      summary.textContent = `${analysisResult.confidence} confidence · AI`;
+    } else {
+      summary.textContent = analysisResult.scoring
+        ? `${analysisResult.confidence} confidence · score ${analysisResult.score}`
+        : `${analysisResult.confidence} confidence`;
+    }
+    header.appendChild(summary);
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'h1b-sponsor-panel__close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close evidence panel');
+    close.addEventListener('click', () => closePanel(true));
+    header.appendChild(close);
+    panel.appendChild(header);
+
+    const why = document.createElement('p');
+    why.className = 'h1b-sponsor-panel__why';
+    why.textContent = explainStatus(analysisResult);
+    panel.appendChild(why);
+
+    const locationLine = describeLocation(analysisResult.location);
+    if (locationLine) {
+      const location = document.createElement('p');
+      location.className = 'h1b-sponsor-panel__location';
+      location.textContent = locationLine;
+      panel.appendChild(location);
+    }
+
+    // Seniority, employment type, salary and posted date from the top card
+    const metadataLine = JobMetadata.summarize(analysisResult.metadata);
+    if (metadataLine) {
+      const metadata = document.createElement('p');
+      metadata.className = 'h1b-sponsor-panel__metadata';
+      metadata.textContent = metadataLine;
+      panel.appendChild(metadata);
+    }
+
+    const hits = [];
+    ((analysisResult.scoring && analysisResult.scoring.breakdown) || []).forEach(entry => {
+      entry.hits.forEach(hit => hits.push({ entry, hit }));
+    });
 
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        return element;
+    if (hits.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'h1b-sponsor-panel__empty';
+      empty.textContent = 'No sponsorship statements were found.';
+      panel.appendChild(empty);
+    } else {
+      const list = document.createElement('ul');
+      list.className = 'h1b-sponsor-panel__list';
+      hits
+        .sort((a, b) => a.hit.index - b.hit.index)
+        .forEach(({ entry, hit }) => list.appendChild(createEvidenceItem(entry, hit)));
+      panel.appendChild(list);
+    }
+
+    if (analysisResult.ai) {
+      panel.appendChild(createAISection(analysisResult.ai));
+    }
+
+    if (correctionListener) {
+      panel.appendChild(createCorrectionSection(analysisResult));
+    }
+
+    return panel;
+  }
+
+  /**
+   * Remember text selected on the page, outside the badge and panel
+   */
+  function trackSelection() {
+    if (selectionTracked) return;
+    selectionTracked = true;
+
+    document.addEventListener('selectionchange', () => {
+      const selection = document.getSelection();
+      const text = selection ? selection.toString().replace(/\s+/g, ' ').trim() : '';
+      const container = document.getElementById(BADGE_CONTAINER_ID);
+      if (text && !(container && selection.anchorNode && container.contains(selection.anchorNode))) {
+        lastSelection = text;
       }
+    });
+  }
+
+  /**
+   * Create the "AI second opinion" section of the panel
+   * @param {Object} ai - The result's `ai` record from Analyzer.analyzeWithAI
+   * @returns {HTMLElement}
+   */
+  function createAISection(ai) {
+    const section = document.createElement('div');
+    section.className = 'h1b-sponsor-panel__ai';
+
+    const heading = document.createElement('strong');
+    heading.textContent = `AI second opinion (${ai.model})`;
+    section.appendChild(heading);
+
+    const verdict = document.createElement('p');
+    verdict.className = 'h1b-sponsor-panel__ai-verdict';
+    if (ai.error) {
+      verdict.textContent = `Not available: ${ai.error}`;
+      section.appendChild(verdict);
+      return section;
+    }
+    if (ai.adopted) {
+      verdict.textContent = `Reads it as ${AI_STATUS_LABELS[ai.status]}; shown instead of the rules' "${ai.rulesMessage}".`;
+    } else if (ai.agrees) {
+      verdict.textContent = `Agrees: ${AI_STATUS_LABELS[ai.status]}.`;
+    } else {
+      verdict.textContent = `Disagrees: reads it as ${AI_STATUS_LABELS[ai.status]}.`;
+    }
+    verdict.setAttribute('data-agrees', String(ai.agrees));
+    section.appendChild(verdict);
+
+    if (ai.rationale) {
+      const rationale = document.createElement('p');
+      rationale.className = 'h1b-sponsor-panel__ai-rationale';
+      rationale.textContent = ai.rationale;
+      section.appendChild(rationale);
+    }
+
+    if (ai.evidence.length > 0) {
+      const quotes = document.createElement('ul');
+      quotes.className = 'h1b-sponsor-panel__list';
+      ai.evidence.forEach(quote => {
+        const item = document.createElement('li');
+        item.className = 'h1b-sponsor-panel__item';
+        const sentence = document.createElement('q');
+        sentence.className = 'h1b-sponsor-panel__sentence';
+        sentence.textContent = quote;
+        item.appendChild(sentence);
+        quotes.appendChild(item);
+      });
+      section.appendChild(quotes);
+    }
+    if (ai.unverifiedQuotes > 0) {
+      const unverified = document.createElement('p');
+      unverified.className = 'h1b-sponsor-panel__empty';
+      unverified.textContent = `${ai.unverifiedQuotes} quote(s) not found in the description were left out.`;
+      section.appendChild(unverified);
+    }
+
+    return section;
+  }
+
+  /**
+   * Create the "This is wrong" section of the panel
+   * @param {Object} analysisResult - Result shown by the badge
+   * @returns {HTMLElement}
+   */
+  function createCorrectionSection(analysisResult) {
+    const section = document.createElement('div');
+    section.className = 'h1b-sponsor-panel__correction';
+
+    const actions = document.createElement('div');
+    actions.className = 'h1b-sponsor-panel__actions';
+    const wrong = document.createElement('button');
+    wrong.type = 'button';
+    wrong.className = 'h1b-sponsor-panel__action';
+    wrong.textContent = analysisResult.correction ? 'Change correction' : 'This is wrong';
+    wrong.setAttribute('aria-expanded', 'false');
+    actions.appendChild(wrong);
+
+    if (analysisResult.correction) {
+      const undo = document.createElement('button');
+      undo.type = 'button';
+      undo.className = 'h1b-sponsor-panel__action';
+      undo.textContent = 'Undo correction';
+      undo.addEventListener('click', () => {
+        closePanel(true);
+        correctionListener(null);
+      });
+      actions.appendChild(undo);
+    }
+    section.appendChild(actions);
+
+    const form = document.createElement('form');
+    form.className = 'h1b-sponsor-panel__form';
+    form.hidden = true;
+
+    const statusLabel = document.createElement('label');
+    statusLabel.textContent = 'Correct status';
+    const select = document.createElement('select');
+    CORRECTION_STATUSES.forEach(({ status, label }) => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    statusLabel.appendChild(select);
+    form.appendChild(statusLabel);
+
+    const textLabel = document.createElement('label');
+    textLabel.textContent = 'Text that proves it (optional)';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Select it in the description, or type it';
+    textLabel.appendChild(input);
+    form.appendChild(textLabel);
+
+    const useSelection = document.createElement('button');
+    useSelection.type = 'button';
+    useSelection.className = 'h1b-sponsor-panel__action';
+    useSelection.textContent = 'Use selected text';
+    // Keep the page selection when the button is pressed
+    useSelection.addEventListener('mousedown', event => event.preventDefault());
+    useSelection.addEventListener('click', () => {
+      input.value = lastSelection;
+      input.focus();
+    });
+    form.appendChild(useSelection);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'h1b-sponsor-panel__actions';
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'h1b-sponsor-panel__action h1b-sponsor-panel__action--primary';
+    save.textContent = 'Save';
+    buttons.appendChild(save);
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'h1b-sponsor-panel__action';
+    cancel.textContent = 'Cancel';
+    buttons.appendChild(cancel);
+    form.appendChild(buttons);
+
+    wrong.addEventListener('click', () => {
+      const current = analysisResult.correction;
+      // Start from the status the user most likely means: the saved one, or anything but the shown one
+      select.value = current
+        ? current.status
+        : CORRECTION_STATUSES.find(option => option.status !== analysisResult.status).status;
+      input.value = current && current.text ? current.text : lastSelection;
+      form.hidden = false;
+      wrong.setAttribute('aria-expanded', 'true');
+      select.focus();
+    });
+    cancel.addEventListener('click', () => {
+      form.hidden = true;
+      wrong.setAttribute('aria-expanded', 'false');
+      wrong.focus();
+    });
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      closePanel(true);
+      correctionListener({ status: select.value, text: input.value.trim() });
+    });
+
+    section.appendChild(form);
+    return section;
+  }
+
+  /**
+   * Close the panel on Escape
+   * @param {KeyboardEvent} event
+   */
+  function handlePanelKeydown(event) {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      closePanel(true);
+    }
+  }
+
+  /**
+   * Close the panel when clicking outside the badge and panel
+   * @param {MouseEvent} event
+   */
+  function handleOutsideClick(event) {
+    const container = document.getElementById(BADGE_CONTAINER_ID);
+    if (!container || !container.contains(event.target)) {
+      closePanel(false);
+    }
+  }
+
+  /**
+   * Open the evidence panel under the badge
+   */
+  function openPanel() {
+    const container = document.getElementById(BADGE_CONTAINER_ID);
+    const badge = document.getElementById(BADGE_ID);
+    if (!container || !badge || !badgeResult) return;
+
+    closePanel(false);
+    const panel = createEvidencePanel(badgeResult);
+    container.appendChild(panel);
+    badge.setAttribute('aria-expanded', 'true');
+    document.addEventListener('keydown', handlePanelKeydown, true);
+    document.addEventListener('click', handleOutsideClick, true);
+    panel.focus();
+  }
+
+  /**
+   * Close the evidence panel
+   * @param {boolean} returnFocus - Move focus back to the badge (when closed from the keyboard or close button)
+   */
+  function closePanel(returnFocus) {
+    document.removeEventListener('keydown', handlePanelKeydown, true);
+    document.removeEventListener('click', handleOutsideClick, true);
+
+    const panel = document.getElementById(PANEL_ID);
+    if (panel) {
+      panel.remove();
+    }
+
+    const badge = document.getElementById(BADGE_ID);
+    if (badge) {
+      badge.setAttribute('aria-expanded', 'false');
+      if (returnFocus) badge.focus();
+    }
+  }
+
+  /**
+   * Open or close the evidence panel
+   */
+  function togglePanel() {
+    if (document.getElementById(PANEL_ID)) {
+      closePanel(true);
+    } else {
+      openPanel();
+    }
+  }
+
+  /**
+   * Create the employer filing history note shown next to the badge
+   * @param {Object} history - Result from EmployerLookup.lookup
+   * @returns {HTMLElement} - History element
+   */
+  function createEmployerHistoryElement(history) {
+    const element = document.createElement('span');
+    element.id = EMPLOYER_HISTORY_ID;
+    element.className = 'h1b-sponsor-employer-history';
+
+    if (history.filings > 0) {
+      const plural = history.filings === 1 ? '' : 's';
+      element.textContent = `Filed ${history.filings.toLocaleString()} H-1B petition${plural} in FY${history.fiscalYear}`;
+
+      const yearLines = Object.keys(history.years).sort().reverse().map(year => {
+        const [filings, approvals, denials] = history.years[year];
+        return `FY${year}: ${filings} filed, ${approvals} approved, ${denials} denied`;
+      });
+      element.setAttribute('title', `Matched employer: ${history.name}\n\n${yearLines.join('\n')}`);
+    } else {
+      element.textContent = history.fiscalYear
+        ? `No H-1B filings on record for FY${history.fiscalYear}`
+        : 'No H-1B filings on record';
+      element.setAttribute('title', 'No matching employer in the offline DOL/USCIS disclosure data');
+    }
+
+    element.style.cssText = `
+      margin-left: 8px;
+      font-size: 12px;
+      color: #56687a;
+      cursor: help;
+    `;
+
+    return element;
+  }
+
+  /**
+   * Show the current employer history next to the badge, if both exist
+   */
+  function renderEmployerHistory() {
+    const existing = document.getElementById(EMPLOYER_HISTORY_ID);
+    if (existing) {
+      existing.remove();
+    }
+
+    const container = document.getElementById(BADGE_CONTAINER_ID);
+    if (container && employerHistory) {
+      container.appendChild(createEmployerHistoryElement(employerHistory));
+    }
+  }
+
+  /**
+   * Set the filing history of the open job's employer
+   * @param {Object|null} history - Result from EmployerLookup.lookup, or null to hide it
+   */
+  function setEmployerHistory(history) {
+    employerHistory = history;
+    renderEmployerHistory();
+  }
+
+  /**
+   * Find the best position to inject the badge on the job page
+   * @returns {HTMLElement|null} - Target container element or null
+   */
+  function findBadgeContainer() {
+    // The site's own top card first
+    const site = SiteAdapters.getCurrent();
+    const anchor = site ? site.findBadgeAnchor() : null;
+    if (anchor) {
+      return anchor;
     }
 
     // Fallback: look for job title text in various locations
     const jobTitleSelectors = [
       'h1[class*="job-title"]',
       'h2[class*="job-title"]',
-      'h1.jobs-details-top-card__job-title',
-      'h1.jobs-details-top-card__job-title-lockup',
-      '.jobs-details-top-card h1',
-      '.jobs-details-top-card h2',
       'h1',
       'h2'
     ];
@@ -197,7 +874,7 @@ const BadgeManager = (function () {
     }
 
     // Last resort: try to find any main content area
-    const mainContent = document.querySelector('main, [role="main"], .jobs-details, .jobs-search__job-details');
+    const mainContent = document.querySelector('main, [role="main"]');
     if (mainContent) {
       return mainContent;
     }
@@ -214,10 +891,12 @@ const BadgeManager = (function () {
   function injectBadge(analysisResult, retryCount = 0) {
     // Remove existing badge if present
     removeBadge();
+    badgeResult = analysisResult;
+    trackSelection();
 
     const container = findBadgeContainer();
     if (!container) {
-      // Retry up to 3 times with delays (LinkedIn loads content dynamically)
+      // Retry up to 3 times with delays (job sites load content dynamically)
       if (retryCount < 3) {
         setTimeout(() => {
           injectBadge(analysisResult, retryCount + 1);
@@ -241,6 +920,7 @@ const BadgeManager = (function () {
         `;
         wrapper.appendChild(badge);
         body.appendChild(wrapper);
+        renderEmployerHistory();
         return true;
       }
       return false;
@@ -265,10 +945,12 @@ const BadgeManager = (function () {
       margin: 8px 0;
       display: flex;
       align-items: center;
+      position: relative;
     `;
 
     badge.parentNode.insertBefore(wrapper, badge);
     wrapper.appendChild(badge);
+    renderEmployerHistory();
 
     return true;
   }
@@ -277,6 +959,10 @@ const BadgeManager = (function () {
    * Remove badge from the page
    */
   function removeBadge() {
+    // The panel belongs to the job it was opened for
+    closePanel(false);
+    badgeResult = null;
+
     const existingBadge = document.getElementById(BADGE_ID);
     const existingContainer = document.getElementById(BADGE_CONTAINER_ID);
 
@@ -313,11 +999,101 @@ const BadgeManager = (function () {
     injectBadge(analysisResult);
   }
 
+  /**
+   * Create a compact status chip for a job card in the search results list
+   * @param {Object} analysisResult - Analysis result from analyzer
+   * @returns {HTMLElement} - Chip element
+   */
+  function createCardChip(analysisResult) {
+    const { status, lean } = analysisResult;
+    const colors = getBadgeColors(status, lean);
+
+    const chip = document.createElement('span');
+    chip.className = CARD_CHIP_CLASS;
+    chip.setAttribute('data-status', status);
+    if (lean) {
+      chip.setAttribute('data-lean', lean);
+    }
+    chip.setAttribute('title', createTooltipText(analysisResult));
+    chip.textContent = `${colors.icon} ${getBadgeText(analysisResult)}`;
+
+    chip.style.cssText = `
+      display: inline-flex;
+      align-items: center;
+      margin: 4px 0;
+      padding: 1px 8px;
+      background-color: ${colors.background};
+      border: 1px solid ${colors.border};
+      border-radius: 10px;
+      color: ${colors.text};
+      font-size: 11px;
+      font-weight: 600;
+      line-height: 16px;
+      cursor: help;
+    `;
+
+    return chip;
+  }
+
+  /**
+   * Find the element inside a job card that the chip should follow
+   * @param {HTMLElement} card - Job card element
+   * @returns {HTMLElement|null} - Anchor element, or null to append to the card
+   */
+  function findCardChipAnchor(card) {
+    const site = SiteAdapters.getCurrent();
+    return site ? site.findCardTitle(card) : null;
+  }
+
+  /**
+   * Add or refresh the status chip on a job card
+   * @param {HTMLElement} card - Job card element from the results list
+   * @param {Object} analysisResult - Analysis result for that card's job
+   * @returns {boolean} - True if the card's DOM was changed
+   */
+  function injectCardChip(card, analysisResult) {
+    const existingChip = card.querySelector(`.${CARD_CHIP_CLASS}`);
+    const tooltip = createTooltipText(analysisResult);
+
+    // Leave an up-to-date chip alone so our own mutations don't retrigger observers
+    if (existingChip &&
+      existingChip.getAttribute('data-status') === analysisResult.status &&
+      existingChip.getAttribute('title') === tooltip) {
+      return false;
+    }
+
+    if (existingChip) {
+      existingChip.remove();
+    }
+
+    const chip = createCardChip(analysisResult);
+    const anchor = findCardChipAnchor(card);
+    if (anchor) {
+      anchor.parentNode.insertBefore(chip, anchor.nextSibling);
+    } else {
+      card.appendChild(chip);
+    }
+
+    return true;
+  }
+
+  /**
+   * Register the listener for corrections made in the evidence panel
+   * The panel only offers "This is wrong" once a listener is registered.
+   * @param {Function} listener - Called with { status, text } to save a correction, or null to undo it
+   */
+  function onCorrection(listener) {
+    correctionListener = listener;
+  }
+
   // Public API
   return {
     injectBadge,
     removeBadge,
-    updateBadge
+    updateBadge,
+    injectCardChip,
+    setEmployerHistory,
+    onCorrection
   };
 })();
 
@@ -1,6 +1,7 @@
 /**
  * Content Script - Main entry point for the extension
- * Handles page detection, job description extraction, and badge management
+ * Handles page detection, job description extraction, and badge management; site markup is read
+ * through the adapter for the current site (see sites.js)
  */
 
 (function () {
@@ -9,77 +10,97 @@
   let currentJobId = null;
   let currentJobDescriptionHash = null;
   let isProcessing = false;
-  let observer = null;
-  let checkInterval = null;
 
-  /**
-   * Check if current URL is a LinkedIn job page
-   * @returns {boolean}
-   */
-  function isLinkedInJobPage() {
-    const url = window.location.href;
-    const path = window.location.pathname;
+  // Retries (300ms apart) while a job page's description loads
+  const MAX_DESCRIPTION_RETRIES = 20;
 
-    // Check for job search page with currentJobId parameter
-    if (path.includes('/jobs/search') && url.includes('currentJobId=')) {
-      return true;
-    }
+  // Sent by background.js when the page navigates with history.pushState/replaceState
+  const NAVIGATION_MESSAGE = 'h1b-sponsor:navigation';
 
-    // Check for direct job view page (with or without trailing slash)
-    // Examples: /jobs/view/4345903518/ or /jobs/view/4345903518
-    if (path.match(/\/jobs\/view\/\d+\/?/)) {
-      return true;
-    }
+  // Observers scoped to the open job's details and to the search results list, and the elements they watch
+  let detailsObserver = null;
+  let listObserver = null;
+  let observedDetailsRoot = null;
+  let observedListRoot = null;
 
-    // Check for job collections (recommended, featured, etc.)
-    // Examples: /jobs/collections/recommended/?currentJobId=123, /jobs/collections/featured/?currentJobId=456
-    if (path.includes('/jobs/collections/')) {
-      return true;
-    }
+  // Raw analysis result and employer filing history for the open job
+  let currentAnalysisResult = null;
+  let currentEmployerHistory = null;
+
+  // Adapter for the job site this page belongs to
+  const site = SiteAdapters.getCurrent();
 
-    return false;
+  // AI verdicts by model and description, so a revisited or reposted job doesn't ask again
+  const aiVerdictCache = LLMProviders.createVerdictCache();
+
+  /**
+   * Check if the current page shows a job
+   * @returns {boolean}
+   */
+  function isJobPage() {
+    return site.isJobPage(window.location);
   }
 
   /**
-   * Extract job ID from URL
+   * Extract the open job's ID from the URL or page
    * @returns {string|null} - Job ID or null if not found
    */
   function extractJobId() {
-    const url = window.location.href;
-    const path = window.location.pathname;
-
-    // Try to get from currentJobId query parameter
-    const urlParams = new URLSearchParams(window.location.search);
-    const jobIdFromQuery = urlParams.get('currentJobId');
-    if (jobIdFromQuery) {
-      return jobIdFromQuery;
-    }
+    return site.getJobId(window.location);
+  }
 
-    // Try to extract from /jobs/view/{id}/ path (with or without trailing slash)
-    const viewMatch = path.match(/\/jobs\/view\/(\d+)\/?/);
-    if (viewMatch && viewMatch[1]) {
-      return viewMatch[1];
-    }
+  /**
+   * Prepare an analysis result for display: the user's correction first, then the "not mentioned" policy
+   * @param {Object} analysisResult - Raw analysis result (as stored)
+   * @param {Object|null} employerHistory - Employer filing history, if known
+   * @param {string|null} jobId - Job the result is for, to look up its correction
+   * @returns {Object} - Result to pass to BadgeManager
+   */
+  function toDisplayResult(analysisResult, employerHistory, jobId) {
+    const corrected = Analyzer.applyCorrection(analysisResult, CorrectionStore.get(jobId));
+    return Analyzer.applyNotMentionedPolicy(corrected, Settings.get().notMentionedPolicy, employerHistory);
+  }
 
-    // Try to find job ID in page data attributes or meta tags
-    const jobIdElement = document.querySelector('[data-job-id]');
-    if (jobIdElement) {
-      return jobIdElement.getAttribute('data-job-id');
-    }
+  /**
+   * Add status chips to every listed job that has already been analyzed, then apply the results filter
+   */
+  function decorateJobCards() {
+    const storedEntries = ResultStore.getAll();
+    const analyzerVersion = Analyzer.getVersion();
 
-    return null;
+    try {
+      const cards = site.findCards();
+      const statuses = new Map();
+      cards.forEach((card, jobId) => {
+        const entry = storedEntries[jobId];
+        if (entry && entry.analyzerVersion === analyzerVersion) {
+          const displayResult = toDisplayResult(entry.result, null, jobId);
+          BadgeManager.injectCardChip(card, displayResult);
+          statuses.set(jobId, displayResult.status);
+        }
+      });
+      ResultsFilter.apply(cards, statuses, currentJobId);
+    } catch (error) {
+      // Silently fail - the card list is a nice-to-have
+    }
   }
 
   /**
    * Create a simple hash of the job description for comparison
    * @param {string} text - Job description text
-   * @returns {string} - Hash string (first 200 chars + length)
+   * @returns {string|null} - Hash string (content hash + length)
    */
   function hashJobDescription(text) {
-    if (!text) return null;
-    // Use first 200 chars + total length as a simple hash
-    const preview = text.substring(0, 200).trim();
-    return preview + '|' + text.length;
+    return ResultStore.hashText(text);
+  }
+
+  /**
+   * Get the stored analysis for a job, if the current analyzer produced it
+   * @param {string|null} jobId - Job ID
+   * @returns {Object|null} - Stored entry with result and descriptionHash
+   */
+  function getStoredEntry(jobId) {
+    return jobId ? ResultStore.get(jobId, Analyzer.getVersion()) : null;
   }
 
   /**
@@ -87,60 +108,71 @@
    * @returns {string|null} - Job description text or null if not found
    */
   function extractJobDescription() {
-    // Try multiple selectors for job description (LinkedIn may use different selectors)
-    const selectors = [
-      '.jobs-description-content__text',
-      '.show-more-less-html__markup',
-      '.jobs-description__text',
-      '.jobs-box__html-content',
-      '[class*="jobs-description"]',
-      '[class*="description-content"]',
-      '.jobs-description-content',
-      '.jobs-box--fadeout'
-    ];
-
-    let descriptionText = '';
-
-    for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
-
-      for (const element of elements) {
-        // Get text content, removing extra whitespace
-        const text = element.textContent || element.innerText || '';
-        if (text.trim().length > 100) { // Minimum length threshold
-          descriptionText += ' ' + text.trim();
-        }
-      }
-    }
+    return site.extractDescription();
+  }
 
-    // If no description found with selectors, try getting all text from main content
-    if (!descriptionText.trim()) {
-      const mainContent = document.querySelector('.jobs-details__main-content, .jobs-search__job-details');
-      if (mainContent) {
-        // Get text but exclude navigation and other non-description elements
-        const clone = mainContent.cloneNode(true);
-        const excludeSelectors = ['nav', 'header', 'footer', 'button', '.jobs-details-top-card'];
-        excludeSelectors.forEach(sel => {
-          const elements = clone.querySelectorAll(sel);
-          elements.forEach(el => el.remove());
-        });
-        descriptionText = clone.textContent || '';
-      }
-    }
+  /**
+   * Extract the open job's metadata (title, company, location, salary, seniority, employment type and
+   * posted date) from its top card
+   * @param {string} description - Job description text, for the salary when the top card has none
+   * @param {string} country - Job country, for the currency of "$" amounts
+   * @returns {Object} - Metadata matching JobMetadata.SCHEMA
+   */
+  function extractJobMetadata(description, country) {
+    return JobMetadata.extract(site.extractDetails(), site.extractMetadataTexts(), { description, country });
+  }
 
-    return descriptionText.trim() || null;
+  /**
+   * Collect the job details stored with its result
+   * @param {string} jobId - Job ID
+   * @param {Object} metadata - The job's metadata
+   * @returns {Object} - { company, title, location, url }
+   */
+  function getJobDetails(jobId, metadata) {
+    return {
+      company: metadata.company,
+      title: metadata.title,
+      location: metadata.location,
+      url: site.getJobUrl(jobId)
+    };
+  }
+
+  /**
+   * Look up the employer's H-1B filing history and show it next to the badge
+   * @param {string|null} jobId - Job the lookup is for
+   * @param {string|null} companyName - Company from the job's metadata
+   */
+  function showEmployerHistory(jobId, companyName) {
+    EmployerLookup.lookup(companyName)
+      .then(history => {
+        // Ignore late answers for a job that is no longer open
+        if (jobId !== currentJobId) return;
+
+        currentEmployerHistory = history;
+        BadgeManager.setEmployerHistory(history);
+
+        // The 'inferred' policy reads a silent posting from the employer's history
+        if (history && currentAnalysisResult && toDisplayResult(currentAnalysisResult, null, jobId).status === 'not_mentioned' &&
+          Settings.get().notMentionedPolicy === 'inferred') {
+          BadgeManager.updateBadge(toDisplayResult(currentAnalysisResult, history, jobId));
+        }
+      })
+      .catch(() => {
+        // Silently fail - filing history is supplementary
+      });
   }
 
   /**
    * Process the current job page
    * @param {boolean} force - Force reprocessing even if job ID hasn't changed
+   * @param {number} attempt - Retries while waiting for the description (internal use)
    */
-  function processJobPage(force = false) {
+  function processJobPage(force = false, attempt = 0) {
     if (isProcessing && !force) {
       return;
     }
 
-    if (!isLinkedInJobPage()) {
+    if (!isJobPage()) {
       return;
     }
 
@@ -159,54 +191,154 @@
       return;
     }
 
-    // If we don't have a description yet, wait a bit for LinkedIn to load it
+    // The previous employer's filing history must not linger on a new job
+    if (jobIdChanged) {
+      currentEmployerHistory = null;
+      BadgeManager.setEmployerHistory(null);
+    }
+
+    // If we don't have a description yet, wait a bit for the site to load it
     if (!description) {
+      // Show the stored result for a revisited job while the description loads
+      const pendingEntry = getStoredEntry(jobId);
+      if (pendingEntry && !document.getElementById('h1b-sponsor-badge')) {
+        BadgeManager.injectBadge(toDisplayResult(pendingEntry.result, null, jobId));
+      }
+
       // Don't process if we're waiting for description to load
       if (!force && currentJobId === jobId) {
         return;
       }
-      // Wait for description to load
-      setTimeout(() => processJobPage(force), 300);
+      // Wait for description to load; once the details container exists, its observer takes over
+      observeRoots();
+      if (attempt < MAX_DESCRIPTION_RETRIES) {
+        setTimeout(() => processJobPage(force, attempt + 1), 300);
+      }
       return;
     }
 
     isProcessing = true;
-    currentJobId = jobId;
-    currentJobDescriptionHash = descriptionHash;
+    // Always clear the flag, or a throw would stop checkForJobChange() from ever processing another job
+    try {
+      currentJobId = jobId;
+      currentJobDescriptionHash = descriptionHash;
+
+      // The job's location picks the country rules it is checked with; it and the workplace type are
+      // attached to the result, as is the rest of the top card's metadata
+      const details = site.extractDetails();
+      const country = CountryPacks.detectCountry(details.location);
+      const topCard = JobLocation.parseTopCard(details.location, details.workplace);
+      let metadata = extractJobMetadata(description, country);
+
+      // Reuse the stored result unless the description or location changed since it was analyzed, or it
+      // holds an AI verdict and AI analysis has been turned off since
+      const storedEntry = getStoredEntry(jobId);
+      let analysisResult;
+      if (storedEntry && storedEntry.descriptionHash === descriptionHash &&
+        storedEntry.result.country === country && JobLocation.isSameTopCard(storedEntry.result.location, topCard) &&
+        (storedEntry.result.ai === undefined || Settings.get().ai.enabled)) {
+        analysisResult = storedEntry.result;
+
+        // Metadata doesn't change the analysis, so a top card that shows something new only updates it. The
+        // first posted date read is kept: "3 days ago" is more precise than the later "1 month ago".
+        const storedMetadata = analysisResult.metadata;
+        if (storedMetadata && storedMetadata.postedDate) {
+          metadata = Object.assign({}, metadata, { postedDate: storedMetadata.postedDate });
+        }
+        if (!JobMetadata.isSame(storedMetadata, metadata)) {
+          analysisResult = Object.assign({}, analysisResult, { metadata });
+          ResultStore.set(jobId, analysisResult, descriptionHash, Analyzer.getVersion(), getJobDetails(jobId, metadata));
+        }
+      } else {
+        analysisResult = Object.assign(Analyzer.analyze(description, { country, location: topCard }), { metadata });
+        if (jobId) {
+          ResultStore.set(jobId, analysisResult, descriptionHash, Analyzer.getVersion(), getJobDetails(jobId, metadata));
+        }
+      }
 
-    // Analyze the job description
-    const analysisResult = Analyzer.analyze(description);
+      currentAnalysisResult = analysisResult;
 
-    // Inject or update badge
-    if (document.getElementById('h1b-sponsor-badge')) {
-      BadgeManager.updateBadge(analysisResult);
-    } else {
-      BadgeManager.injectBadge(analysisResult);
-    }
+      // Results without an `ai` record were never shown to the model (or it failed last time)
+      if (jobId && analysisResult.ai === undefined) {
+        requestAIVerdict(jobId, description, descriptionHash, analysisResult);
+      }
 
-    // Highlight sentences if no sponsorship detected
-    try {
-      if (analysisResult.status === 'no') {
+      // Show the result on the matching card in the results list too
+      decorateJobCards();
+      observeRoots();
+
+      // H-1B filings only tell something about U.S. jobs
+      if (jobIdChanged && analysisResult.country === CountryPacks.DEFAULT_COUNTRY) {
+        showEmployerHistory(jobId, metadata.company);
+      }
+
+      // Inject or update badge
+      const displayResult = toDisplayResult(analysisResult, currentEmployerHistory, jobId);
+      if (document.getElementById('h1b-sponsor-badge')) {
+        BadgeManager.updateBadge(displayResult);
+      } else {
+        BadgeManager.injectBadge(displayResult);
+      }
+
+      // Highlight every matched phrase
+      try {
         // Small delay to ensure DOM is ready for highlighting
         setTimeout(() => {
           if (typeof Highlighter !== 'undefined') {
             Highlighter.highlight(analysisResult, description);
           }
         }, 100);
-      } else {
-        if (typeof Highlighter !== 'undefined') {
-          Highlighter.removeHighlights();
-        }
+      } catch (error) {
+        // Silently fail - don't break the extension
       }
-    } catch (error) {
-      // Silently fail - don't break the extension
+    } finally {
+      isProcessing = false;
     }
+  }
 
-    isProcessing = false;
+  /**
+   * Show the open job and the listed cards again after a correction or stored result changed
+   */
+  function showStoredResult() {
+    // The stored result is reused, so this only re-renders the badge, highlights and cards
+    currentJobDescriptionHash = null;
+    processJobPage(true);
+    decorateJobCards();
   }
 
   /**
-   * Handle URL changes (LinkedIn is a SPA, so we need to monitor this)
+   * Ask the configured language model for a second opinion, store the combined result and show it
+   * Runs in the background after the rules' result is shown; a local model can take a while.
+   * @param {string} jobId - Job ID
+   * @param {string} description - Job description text
+   * @param {string} descriptionHash - Hash of the description
+   * @param {Object} analysisResult - The rules' result
+   */
+  function requestAIVerdict(jobId, description, descriptionHash, analysisResult) {
+    const config = Settings.get().ai;
+    if (!config || !config.enabled) return;
+
+    Analyzer.analyzeWithAI(description, {
+      provider: LLMProviders.createBackgroundProvider(config),
+      country: analysisResult.country,
+      result: analysisResult,
+      always: config.mode === 'always',
+      cache: aiVerdictCache,
+      cacheKey: `${config.endpoint}|${config.model}|${analysisResult.country}|${descriptionHash}`
+    }).then(result => {
+      // Not asked, or failed: keep the rules' result stored so the next visit asks again
+      if (!result.ai || result.ai.error) return;
+
+      ResultStore.set(jobId, result, descriptionHash, Analyzer.getVersion(), getJobDetails(jobId, result.metadata));
+      // Ignore late answers for a job or description that is no longer open
+      if (jobId === currentJobId && descriptionHash === currentJobDescriptionHash) {
+        showStoredResult();
+      }
+    });
+  }
+
+  /**
+   * Handle URL changes (job sites are SPAs, so we need to monitor this)
    */
   function handleUrlChange() {
     const newJobId = extractJobId();
@@ -215,9 +347,10 @@
     if (newJobId !== currentJobId) {
       currentJobId = null;
       currentJobDescriptionHash = null;
+      currentAnalysisResult = null;
       BadgeManager.removeBadge();
       Highlighter.removeHighlights();
-      // Small delay to let LinkedIn load the new job content
+      // Small delay to let the site load the new job content
       setTimeout(() => processJobPage(true), 200);
     }
   }
@@ -237,6 +370,7 @@
       if (jobId !== currentJobId) {
         currentJobId = null;
         currentJobDescriptionHash = null;
+        currentAnalysisResult = null;
         BadgeManager.removeBadge();
         Highlighter.removeHighlights();
       }
@@ -245,118 +379,140 @@
   }
 
   /**
-   * Initialize the extension
+   * Point the observers at the open job's details and the results list
+   * Sites re-render both when another job or search is opened, so this re-attaches to replaced elements.
    */
-  function init() {
-    // Process current page
-    processJobPage();
+  function observeRoots() {
+    if (!detailsObserver) return;
+
+    const detailsRoot = site.findDetailsRoot();
+    if (detailsRoot !== observedDetailsRoot) {
+      detailsObserver.disconnect();
+      observedDetailsRoot = detailsRoot;
+      if (detailsRoot) {
+        detailsObserver.observe(detailsRoot, { childList: true, subtree: true, characterData: true });
+      }
+    }
 
-    // Monitor URL changes (LinkedIn uses pushState for navigation)
-    let lastUrl = window.location.href;
+    const listRoot = site.cardSelector ? site.findList() : null;
+    if (listRoot !== observedListRoot) {
+      listObserver.disconnect();
+      observedListRoot = listRoot;
+      if (listRoot) {
+        listObserver.observe(listRoot, { childList: true, subtree: true });
+      }
+    }
+  }
 
-    // Override pushState and replaceState to detect navigation
-    const originalPushState = history.pushState;
-    const originalReplaceState = history.replaceState;
+  /**
+   * Initialize the extension
+   */
+  async function init() {
+    // The manifest only injects on supported sites, but a host may change its domain layout
+    if (!site) return;
+
+    // Load user rules and stored results first so revisited jobs show their badge immediately
+    const [settings] = await Promise.all([Settings.load(), ResultStore.load(), CorrectionStore.load()]);
+    Analyzer.setCustomRules(settings.customRules);
+    Analyzer.setThresholds(settings.scoringThresholds);
+    ResultsFilter.setMode(settings.searchFilter);
+
+    // Filter picked on the page: remember it for other tabs and later visits
+    ResultsFilter.onModeChange(searchFilter => {
+      Settings.save({ searchFilter });
+    });
 
-    history.pushState = function () {
-      originalPushState.apply(history, arguments);
-      setTimeout(() => {
-        if (window.location.href !== lastUrl) {
-          lastUrl = window.location.href;
-          handleUrlChange();
-        }
-      }, 100);
-    };
+    // Re-analyze the open job when rules or thresholds are edited on the options page
+    Settings.onChange((updatedSettings, changedKeys) => {
+      if (changedKeys.includes('customRules') || changedKeys.includes('scoringThresholds')) {
+        Analyzer.setCustomRules(updatedSettings.customRules);
+        Analyzer.setThresholds(updatedSettings.scoringThresholds);
+        currentJobDescriptionHash = null;
+        processJobPage(true);
+      }
 
-    history.replaceState = function () {
-      originalReplaceState.apply(history, arguments);
-      setTimeout(() => {
-        if (window.location.href !== lastUrl) {
-          lastUrl = window.location.href;
-          handleUrlChange();
+      // Policy changes only affect how results are shown
+      if (changedKeys.includes('notMentionedPolicy')) {
+        if (currentAnalysisResult && toDisplayResult(currentAnalysisResult, null, currentJobId).status === 'not_mentioned' &&
+          document.getElementById('h1b-sponsor-badge')) {
+          BadgeManager.updateBadge(toDisplayResult(currentAnalysisResult, currentEmployerHistory, currentJobId));
         }
-      }, 100);
-    };
+        decorateJobCards();
+      }
+
+      if (changedKeys.includes('searchFilter')) {
+        ResultsFilter.setMode(updatedSettings.searchFilter);
+      }
+
+      // AI analysis turned on (ask about the open job) or off (show the rules' result again)
+      if (changedKeys.includes('ai')) {
+        currentJobDescriptionHash = null;
+        processJobPage(true);
+      }
+    });
+
+    // "This is wrong" on the badge: save or undo the correction, then show the job again
+    BadgeManager.onCorrection(correction => {
+      if (!currentJobId || !currentAnalysisResult) return;
+
+      const saved = correction
+        ? CorrectionStore.set(currentJobId, {
+          status: correction.status,
+          text: correction.text,
+          originalStatus: currentAnalysisResult.status
+        })
+        : CorrectionStore.remove(currentJobId);
+      saved.then(showStoredResult);
+    });
+
+    // Corrections made in another tab or removed on the options page
+    CorrectionStore.onChange(showStoredResult);
+
+    // Process current page
+    processJobPage();
+    decorateJobCards();
 
-    // Also listen for popstate (back/forward navigation)
-    window.addEventListener('popstate', () => {
+    // Navigation within the page: pushState/replaceState are reported by the background service worker,
+    // back/forward by popstate
+    let lastUrl = window.location.href;
+    const onNavigation = () => {
       setTimeout(() => {
         if (window.location.href !== lastUrl) {
           lastUrl = window.location.href;
           handleUrlChange();
         }
+        // A new search replaces the results list
+        observeRoots();
+        decorateJobCards();
       }, 100);
-    });
-
-    // Use MutationObserver to detect when job description content is loaded/updated
-    // Throttle the observer callback to avoid excessive processing
-    let observerTimeout = null;
-    observer = new MutationObserver((mutations) => {
-      // Check if mutations affect job description areas
-      const affectsJobContent = mutations.some(mutation => {
-        const target = mutation.target;
-        if (!target || !target.classList) return false;
-
-        // Check if mutation is in job-related containers
-        const jobSelectors = [
-          '.jobs-description',
-          '.jobs-details',
-          '.jobs-search__job-details',
-          '[class*="jobs-description"]',
-          '[class*="job-details"]'
-        ];
-
-        return jobSelectors.some(selector => {
-          try {
-            return target.matches && target.matches(selector) ||
-              target.closest && target.closest(selector);
-          } catch (e) {
-            return false;
-          }
-        });
-      });
-
-      if (affectsJobContent) {
-        // Debounce the check
-        clearTimeout(observerTimeout);
-        observerTimeout = setTimeout(() => {
-          checkForJobChange();
-        }, 300);
+    };
+    chrome.runtime.onMessage.addListener(message => {
+      if (message && message.type === NAVIGATION_MESSAGE) {
+        onNavigation();
       }
     });
-
-    // Start observing the document body for changes
-    if (document.body) {
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        characterData: true
-      });
-    } else {
-      // Wait for body to be available
-      document.addEventListener('DOMContentLoaded', () => {
-        if (document.body) {
-          observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-            characterData: true
-          });
-        }
-      });
-    }
-
-    // Also set up a periodic check as a fallback (every 2 seconds)
-    // This helps catch cases where mutations aren't detected
-    checkInterval = setInterval(() => {
-      if (isLinkedInJobPage()) {
-        checkForJobChange();
+    window.addEventListener('popstate', onNavigation);
+
+    // Watch the open job for description changes, and the results list for cards it lazy-loads and
+    // recycles as it scrolls. Bursts of changes are handled once.
+    let detailsTimeout = null;
+    let cardsTimeout = null;
+    detailsObserver = new MutationObserver(() => {
+      clearTimeout(detailsTimeout);
+      detailsTimeout = setTimeout(checkForJobChange, 300);
+    });
+    listObserver = new MutationObserver(mutations => {
+      if (mutations.some(mutation => mutation.addedNodes.length > 0)) {
+        clearTimeout(cardsTimeout);
+        cardsTimeout = setTimeout(decorateJobCards, 300);
       }
-    }, 2000);
+    });
+    observeRoots();
 
     // Listen for clicks on job list items (additional detection method)
     document.addEventListener('click', (e) => {
       // Check if click is on a job list item
-      const jobListItem = e.target.closest('[data-job-id], [class*="job-card"], [class*="jobs-search-result"]');
+      const jobListItem = site.cardSelector && e.target.closest && e.target.closest(site.cardSelector);
       if (jobListItem) {
         // Job item clicked, wait a bit then check for changes
         setTimeout(() => {
@@ -0,0 +1,214 @@
+/**
+ * Correction Store
+ * Keeps the user's status corrections per job ID in chrome.storage.local, with a log of corrections
+ * that is turned into suggested rules
+ */
+
+const CorrectionStore = (function () {
+  'use strict';
+
+  const STORAGE_KEY = 'h1bCorrections';
+  const MAX_LOG_ENTRIES = 200;
+
+  // Jobs a phrase must have been selected for before it is suggested as a rule
+  const MIN_SUGGESTION_COUNT = 2;
+
+  // Rule tier a corrected status suggests; other statuses don't map to a rule
+  const SUGGESTION_TIERS = {
+    yes: 'strongPositive',
+    no: 'strongNegative',
+    restricted: 'restriction'
+  };
+
+  // In-memory mirror: { overrides: { jobId: correction }, log: [...], dismissed: [suggestion keys] }
+  let data = { overrides: {}, log: [], dismissed: [] };
+  let loadPromise = null;
+  const listeners = [];
+
+  /**
+   * Check if extension storage can be used in this context
+   * @returns {boolean}
+   */
+  function isStorageAvailable() {
+    try {
+      return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fill in missing parts of stored data
+   * @param {Object|undefined} stored
+   * @returns {Object}
+   */
+  function normalizeData(stored) {
+    return {
+      overrides: (stored && stored.overrides) || {},
+      log: (stored && stored.log) || [],
+      dismissed: (stored && stored.dismissed) || []
+    };
+  }
+
+  /**
+   * Load corrections into memory (safe to call repeatedly)
+   * @returns {Promise<void>}
+   */
+  function load() {
+    if (loadPromise) return loadPromise;
+
+    if (!isStorageAvailable()) {
+      loadPromise = Promise.resolve();
+      return loadPromise;
+    }
+
+    loadPromise = chrome.storage.local.get(STORAGE_KEY)
+      .then(stored => {
+        data = normalizeData(stored && stored[STORAGE_KEY]);
+      })
+      .catch(() => {
+        data = normalizeData();
+      });
+
+    // Keep the mirror in sync with corrections made in other tabs or on the options page
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) {
+        data = normalizeData(changes[STORAGE_KEY].newValue);
+        listeners.forEach(listener => listener());
+      }
+    });
+
+    return loadPromise;
+  }
+
+  /**
+   * Write the corrections back to storage
+   * @returns {Promise<void>}
+   */
+  function save() {
+    if (!isStorageAvailable()) return Promise.resolve();
+    return chrome.storage.local.set({ [STORAGE_KEY]: data }).catch(() => {
+      // Storage quota or context errors shouldn't break the page
+    });
+  }
+
+  /**
+   * Normalize selected text for comparison and for use as a phrase rule
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizePhrase(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s"'“”‘’.,;:!?()-]+|[\s"'“”‘’.,;:!?()-]+$/g, '');
+  }
+
+  /**
+   * Get the correction for a job
+   * @param {string|null} jobId - Job ID
+   * @returns {Object|null} - { status, text, originalStatus, correctedAt }
+   */
+  function get(jobId) {
+    return (jobId && data.overrides[jobId]) || null;
+  }
+
+  /**
+   * Save a correction for a job and log it
+   * @param {string} jobId - Job ID
+   * @param {Object} correction - { status, text?, originalStatus }
+   * @returns {Promise<void>}
+   */
+  function set(jobId, correction) {
+    if (!jobId) return Promise.resolve();
+
+    const now = Date.now();
+    const text = (correction.text || '').trim() || null;
+    data.overrides[jobId] = {
+      status: correction.status,
+      text,
+      originalStatus: correction.originalStatus,
+      correctedAt: now
+    };
+    data.log.push({ jobId, from: correction.originalStatus, to: correction.status, text, at: now });
+    data.log = data.log.slice(-MAX_LOG_ENTRIES);
+
+    return save();
+  }
+
+  /**
+   * Remove a job's correction (the log keeps it)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  function remove(jobId) {
+    if (!data.overrides[jobId]) return Promise.resolve();
+    delete data.overrides[jobId];
+    return save();
+  }
+
+  /**
+   * Get every job's correction
+   * @returns {Object} - Copy of the corrections, keyed by job ID
+   */
+  function getAll() {
+    return Object.assign({}, data.overrides);
+  }
+
+  /**
+   * Suggest rules from phrases selected as proof in several corrections
+   * @param {Function} [isCovered] - (tier, phrase) => true when an existing rule already matches the phrase
+   * @returns {Array<{key: string, tier: string, phrase: string, count: number}>} - Most selected first
+   */
+  function getSuggestions(isCovered) {
+    const groups = new Map();
+    data.log.forEach(entry => {
+      const tier = SUGGESTION_TIERS[entry.to];
+      const phrase = normalizePhrase(entry.text);
+      if (!tier || !phrase) return;
+
+      const key = `${tier}|${phrase}`;
+      if (!groups.has(key)) groups.set(key, { key, tier, phrase, jobIds: new Set() });
+      groups.get(key).jobIds.add(entry.jobId);
+    });
+
+    return Array.from(groups.values())
+      .filter(group => group.jobIds.size >= MIN_SUGGESTION_COUNT && !data.dismissed.includes(group.key))
+      .filter(group => !isCovered || !isCovered(group.tier, group.phrase))
+      .map(group => ({ key: group.key, tier: group.tier, phrase: group.phrase, count: group.jobIds.size }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Stop suggesting a rule (it was added or rejected)
+   * @param {string} key - Suggestion key from getSuggestions()
+   * @returns {Promise<void>}
+   */
+  function dismissSuggestion(key) {
+    if (!data.dismissed.includes(key)) {
+      data.dismissed.push(key);
+    }
+    return save();
+  }
+
+  /**
+   * Register a listener for corrections changed in another tab or page
+   * @param {Function} listener - Called with no arguments
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  // Public API
+  return {
+    load,
+    get,
+    set,
+    remove,
+    getAll,
+    getSuggestions,
+    dismissSuggestion,
+    onChange,
+    SUGGESTION_TIERS
+  };
+})();
@@ -0,0 +1,415 @@
+/**
+ * Country Packs
+ * Sponsorship rules for jobs outside the U.S. and detection of the job's country from its location
+ *
+ * The analyzer's own rules are the U.S. pack. A job in another country is checked with the rules shared by
+ * every country (generic "visa sponsorship" wording, see Analyzer) plus its pack below; the U.S.-only rules
+ * (H-1B and other U.S. visa names, U.S. citizenship, clearance and export control, recruiter shorthand)
+ * are left out. A job in a country without a pack ("Paris, France") gets the shared rules only.
+ */
+
+const CountryPacks = (function () {
+  'use strict';
+
+  const DEFAULT_COUNTRY = 'US';
+
+  // Jobs in a country without a pack
+  const OTHER_COUNTRY = 'OTHER';
+
+  // Location names that settle the country on their own
+  const US_PATTERN = /\bUnited\s+States\b|\bUSA?\b|\bU\.S\./;
+
+  // U.S. state codes as job sites write them after the city ("Austin, TX"), and state names
+  const US_STATE_PATTERN = /,\s*(?:A[KLRZ]|C[AOT]|D[CE]|FL|GA|HI|I[ADLN]|K[SY]|LA|M[ADEINOST]|N[CDEHJMVY]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[AT]|W[AIVY])\b/;
+  const US_STATE_NAME_PATTERN = /\b(?:Alabama|Alaska|Arizona|Arkansas|California|Colorado|Connecticut|Delaware|Florida|Hawaii|Idaho|Illinois|Indiana|Iowa|Kansas|Kentucky|Louisiana|Maine|Maryland|Massachusetts|Michigan|Minnesota|Mississippi|Missouri|Montana|Nebraska|Nevada|New\s+Hampshire|New\s+Jersey|New\s+Mexico|New\s+York|North\s+Carolina|North\s+Dakota|Ohio|Oklahoma|Oregon|Pennsylvania|Rhode\s+Island|South\s+Carolina|South\s+Dakota|Tennessee|Texas|Utah|Vermont|Virginia|Washington|West\s+Virginia|Wisconsin|Wyoming)\b/;
+
+  // U.S. cities and metro areas LinkedIn names without a state ("San Francisco Bay Area", "Greater Boston")
+  const US_CITY_PATTERN = /\b(?:Bay\s+Area|Silicon\s+Valley|San\s+Francisco|San\s+Jose|Los\s+Angeles|San\s+Diego|Seattle|Boston|Chicago|Austin|Dallas|Houston|Atlanta|Denver|Philadelphia|Pittsburgh|Baltimore|Miami|Phoenix|Portland|Minneapolis|Detroit|Raleigh|Charlotte|Nashville|Salt\s+Lake\s+City)\b/i;
+
+  // Locations that only give the workplace type name no place, and keep the U.S. default
+  const PLACELESS_PATTERN = /^(?:[\s(),·\-–]|remote|hybrid|on[\s-]?site|in[\s-]office|work\s+from\s+home)*$/i;
+
+  // Packs in the order their regions and cities are checked ("Victoria, BC" is Canadian, not Australian)
+  // Each pack has:
+  //   label      - short name for badge text ("UK visa sponsorship: No")
+  //   location   - { country, regions, cities } patterns for detectCountry()
+  //   phrases    - PhraseGrammar templates per analyzer tier, or { phrase, weight }
+  //   visaTypes  - visa types reported individually, like Analyzer.VISA_TYPES
+  //   sponsoredVisas - visas a blanket "no sponsorship" excludes
+  //   primaryVisas   - visas a blanket offer of sponsorship covers
+  //   restriction    - how matched restriction phrases are described
+  const PACKS = {
+    CA: {
+      code: 'CA',
+      name: 'Canada',
+      label: 'Canada',
+      location: {
+        country: /\bCanada\b/i,
+        regions: /\b(?:Ontario|Qu[eé]bec|British\s+Columbia|Alberta|Manitoba|Saskatchewan|Nova\s+Scotia|New\s+Brunswick|Newfoundland|Prince\s+Edward\s+Island|Yukon|Nunavut)\b|,\s*(?:ON|QC|BC|AB|MB|SK|NS|NB|NL|PE|YT|NU)\b/,
+        cities: /\b(?:Toronto|Montr[eé]al|Vancouver|Calgary|Ottawa|Edmonton|Mississauga|Winnipeg|Halifax)\b/i
+      },
+      phrases: {
+        strongPositive: [
+          'lmia (sponsorship|support|assistance)',
+          '{subject}? {positive_ability}? ({provide_verb}|sponsor|obtain|apply for|file) (an|a|the)? lmia',
+          'work permit (sponsorship|sponsorships)',
+          '{subject}? {positive_ability}? ({sponsor_verb}|{provide_verb}) (a|an|your|the)? work permit (application)?',
+          { phrase: 'global talent stream', weight: 2 }
+        ],
+        strongNegative: [
+          'no (lmia|work permit) (sponsorship|support|assistance)',
+          '{subject}? {negated_ability} ({provide_verb}|sponsor|obtain|apply for|file) (an|a|the)? (lmia|work permit)',
+          '(lmia|work permit) (sponsorship|support|assistance)? {be}? {adverb}? not {adverb}? (available|provided|offered|supported|possible)',
+          '(not eligible|ineligible) for (an|a)? (lmia|work permit) (sponsorship|support)?',
+          { phrase: 'must (be|have) (legally)? (eligible|entitled|authorized|authorised) to work in canada', weight: -2 },
+          { phrase: 'must (have|hold|possess) (a|an)? (valid)? (canadian)? work permit', weight: -2 }
+        ],
+        restriction: [
+          'canadian (citizen|citizens) only',
+          'only canadian (citizen|citizens)',
+          'must be (a)? canadian citizen',
+          'canadian citizenship {be}? (required|mandatory|essential)',
+          '(canadian)? (citizen|citizens) or permanent (resident|residents)',
+          '(reliability|enhanced reliability|secret|top secret) (security)? (clearance|status)',
+          'controlled goods (program|programme|registration)'
+        ]
+      },
+      visaTypes: {
+        lmia: { label: 'LMIA work permit', mention: [/\bLMIA\b/, /\bLabou?r\s+Market\s+Impact\s+Assessment\b/i] },
+        globalTalent: { label: 'Global Talent Stream', mention: [/\bGlobal\s+Talent\s+Stream\b/i] },
+        cusma: { label: 'CUSMA', mention: [/\bCUSMA\b/, /\bNAFTA\b/] },
+        openWorkPermit: {
+          label: 'Open work permit',
+          mention: [/\bopen\s+work\s+permits?\b/i, /\bPGWP\b/, /\bpost[\s-]+graduat(?:e|ion)\s+work\s+permits?\b/i]
+        },
+        permanentResidence: {
+          label: 'Permanent residence',
+          mention: [/\bExpress\s+Entry\b/i, /\bpermanent\s+residen(?:cy|ce)\s+(?:sponsorship|application|process|support)\b/i, /\bPNP\b/]
+        }
+      },
+      sponsoredVisas: ['lmia', 'globalTalent', 'cusma', 'permanentResidence'],
+      primaryVisas: ['lmia'],
+      restriction: {
+        clearancePattern: /\bclearance\b|\breliability\b|\bsecret\b|\bcontrolled\s+goods\b/i,
+        residentPattern: /\bpermanent\s+residents?\b/i,
+        messages: {
+          clearance: 'Canadian Clearance Required',
+          citizenship: 'Canadian Citizens Only',
+          residents: 'Canadian Citizens or PR Only'
+        },
+        explanations: {
+          clearance: 'Requires a Government of Canada security clearance or Controlled Goods registration, which needs years of residence in Canada; work permit holders are rarely eligible.',
+          citizenship: 'Restricted to Canadian citizens. Work permit holders and permanent residents are not eligible.',
+          residents: 'Restricted to Canadian citizens and permanent residents. Work permit holders are not eligible.'
+        }
+      }
+    },
+
+    GB: {
+      code: 'GB',
+      name: 'United Kingdom',
+      label: 'UK',
+      location: {
+        country: /\b(?:United\s+Kingdom|Great\s+Britain|(?<!New\s)England|Scotland|(?<!South\s)Wales|Northern\s+Ireland)\b|\bU\.?K\b/,
+        regions: /\b(?:Greater\s+London|Greater\s+Manchester|West\s+Midlands|Yorkshire)\b/i,
+        cities: /\b(?:London|Manchester|Birmingham|Edinburgh|Glasgow|Leeds|Bristol|Belfast|Cardiff|Liverpool|Oxford|Cambridge)\b/i
+      },
+      phrases: {
+        strongPositive: [
+          '(skilled worker|tier 2) (visa|visas)? (sponsorship|sponsorships)',
+          '{subject}? {positive_ability}? {sponsor_verb} (a|the|your)? (skilled worker|tier 2) (visa|visas)?',
+          '{subject}? {positive_ability}? {provide_verb} (a|the)? (certificate|certificates) of sponsorship',
+          '(certificate|certificates) of sponsorship {be}? {adverb}? (available|provided|offered)',
+          { phrase: '(licensed|registered|approved) (visa|skilled worker)? sponsor', weight: 2 }
+        ],
+        moderatePositive: [
+          'sponsor (licence|license)'
+        ],
+        strongNegative: [
+          'no (skilled worker|tier 2) (visa|visas)? (sponsorship|sponsorships)',
+          '{subject}? {negated_ability} {sponsor_verb} (a|the|your)? (skilled worker|tier 2) (visa|visas)?',
+          '{subject}? {negated_ability} {provide_verb} (skilled worker|tier 2) (visa|visas)? (sponsorship|sponsorships)',
+          '{subject}? {negated_ability} {provide_verb} (a|the)? (certificate|certificates) of sponsorship',
+          'not (a|an)? (licensed|registered|approved) (visa)? sponsor',
+          { phrase: 'must (have|hold|possess) (the|a)? (full|existing|current|valid|unrestricted)? right to work in the (uk|united kingdom)', weight: -2 },
+          { phrase: '(full|existing|current|valid|unrestricted)? right to work in the (uk|united kingdom) {be}? (required|essential|mandatory)', weight: -2 }
+        ],
+        restriction: [
+          '(british|uk) (national|nationals|citizen|citizens) only',
+          'sole (british|uk) (national|nationals)',
+          'must (be|hold) (a)? (british|uk) (citizen|national|passport)',
+          '(british|uk) (citizenship|nationality) {be}? (required|essential|mandatory)',
+          '(active|current|live)? (sc|dv) (security)? (clearance|cleared)',
+          '(eligible|able) (for|to obtain) (sc|dv) (security)? clearance',
+          'developed vetting'
+        ]
+      },
+      visaTypes: {
+        skilledWorker: {
+          label: 'Skilled Worker',
+          mention: [/\bSkilled\s+Worker\b/i, /\bTier[\s-]?2\b/i, /\bCertificates?\s+of\s+Sponsorship\b/i]
+        },
+        graduate: { label: 'Graduate visa', mention: [/\bGraduate\s+(?:visa|route)\b/i, /\bPSW\s+visa\b/i] },
+        globalTalent: { label: 'Global Talent', mention: [/\bGlobal\s+Talent\s+(?:visa|endorsement)\b/i] },
+        highPotential: { label: 'High Potential Individual', mention: [/\bHigh\s+Potential\s+Individual\b/i, /\bHPI\s+visa\b/i] },
+        youthMobility: { label: 'Youth Mobility', mention: [/\bYouth\s+Mobility\b/i, /\bTier[\s-]?5\b/i] }
+      },
+      sponsoredVisas: ['skilledWorker'],
+      primaryVisas: ['skilledWorker'],
+      restriction: {
+        clearancePattern: /\b(?:SC|DV)\b|\bclearance\b|\bcleared\b|\bvetting\b/i,
+        residentPattern: null,
+        messages: {
+          clearance: 'UK Clearance Required',
+          citizenship: 'UK Nationals Only'
+        },
+        explanations: {
+          clearance: 'Requires UK security vetting (SC or DV), which needs several years of UK residence; DV roles are often limited to British nationals.',
+          citizenship: 'Restricted to British nationals. Visa holders are not eligible.'
+        }
+      }
+    },
+
+    DE: {
+      code: 'DE',
+      name: 'Germany',
+      label: 'Germany',
+      location: {
+        country: /\b(?:Germany|Deutschland)\b/i,
+        regions: /\b(?:Bavaria|Bayern|Baden-W[uü]rttemberg|Hesse|Hessen|North\s+Rhine-Westphalia|Nordrhein-Westfalen|Lower\s+Saxony|Niedersachsen|Saxony|Sachsen)\b/i,
+        cities: /\b(?:Berlin|Munich|M[uü]nchen|Hamburg|Frankfurt|Cologne|K[oö]ln|Stuttgart|D[uü]sseldorf|Leipzig|Dresden|Nuremberg|N[uü]rnberg)\b/i
+      },
+      phrases: {
+        strongPositive: [
+          '(eu)? blue card (sponsorship|support|assistance)',
+          '{subject}? {positive_ability}? ({provide_verb}|sponsor) (you with)? (your|the|a|an)? (eu)? blue card (application|process)?',
+          '{subject}? {positive_ability}? {provide_verb} (you with)? (your|the)? (visa|work permit) (application|process)',
+          { phrase: '(visa|work permit) (support|assistance)', weight: 2 }
+        ],
+        strongNegative: [
+          'no (visa|work permit|blue card) (support|assistance|sponsorship)',
+          '{subject}? {negated_ability} {provide_verb} (visa|work permit|blue card) (support|assistance|sponsorship)?',
+          { phrase: 'must (have|hold|possess) (a|an)? (valid)? (eu|german)? (work permit|working permit|residence permit|right to work) (in|for) (germany|the eu|the european union)', weight: -2 },
+          { phrase: '(valid)? (eu|german)? (work permit|working permit) {be}? (required|mandatory)', weight: -2 }
+        ],
+        restriction: [
+          '(eu|eea) (citizens|nationals) only',
+          'only (eu|eea) (citizens|nationals)',
+          'must (be|hold) (a|an)? (eu|eea|german) (citizen|citizenship|national|passport)',
+          '(german|eu|eea) (citizenship|nationality) {be}? (required|mandatory)',
+          'security clearance {be}? required',
+          '(eligible|willing|able) to (obtain|undergo) (a)? security clearance'
+        ]
+      },
+      visaTypes: {
+        blueCard: { label: 'EU Blue Card', mention: [/\bBlue\s+Card\b/i, /\bBlaue\s+Karte\b/i] },
+        skilledWorker: {
+          label: 'Skilled worker visa',
+          mention: [/\bskilled\s+(?:worker|immigration)\s+visa\b/i, /\bFachkräfteeinwanderung/i, /§\s*18[ab]\b/]
+        },
+        opportunityCard: { label: 'Opportunity Card', mention: [/\bOpportunity\s+Card\b/i, /\bChancenkarte\b/i] },
+        jobSeeker: { label: 'Job seeker visa', mention: [/\bjob[\s-]?seeker\s+visa\b/i] }
+      },
+      sponsoredVisas: ['blueCard', 'skilledWorker'],
+      primaryVisas: ['blueCard'],
+      restriction: {
+        clearancePattern: /\bclearance\b/i,
+        residentPattern: null,
+        messages: {
+          clearance: 'German Clearance Required',
+          citizenship: 'EU Citizens Only'
+        },
+        explanations: {
+          clearance: 'Requires a German security clearance (Sicherheitsüberprüfung), which usually needs German or EU citizenship and years of residence.',
+          citizenship: 'Restricted to EU (or German) citizens. Candidates who need a visa or Blue Card are not eligible.'
+        }
+      }
+    },
+
+    AU: {
+      code: 'AU',
+      name: 'Australia',
+      label: 'Australia',
+      location: {
+        country: /\bAustralia\b/i,
+        regions: /\b(?:New\s+South\s+Wales|Victoria|Queensland|Tasmania|Northern\s+Territory|Australian\s+Capital\s+Territory)\b|\b(?:NSW|VIC|QLD|TAS|ACT)\b/,
+        cities: /\b(?:Sydney|Melbourne|Brisbane|Perth|Adelaide|Canberra|Hobart|Darwin|Gold\s+Coast)\b/i
+      },
+      phrases: {
+        strongPositive: [
+          '(482|tss|subclass 482|186|subclass 186|skills in demand) (visa|visas)? (sponsorship|sponsorships)',
+          '{subject}? {positive_ability}? {sponsor_verb} (a|the|your)? (482|tss|subclass 482|186|subclass 186|skills in demand) (visa|visas)?',
+          'employer (sponsored|sponsorship) (visa|visas)'
+        ],
+        strongNegative: [
+          'no (482|tss|186|skills in demand) (visa|visas)? (sponsorship|sponsorships)',
+          '{subject}? {negated_ability} {sponsor_verb} (a|the|your)? (482|tss|186|skills in demand) (visa|visas)?',
+          '{subject}? {negated_ability} {provide_verb} (482|tss|186|skills in demand) (visa|visas)? (sponsorship|sponsorships)',
+          { phrase: 'must (have|hold|possess) (full|unrestricted|permanent|valid)? (australian)? (working|work) rights', weight: -2 },
+          { phrase: '(full|unrestricted|permanent) (australian)? (working|work) rights {be}? (required|essential|mandatory)', weight: -2 },
+          { phrase: 'must (have|hold) (the)? right to work in australia', weight: -2 }
+        ],
+        restriction: [
+          'australian (citizen|citizens) only',
+          'only australian (citizen|citizens)',
+          'must be (an)? australian citizen',
+          'australian citizenship {be}? (required|mandatory|essential)',
+          '(australian)? (citizen|citizens) or permanent (resident|residents)',
+          '(baseline|nv1|nv2|negative vetting|positive vetting) (security)? clearance',
+          '(agsva|australian government) (security)? clearance',
+          '(eligible|able) to obtain (a|an)? (baseline|nv1|nv2|agsva|security) clearance'
+        ]
+      },
+      visaTypes: {
+        tss482: {
+          label: '482 visa',
+          mention: [
+            /\b(?:subclass|visa)\s*482\b/i,
+            /\b482\s+(?:visa|sponsorship|subclass)\b/i,
+            /\bTSS\s+visa\b/i,
+            /\bTemporary\s+Skill\s+Shortage\b/i,
+            /\bSkills\s+in\s+Demand\s+visa\b/i
+          ]
+        },
+        ens186: {
+          label: '186 visa',
+          mention: [/\b(?:subclass|visa)\s*186\b/i, /\b186\s+(?:visa|sponsorship|subclass)\b/i, /\bEmployer\s+Nomination\s+Scheme\b/i]
+        },
+        graduate485: {
+          label: '485 visa',
+          mention: [/\b(?:subclass|visa)\s*485\b/i, /\b485\s+(?:visa|subclass)\b/i, /\bTemporary\s+Graduate\s+visa\b/i]
+        },
+        workingHoliday: {
+          label: 'Working holiday visa',
+          mention: [/\bworking\s+holiday\b/i, /\b(?:subclass|visa)\s*(?:417|462)\b/i, /\b(?:417|462)\s+visa\b/i]
+        }
+      },
+      sponsoredVisas: ['tss482', 'ens186'],
+      primaryVisas: ['tss482'],
+      restriction: {
+        clearancePattern: /\bclearance\b|\bvetting\b|\bNV[12]\b|\bAGSVA\b|\bbaseline\b/i,
+        residentPattern: /\bpermanent\s+residents?\b/i,
+        messages: {
+          clearance: 'Australian Clearance Required',
+          citizenship: 'Australian Citizens Only',
+          residents: 'Australian Citizens or PR Only'
+        },
+        explanations: {
+          clearance: 'Requires an Australian Government (AGSVA) security clearance, which is only granted to Australian citizens.',
+          citizenship: 'Restricted to Australian citizens. Visa holders and permanent residents are not eligible.',
+          residents: 'Restricted to Australian citizens and permanent residents. Temporary visa holders are not eligible.'
+        }
+      }
+    }
+  };
+
+  // Countries without a pack share this one: no rules of its own, so only the shared rules apply and no
+  // visa is reported individually
+  const OTHER_PACK = {
+    code: OTHER_COUNTRY,
+    name: 'Other country',
+    label: 'Non-US',
+    phrases: {},
+    visaTypes: {},
+    sponsoredVisas: [],
+    primaryVisas: [],
+    restriction: {
+      clearancePattern: /\bclearance\b/i,
+      residentPattern: /\bpermanent\s+residents?\b/i,
+      messages: {
+        clearance: 'Clearance Required',
+        citizenship: 'Citizens Only',
+        residents: 'Citizens or PR Only'
+      },
+      explanations: {
+        clearance: 'Requires a security clearance, which is usually only granted to citizens.',
+        citizenship: 'Restricted to citizens of the job\'s country.',
+        residents: 'Restricted to citizens and permanent residents of the job\'s country.'
+      }
+    }
+  };
+
+  // Every supported country, for pickers
+  const COUNTRIES = [{ code: DEFAULT_COUNTRY, name: 'United States' }]
+    .concat(Object.values(PACKS).map(pack => ({ code: pack.code, name: pack.name })))
+    .concat([{ code: OTHER_COUNTRY, name: OTHER_PACK.name }]);
+
+  /**
+   * Work out a job's country from the location on its top card
+   * Country names win over state codes ("London, ON, Canada"), U.S. states over city names
+   * ("Cambridge, MA"), and regions over cities ("Victoria, BC"). A missing location or one without a place
+   * ("Remote") is U.S.; a place none of the patterns know ("Paris, France") is another country.
+   * @param {string|null} location - Location text, e.g. "London, England, United Kingdom" or "Toronto, ON"
+   * @returns {string} - Country code: 'US', 'CA', 'GB', 'DE', 'AU' or OTHER_COUNTRY
+   */
+  function detectCountry(location) {
+    if (!location || PLACELESS_PATTERN.test(location)) return DEFAULT_COUNTRY;
+
+    const packs = Object.values(PACKS);
+    const byCountry = packs.find(pack => pack.location.country.test(location));
+    if (byCountry) return byCountry.code;
+    if (US_PATTERN.test(location) || US_STATE_PATTERN.test(location) || US_STATE_NAME_PATTERN.test(location)) {
+      return DEFAULT_COUNTRY;
+    }
+
+    const byRegion = packs.find(pack => pack.location.regions.test(location)) ||
+      packs.find(pack => pack.location.cities.test(location));
+    if (byRegion) return byRegion.code;
+    return US_CITY_PATTERN.test(location) ? DEFAULT_COUNTRY : OTHER_COUNTRY;
+  }
+
+  /**
+   * Find the country a place names outright ("the United States", "UK", "Canada")
+   * Unlike detectCountry(), regions and cities don't count and unknown places are not U.S.
+   * @param {string|null} place - Place name
+   * @returns {string|null} - Country code, or null
+   */
+  function findNamedCountry(place) {
+    if (!place) return null;
+
+    const byCountry = Object.values(PACKS).find(pack => pack.location.country.test(place));
+    if (byCountry) return byCountry.code;
+    return US_PATTERN.test(place) ? DEFAULT_COUNTRY : null;
+  }
+
+  /**
+   * Get the rule pack for a country
+   * @param {string} code - Country code
+   * @returns {Object|null} - Pack, or null for the U.S. (the analyzer's own rules) and unknown codes
+   */
+  function get(code) {
+    if (code === OTHER_COUNTRY) return OTHER_PACK;
+    return PACKS[code] || null;
+  }
+
+  /**
+   * Get a country's display name
+   * @param {string} code - Country code
+   * @returns {string}
+   */
+  function getName(code) {
+    const country = COUNTRIES.find(candidate => candidate.code === code);
+    return country ? country.name : COUNTRIES[0].name;
+  }
+
+  /**
+   * Get a country's short name for badge text ("US", "UK", "Canada")
+   * @param {string} code - Country code
+   * @returns {string}
+   */
+  function getLabel(code) {
+    return PACKS[code] ? PACKS[code].label : 'US';
+  }
+
+  // Public API
+  return {
+    detectCountry,
+    findNamedCountry,
+    get,
+    getName,
+    getLabel,
+    COUNTRIES,
+    DEFAULT_COUNTRY,
+    OTHER_COUNTRY
+  };
+})();
@@ -0,0 +1,178 @@
+/**
+ * Employer H-1B Filing History Lookup
+ * Matches company names against the bundled offline dataset built from public DOL/USCIS disclosure files
+ */
+
+const EmployerLookup = (function () {
+  'use strict';
+
+  const DATASET_PATH = 'data/h1b-employers.json.gz';
+
+  // Legal-entity suffixes that never distinguish one employer from another
+  const LEGAL_SUFFIXES = new Set([
+    'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation',
+    'co', 'company', 'plc', 'pc', 'pllc', 'gmbh', 'ag', 'sa', 'bv', 'nv', 'pte', 'pvt', 'na'
+  ]);
+
+  // Trailing words that usually name a subsidiary or division of the same employer
+  const SUBSIDIARY_WORDS = new Set([
+    'us', 'usa', 'america', 'americas', 'north', 'services', 'service', 'solutions',
+    'technologies', 'technology', 'holdings', 'group', 'international', 'global', 'enterprises'
+  ]);
+
+  let dataset = null;
+  let loadPromise = null;
+
+  /**
+   * Normalize a company name for matching
+   * "Acme Widgets, Inc." and "ACME WIDGETS LLC" both become "acme widgets".
+   * @param {string} name - Company name as shown on a job page or in a disclosure file
+   * @returns {string} - Normalized key ('' if nothing is left)
+   */
+  function normalizeName(name) {
+    if (!name || typeof name !== 'string') return '';
+
+    const words = name
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, ' ')        // "(AWS)", "(formerly ...)"
+      .replace(/&/g, ' and ')
+      .replace(/\b(d\/b\/a|dba)\b.*$/, '') // keep the legal name before "d/b/a"
+      .replace(/\.(com|net|org|io)\b/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+
+    // Collapse spelled-out suffixes like "L L C"
+    const joined = words.join(' ').replace(/\bl l c\b/g, 'llc').replace(/\bl l p\b/g, 'llp');
+    const cleaned = joined.split(' ');
+
+    while (cleaned.length > 1 && LEGAL_SUFFIXES.has(cleaned[cleaned.length - 1])) {
+      cleaned.pop();
+    }
+    if (cleaned[0] === 'the' && cleaned.length > 1) {
+      cleaned.shift();
+    }
+
+    return cleaned.join(' ');
+  }
+
+  /**
+   * List the keys to try for a company, most specific first
+   * Trailing subsidiary words are dropped one at a time so
+   * "Acme Cloud Services USA" still finds "Acme Cloud".
+   * @param {string} name - Company name
+   * @returns {Array<string>} - Candidate normalized keys
+   */
+  function candidateKeys(name) {
+    const key = normalizeName(name);
+    if (!key) return [];
+
+    const candidates = [key];
+    const words = key.split(' ');
+    while (words.length > 1 && SUBSIDIARY_WORDS.has(words[words.length - 1])) {
+      words.pop();
+      candidates.push(words.join(' '));
+    }
+    return candidates;
+  }
+
+  /**
+   * Decompress and parse the bundled dataset
+   * @param {Response} response - Fetch response for the gzipped JSON file
+   * @returns {Promise<Object>} - Parsed dataset
+   */
+  async function parseDataset(response) {
+    const stream = response.body.pipeThrough(new DecompressionStream('gzip'));
+    const text = await new Response(stream).text();
+    return JSON.parse(text);
+  }
+
+  /**
+   * Load the dataset (safe to call repeatedly)
+   * Resolves to null if the extension was built without a dataset.
+   * @returns {Promise<Object|null>}
+   */
+  function load() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = (async () => {
+      try {
+        const response = await fetch(chrome.runtime.getURL(DATASET_PATH));
+        if (!response.ok) return null;
+        dataset = await parseDataset(response);
+      } catch (error) {
+        dataset = null;
+      }
+      return dataset;
+    })();
+
+    return loadPromise;
+  }
+
+  /**
+   * Whether the dataset was built into the extension (see data/README.md)
+   * Filing history and the 'inferred' policy do nothing without it.
+   * @returns {Promise<boolean>}
+   */
+  async function isAvailable() {
+    const data = await load();
+    return !!(data && data.employers);
+  }
+
+  /**
+   * Look up an employer's H-1B filing history
+   * @param {string} companyName - Company name from the job top card
+   * @returns {Promise<Object|null>} - { name, matchedKey, fiscalYear, filings, approvals, denials, years }
+   *   for the latest fiscal year on record, { name: null, filings: 0 } if the dataset has no match,
+   *   or null if there is no dataset or no company name
+   */
+  async function lookup(companyName) {
+    if (!companyName) return null;
+
+    const data = await load();
+    if (!data || !data.employers) return null;
+
+    const matchedKey = candidateKeys(companyName).find(key => data.employers[key]);
+    if (!matchedKey) {
+      return {
+        name: null,
+        matchedKey: null,
+        fiscalYear: data.fiscalYears ? data.fiscalYears[data.fiscalYears.length - 1] : null,
+        filings: 0,
+        approvals: 0,
+        denials: 0,
+        years: {}
+      };
+    }
+
+    const record = data.employers[matchedKey];
+    const fiscalYears = Object.keys(record.years).sort();
+    const latestYear = fiscalYears[fiscalYears.length - 1];
+    const [filings, approvals, denials] = record.years[latestYear];
+
+    return {
+      name: record.name,
+      matchedKey,
+      fiscalYear: latestYear,
+      filings,
+      approvals,
+      denials,
+      years: record.years
+    };
+  }
+
+  // Public API
+  return {
+    load,
+    isAvailable,
+    lookup,
+    normalizeName,
+    candidateKeys
+  };
+})();
+
+// Allow the dataset build script (Node) to share the same name normalization
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmployerLookup;
+}
@@ -0,0 +1,232 @@
+/**
+ * History Export
+ * Turns stored analysis results into CSV or JSON files, and reads exported JSON back into stored entries
+ */
+
+const HistoryExport = (function () {
+  'use strict';
+
+  // Identifies exported JSON files; bump SCHEMA_VERSION when the job record shape changes
+  const SCHEMA = 'h1b-sponsor-detection/history';
+  const SCHEMA_VERSION = 3;
+
+  // Statuses in display order
+  const STATUSES = [
+    { status: 'yes', label: 'Sponsorship available' },
+    { status: 'conditional', label: 'Conditional' },
+    { status: 'no', label: 'No sponsorship' },
+    { status: 'restricted', label: 'Restricted' },
+    { status: 'unclear', label: 'Unclear' },
+    { status: 'not_mentioned', label: 'Not mentioned' }
+  ];
+
+  const CSV_COLUMNS = [
+    'job_id', 'url', 'title', 'company', 'location', 'salary_min', 'salary_max', 'salary_currency',
+    'salary_period', 'seniority', 'employment_type', 'posted_date', 'status', 'confidence', 'score',
+    'visas', 'evidence', 'analyzed_at'
+  ];
+
+  /**
+   * Parse a date input value ("YYYY-MM-DD") as local time
+   * @param {string} value - Date input value
+   * @param {boolean} endOfDay - Return the last millisecond of that day
+   * @returns {number|null} - Timestamp, or null when empty
+   */
+  function parseDay(value, endOfDay) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (endOfDay) date.setHours(23, 59, 59, 999);
+    return date.getTime();
+  }
+
+  /**
+   * Select stored entries by date range and status
+   * The date range is matched against each job's first analysis, which re-analyzing it doesn't move.
+   * @param {Object} entries - From ResultStore.getAll()
+   * @param {Object} [filters] - { from, to } date input values and statuses (all when empty)
+   * @returns {Array<[string, Object]>} - [jobId, entry] pairs, newest first
+   */
+  function selectEntries(entries, filters = {}) {
+    const from = parseDay(filters.from, false);
+    const to = parseDay(filters.to, true);
+    const statuses = filters.statuses && filters.statuses.length > 0 ? filters.statuses : null;
+
+    return Object.keys(entries)
+      .map(jobId => [jobId, entries[jobId]])
+      .filter(([, entry]) => entry && entry.result &&
+        (from === null || entry.analyzedAt >= from) &&
+        (to === null || entry.analyzedAt <= to) &&
+        (!statuses || statuses.includes(entry.result.status)))
+      .sort((a, b) => b[1].analyzedAt - a[1].analyzedAt);
+  }
+
+  /**
+   * Create the exported record for a stored entry
+   * @param {string} jobId - Job ID
+   * @param {Object} entry - Stored entry
+   * @returns {Object} - Job record (see README, "Export and Import")
+   */
+  function toRecord(jobId, entry) {
+    const { result } = entry;
+    // Results stored before metadata was extracted have only the entry's title, company and location
+    const metadata = result.metadata || {};
+
+    const visas = {};
+    Object.keys(result.visas || {}).forEach(key => {
+      visas[key] = { label: result.visas[key].label, status: result.visas[key].status };
+    });
+
+    const evidence = [];
+    ((result.scoring && result.scoring.breakdown) || []).forEach(item => {
+      item.hits.forEach(hit => evidence.push({
+        category: item.tier,
+        text: hit.text,
+        sentence: hit.sentence || hit.text,
+        weight: item.weight,
+        index: hit.index
+      }));
+    });
+    evidence.sort((a, b) => a.index - b.index);
+
+    return {
+      jobId,
+      url: entry.url || `https://www.linkedin.com/jobs/view/${jobId}/`,
+      title: entry.title || metadata.title || null,
+      company: entry.company || metadata.company || null,
+      location: entry.location || metadata.location || null,
+      salary: metadata.salary || null,
+      seniority: metadata.seniority || null,
+      employmentType: metadata.employmentType || null,
+      postedDate: metadata.postedDate || null,
+      status: result.status,
+      message: result.message,
+      confidence: result.confidence,
+      score: result.score,
+      visas,
+      evidence: evidence.map(({ index, ...item }) => item),
+      analyzedAt: new Date(entry.analyzedAt).toISOString(),
+      updatedAt: new Date(entry.updatedAt || entry.analyzedAt).toISOString(),
+      analyzerVersion: entry.analyzerVersion,
+      descriptionHash: entry.descriptionHash,
+      result
+    };
+  }
+
+  /**
+   * Export entries as JSON
+   * @param {Object} entries - From ResultStore.getAll()
+   * @param {Object} [filters] - See selectEntries()
+   * @returns {string}
+   */
+  function toJSON(entries, filters) {
+    return JSON.stringify({
+      schema: SCHEMA,
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      jobs: selectEntries(entries, filters).map(([jobId, entry]) => toRecord(jobId, entry))
+    }, null, 2);
+  }
+
+  /**
+   * Quote a CSV cell; text that a spreadsheet would run as a formula is prefixed with '
+   * @param {*} value - Cell value
+   * @returns {string}
+   */
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Export entries as CSV, one row per job
+   * @param {Object} entries - From ResultStore.getAll()
+   * @param {Object} [filters] - See selectEntries()
+   * @returns {string}
+   */
+  function toCSV(entries, filters) {
+    const rows = selectEntries(entries, filters).map(([jobId, entry]) => {
+      const record = toRecord(jobId, entry);
+      const visas = Object.values(record.visas)
+        .filter(visa => visa.status !== 'not_mentioned')
+        .map(visa => `${visa.label}: ${visa.status}`)
+        .join('; ');
+      const evidence = record.evidence
+        .map(item => `[${item.category}] ${item.sentence}`)
+        .join(' | ');
+
+      const salary = record.salary || {};
+
+      return [
+        record.jobId, record.url, record.title, record.company, record.location,
+        salary.min, salary.max, salary.currency, salary.period, record.seniority, record.employmentType,
+        record.postedDate, record.status, record.confidence, record.score, visas, evidence, record.analyzedAt
+      ].map(csvCell).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Read an exported JSON file back into stored entries
+   * @param {string} text - File contents
+   * @returns {Object} - Entries keyed by job ID, for ResultStore.merge
+   * @throws {Error} - When the file isn't a history export this version can read
+   */
+  function parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.schema !== SCHEMA || !Array.isArray(data.jobs)) {
+      throw new Error('The file is not an H1B Sponsor Detection history export');
+    }
+    if (data.version > SCHEMA_VERSION) {
+      throw new Error(`The file uses export version ${data.version}; update the extension to import it`);
+    }
+
+    const entries = {};
+    data.jobs.forEach((job, i) => {
+      const analyzedAt = Date.parse(job && job.analyzedAt);
+      if (!job || typeof job.jobId !== 'string' || !job.jobId ||
+        !job.result || typeof job.result.status !== 'string' || Number.isNaN(analyzedAt)) {
+        throw new Error(`Job ${i + 1} is missing its job ID, result or analysis time`);
+      }
+
+      // Files before version 3 only have the time of the first analysis
+      const updatedAt = Date.parse(job.updatedAt);
+      entries[job.jobId] = {
+        result: job.result,
+        descriptionHash: job.descriptionHash || null,
+        analyzerVersion: job.analyzerVersion || null,
+        company: job.company || null,
+        title: job.title || null,
+        location: job.location || null,
+        url: job.url || null,
+        analyzedAt,
+        updatedAt: Number.isNaN(updatedAt) ? analyzedAt : updatedAt,
+        lastAccessed: analyzedAt
+      };
+    });
+
+    return entries;
+  }
+
+  // Public API
+  return {
+    selectEntries,
+    toJSON,
+    toCSV,
+    parseJSON,
+    STATUSES,
+    SCHEMA,
+    SCHEMA_VERSION
+  };
+})();
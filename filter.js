@@ -0,0 +1,217 @@
+/**
+ * Search Results Filter
+ * Hides or dims listed jobs by sponsorship status, with a filter control and a hidden-count banner
+ * above the search results list
+ */
+
+const ResultsFilter = (function () {
+  'use strict';
+
+  const CONTROL_ID = 'h1b-sponsor-filter';
+  const HIDDEN_CLASS = 'h1b-sponsor-card--hidden';
+  const DIMMED_CLASS = 'h1b-sponsor-card--dimmed';
+
+  // Filter modes in display order; `statuses` are the display statuses a mode acts on
+  const MODES = {
+    all: { label: 'Show all jobs', statuses: [], action: null },
+    hide_no: { label: 'Hide "No Sponsorship"', statuses: ['no'], action: 'hide' },
+    hide_restricted: { label: 'Hide restricted / clearance roles', statuses: ['restricted'], action: 'hide' },
+    hide_both: { label: 'Hide "No Sponsorship" and restricted', statuses: ['no', 'restricted'], action: 'hide' },
+    dim: { label: 'Dim "No Sponsorship" and restricted', statuses: ['no', 'restricted'], action: 'dim' }
+  };
+
+  let mode = 'all';
+
+  // "show" was clicked on the banner; hidden jobs are dimmed until the mode changes
+  let revealed = false;
+
+  // Called with the new mode when it is picked in the control
+  let modeChangeListener = null;
+
+  // Last apply() arguments, to re-apply after the control changes
+  let lastApply = null;
+
+  /**
+   * Get the list row that holds a card (the element to hide)
+   * @param {HTMLElement} card - Card element from content.js
+   * @returns {HTMLElement}
+   */
+  function getCardRow(card) {
+    return card.closest('li') || card;
+  }
+
+  /**
+   * Find the element the filter control goes into
+   * @param {Map<string, HTMLElement>} cards - Listed cards by job ID
+   * @returns {HTMLElement|null}
+   */
+  function findListContainer(cards) {
+    const site = SiteAdapters.getCurrent();
+    const list = site ? site.findList() : null;
+    if (list) {
+      return list;
+    }
+
+    // Fall back to whatever holds the card rows
+    const firstCard = cards.values().next().value;
+    const rows = firstCard ? getCardRow(firstCard).parentElement : null;
+    return rows && rows.parentElement;
+  }
+
+  /**
+   * Create the filter control
+   * @returns {HTMLElement}
+   */
+  function createControl() {
+    const control = document.createElement('div');
+    control.id = CONTROL_ID;
+    control.className = 'h1b-sponsor-filter';
+
+    const label = document.createElement('label');
+    label.className = 'h1b-sponsor-filter__label';
+    label.textContent = 'Sponsorship filter ';
+    const select = document.createElement('select');
+    select.className = 'h1b-sponsor-filter__select';
+    Object.keys(MODES).forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = MODES[key].label;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => setMode(select.value, true));
+    label.appendChild(select);
+    control.appendChild(label);
+
+    const banner = document.createElement('span');
+    banner.className = 'h1b-sponsor-filter__banner';
+    banner.setAttribute('role', 'status');
+    const count = document.createElement('span');
+    count.className = 'h1b-sponsor-filter__count';
+    banner.appendChild(count);
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'h1b-sponsor-filter__toggle';
+    toggle.addEventListener('click', () => {
+      revealed = !revealed;
+      reapply();
+    });
+    banner.appendChild(toggle);
+    control.appendChild(banner);
+
+    return control;
+  }
+
+  /**
+   * Set text only when it changed, so the page's mutation observer isn't woken for nothing
+   * @param {HTMLElement} element
+   * @param {string} text
+   */
+  function setText(element, text) {
+    if (element.textContent !== text) {
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * Show the control above the list with the current mode and hidden count
+   * @param {Map<string, HTMLElement>} cards - Listed cards by job ID
+   * @param {number} hiddenCount - Jobs the mode hides (shown dimmed when revealed)
+   */
+  function renderControl(cards, hiddenCount) {
+    let control = document.getElementById(CONTROL_ID);
+    if (!control) {
+      const container = findListContainer(cards);
+      if (!container) return;
+      control = createControl();
+      container.insertBefore(control, container.firstChild);
+    }
+
+    const select = control.querySelector('.h1b-sponsor-filter__select');
+    if (select.value !== mode) {
+      select.value = mode;
+    }
+
+    const banner = control.querySelector('.h1b-sponsor-filter__banner');
+    banner.hidden = hiddenCount === 0;
+    const plural = hiddenCount === 1 ? 'job' : 'jobs';
+    setText(banner.querySelector('.h1b-sponsor-filter__count'),
+      revealed ? `${hiddenCount} filtered ${plural} shown — ` : `${hiddenCount} hidden — `);
+    setText(banner.querySelector('.h1b-sponsor-filter__toggle'), revealed ? 'hide' : 'show');
+  }
+
+  /**
+   * Hide or dim listed jobs for the current mode
+   * @param {Map<string, HTMLElement>} cards - Listed cards by job ID
+   * @param {Map<string, string>} statuses - Display status by job ID, for jobs analyzed so far
+   * @param {string|null} activeJobId - The open job; its card is dimmed at most, never hidden
+   */
+  function apply(cards, statuses, activeJobId) {
+    lastApply = { cards, statuses, activeJobId };
+
+    // Recycled cards can carry classes from the job they showed before
+    document.querySelectorAll(`.${HIDDEN_CLASS}, .${DIMMED_CLASS}`).forEach(element => {
+      element.classList.remove(HIDDEN_CLASS, DIMMED_CLASS);
+    });
+
+    if (cards.size === 0) return;
+
+    const { statuses: filtered, action } = MODES[mode];
+    let hiddenCount = 0;
+    cards.forEach((card, jobId) => {
+      if (!filtered.includes(statuses.get(jobId))) return;
+
+      const row = getCardRow(card);
+      if (action === 'hide' && jobId !== activeJobId) {
+        hiddenCount++;
+        row.classList.add(revealed ? DIMMED_CLASS : HIDDEN_CLASS);
+      } else {
+        row.classList.add(DIMMED_CLASS);
+      }
+    });
+
+    renderControl(cards, hiddenCount);
+  }
+
+  /**
+   * Apply the filter again with the last cards and statuses
+   */
+  function reapply() {
+    if (lastApply) {
+      apply(lastApply.cards, lastApply.statuses, lastApply.activeJobId);
+    }
+  }
+
+  /**
+   * Change the filter mode
+   * @param {string} newMode - Key of MODES
+   * @param {boolean} [fromControl] - Picked in the control (notifies the mode change listener)
+   */
+  function setMode(newMode, fromControl = false) {
+    const validMode = MODES[newMode] ? newMode : 'all';
+    if (validMode !== mode) {
+      mode = validMode;
+      revealed = false;
+    }
+    reapply();
+
+    if (fromControl && modeChangeListener) {
+      modeChangeListener(mode);
+    }
+  }
+
+  /**
+   * Register a listener for modes picked in the control
+   * @param {Function} listener - Called with the new mode
+   */
+  function onModeChange(listener) {
+    modeChangeListener = listener;
+  }
+
+  // Public API
+  return {
+    apply,
+    setMode,
+    onModeChange,
+    MODES
+  };
+})();
@@ -0,0 +1,434 @@
+/**
+ * Phrase Grammar
+ * Tokenizes job descriptions and matches sponsorship statements built from composable parts
+ *
+ * Text is split into lowercase word tokens. Visa names are normalized ("H1-B", "H 1B" and "H1B" all
+ * become "h-1b"), contractions are expanded ("can't" -> "can not") and line breaks and bullets are
+ * ignored, so one template covers every spelling of a statement.
+ *
+ * Template syntax (see LEXICON for examples):
+ *   word          a literal token, normalized like description text ("h1b" == "h-1b")
+ *   {slot}        any phrase from LEXICON[slot]
+ *   (a b|c)       one of several alternatives
+ *   item?         optional item
+ */
+
+const PhraseGrammar = (function () {
+  'use strict';
+
+  // Words, and punctuation that separates clauses or sentences
+  const TOKEN_PATTERN = /[A-Za-z0-9]+(?:['’][A-Za-z]+)?|[.!?;:,()]/g;
+
+  // Expanded so "can't", "cannot" and "can not" read the same
+  const CONTRACTIONS = {
+    "can't": ['can', 'not'],
+    cannot: ['can', 'not'],
+    "won't": ['will', 'not'],
+    "don't": ['do', 'not'],
+    "doesn't": ['does', 'not'],
+    "didn't": ['did', 'not'],
+    "isn't": ['is', 'not'],
+    "aren't": ['are', 'not'],
+    "wasn't": ['was', 'not'],
+    "weren't": ['were', 'not'],
+    "wouldn't": ['would', 'not'],
+    "couldn't": ['could', 'not'],
+    "shouldn't": ['should', 'not'],
+    "we're": ['we', 'are'],
+    "we'll": ['we', 'will'],
+    "we've": ['we', 'have'],
+    "it's": ['it', 'is'],
+    "you'll": ['you', 'will'],
+    "you're": ['you', 'are']
+  };
+
+  // Token runs that spell one name (visa types, "U.S.", "W-2"), longest first
+  const MERGES = [
+    { parts: ['h', '1', 'b'], canonical: 'h-1b' },
+    { parts: ['u', 's', 'a'], canonical: 'usa' },
+    { parts: ['d', 'o', 'd'], canonical: 'dod' },
+    { parts: ['h1', 'b'], canonical: 'h-1b' },
+    { parts: ['h', '1b'], canonical: 'h-1b' },
+    { parts: ['h', '4'], canonical: 'h-4' },
+    { parts: ['l', '2'], canonical: 'l-2' },
+    { parts: ['w', '2'], canonical: 'w2' },
+    { parts: ['e', '3'], canonical: 'e-3' },
+    { parts: ['o', '1'], canonical: 'o-1' },
+    { parts: ['o', '1a'], canonical: 'o-1' },
+    { parts: ['l', '1'], canonical: 'l-1' },
+    { parts: ['j', '1'], canonical: 'j-1' },
+    { parts: ['f', '1'], canonical: 'f-1' },
+    { parts: ['i', '140'], canonical: 'i-140' },
+    { parts: ['u', 's'], canonical: 'us' },
+    { parts: ['h1b'], canonical: 'h-1b' },
+    { parts: ['h1bs'], canonical: 'h-1b' },
+    { parts: ['h4'], canonical: 'h-4' },
+    { parts: ['l2'], canonical: 'l-2' },
+    { parts: ['e3'], canonical: 'e-3' },
+    { parts: ['o1'], canonical: 'o-1' },
+    { parts: ['o1a'], canonical: 'o-1' },
+    { parts: ['l1'], canonical: 'l-1' },
+    { parts: ['j1'], canonical: 'j-1' },
+    { parts: ['f1'], canonical: 'f-1' },
+    { parts: ['i140'], canonical: 'i-140' }
+  ];
+
+  // Only these characters may sit between the parts of a merged name ("H-1B", "H 1B", "U.S.")
+  const MERGE_GAP_PATTERN = /^[\s.\-/]*$/;
+
+  // Reusable phrase parts for sponsorship statements
+  const LEXICON = {
+    subject: [
+      'we', 'i',
+      '(the|our|this) (company|client|employer|organization|firm|team|business|hiring manager)',
+      '(this|the) (role|position|job|opportunity|team)',
+      'company', 'employer', 'client'
+    ],
+    aux: ['can', 'could', 'will', 'would', 'do', 'does', 'did', 'are', 'is', 'am', 'shall', 'may', 'be'],
+    adverb: [
+      'currently', 'presently', 'now', 'unfortunately', 'also', 'ever', 'yet',
+      'at (this|the) (time|moment|stage)', 'at present'
+    ],
+    ability: ['be? able to', 'in a position to', 'willing to', 'going to', 'planning to', 'looking to', 'happy to', 'pleased to', 'glad to', 'proud to'],
+    negated_ability: [
+      '{aux}? {adverb}? (not|never|no longer) {adverb}? {ability}?',
+      '{aux}? {adverb}? (unable|unwilling) to'
+    ],
+    positive_ability: ['{aux} {adverb}? {ability}?', '{ability}'],
+    sponsor_verb: ['sponsor', 'sponsors', 'sponsoring', 'sponsored'],
+    provide_verb: [
+      'provide', 'provides', 'providing', 'offer', 'offers', 'offering', 'support', 'supports', 'supporting',
+      'extend', 'extends', 'facilitate', 'consider', 'considering', 'assist with', 'help with'
+    ],
+    require_verb: ['require', 'requires', 'requiring', 'need', 'needs', 'needing'],
+    visa_name: ['h-1b', 'tn', 'e-3', 'o-1', 'l-1', 'j-1', 'f-1', 'h-4', 'opt', 'cpt', 'stem opt', 'green card', 'perm'],
+    sponsorship_kind: [
+      '(work|employment|immigration)? (visa|visas)',
+      'immigration', 'employer', 'company', 'employment',
+      '(work|employment) authorization',
+      '{visa_name} (visa|visas)?'
+    ],
+    sponsorship_noun: ['{sponsorship_kind}? (sponsorship|sponsorships)'],
+    visa_object: [
+      '{visa_name} (visa|visas|petitions|status|holders|candidates|applicants)?',
+      '(work|employment|immigration)? (visa|visas)',
+      'visa holders',
+      '(international|foreign) (candidates|applicants|nationals|workers|students)',
+      '(candidates|applicants|individuals|employees|anyone|you) for (a|an)? {sponsorship_kind}'
+    ],
+    time_qualifier: [
+      'now or (at any time|any time|at any point)? in the future',
+      '(currently|presently) or in the future',
+      'at any (time|point)( in the future)?',
+      'in the future',
+      'now'
+    ],
+    us: ['us', 'usa', 'united states', 'united states of america', 'american'],
+    be: ['is', 'are', 'was', 'will be', 'can be', 'be']
+  };
+
+  const compiledSlots = {};
+
+  /**
+   * Split text into lowercase tokens with their offsets in the original text
+   * @param {string} text - Text to tokenize
+   * @returns {Array<{text: string, start: number, end: number}>}
+   */
+  function tokenize(text) {
+    const rawTokens = [];
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+      const value = match[0].toLowerCase().replace('’', "'");
+      const previous = rawTokens[rawTokens.length - 1];
+
+      // A period after a single letter ("U.S.", "e.g.") is an abbreviation, not a sentence end
+      if (value === '.' && previous && previous.text.length === 1 && /[a-z]/.test(previous.text) &&
+        previous.end === match.index) {
+        continue;
+      }
+
+      const start = match.index;
+      const end = start + match[0].length;
+
+      if (CONTRACTIONS[value]) {
+        CONTRACTIONS[value].forEach(part => rawTokens.push({ text: part, start, end }));
+      } else if (value.includes("'")) {
+        // Possessives and other suffixes: keep the base word ("company's" -> "company")
+        rawTokens.push({ text: value.split("'")[0], start, end });
+      } else {
+        rawTokens.push({ text: value, start, end });
+      }
+    }
+
+    return mergeTokens(rawTokens, text);
+  }
+
+  /**
+   * Merge token runs that spell one name ("h", "1b" -> "h-1b")
+   * @param {Array<Object>} tokens - Raw tokens
+   * @param {string} text - Original text, to check what separates the parts
+   * @returns {Array<Object>} - Tokens with merged names
+   */
+  function mergeTokens(tokens, text) {
+    const merged = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const merge = MERGES.find(candidate => candidate.parts.every((part, offset) => {
+        const token = tokens[i + offset];
+        if (!token || token.text !== part) return false;
+        return offset === 0 || MERGE_GAP_PATTERN.test(text.substring(tokens[i + offset - 1].end, token.start));
+      }));
+
+      if (merge) {
+        const last = tokens[i + merge.parts.length - 1];
+        merged.push({ text: merge.canonical, start: tokens[i].start, end: last.end });
+        i += merge.parts.length - 1;
+      } else {
+        merged.push(tokens[i]);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Tokenize text and build the normalized string grammar patterns run against
+   * @param {string} text - Job description text
+   * @returns {Object} - { text, tokens, normalized, tokenStarts }
+   */
+  function parse(text) {
+    const tokens = tokenize(text || '');
+    const tokenStarts = [];
+    let normalized = '';
+
+    tokens.forEach(token => {
+      tokenStarts.push(normalized.length);
+      normalized += token.text + ' ';
+    });
+
+    return { text: text || '', tokens, normalized, tokenStarts };
+  }
+
+  /**
+   * Normalize a phrase to its canonical token form ("H1-B Visa" -> "h-1b visa")
+   * @param {string} text - Phrase
+   * @returns {string}
+   */
+  function normalize(text) {
+    return parse(text).normalized.trim();
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} value
+   * @returns {string}
+   */
+  function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Parse a template into a tree of sequences and alternatives
+   * @param {string} template - Template text
+   * @returns {Array<Object>} - Alternatives, each a list of items
+   */
+  function parseTemplate(template) {
+    let position = 0;
+
+    function skipSpaces() {
+      while (position < template.length && /\s/.test(template[position])) position++;
+    }
+
+    function parseAlternatives() {
+      const alternatives = [parseSequence()];
+      while (template[position] === '|') {
+        position++;
+        alternatives.push(parseSequence());
+      }
+      return alternatives;
+    }
+
+    function parseSequence() {
+      const items = [];
+      skipSpaces();
+      while (position < template.length && template[position] !== '|' && template[position] !== ')') {
+        items.push(parseItem());
+        skipSpaces();
+      }
+      return items;
+    }
+
+    function parseItem() {
+      let item;
+      const char = template[position];
+
+      if (char === '(') {
+        position++;
+        item = { type: 'group', alternatives: parseAlternatives() };
+        if (template[position] !== ')') {
+          throw new Error(`Unclosed "(" in template: ${template}`);
+        }
+        position++;
+      } else if (char === '{') {
+        const close = template.indexOf('}', position);
+        if (close === -1) {
+          throw new Error(`Unclosed "{" in template: ${template}`);
+        }
+        item = { type: 'slot', name: template.substring(position + 1, close) };
+        position = close + 1;
+      } else {
+        const wordMatch = template.substring(position).match(/^[^\s(){}|?]+/);
+        item = { type: 'word', value: wordMatch[0] };
+        position += wordMatch[0].length;
+      }
+
+      if (template[position] === '?') {
+        item.optional = true;
+        position++;
+      }
+      return item;
+    }
+
+    const alternatives = parseAlternatives();
+    if (position < template.length) {
+      throw new Error(`Unexpected "${template[position]}" in template: ${template}`);
+    }
+    return alternatives;
+  }
+
+  /**
+   * Build regex source for parsed alternatives
+   * Every token in the normalized string is followed by a space (and optionally a comma or colon token),
+   * so each item's source ends with that separator.
+   * @param {Array<Array<Object>>} alternatives - From parseTemplate
+   * @param {Array<string>} slotStack - Slots being expanded, to catch cycles
+   * @param {Array<string>} without - Slots that match nothing (see compile())
+   * @returns {string}
+   */
+  function alternativesSource(alternatives, slotStack, without) {
+    const sources = alternatives.map(items => items.map(item => {
+      let source;
+      if (item.type === 'word') {
+        const words = normalize(item.value);
+        source = words.split(' ').map(word => escapeRegex(word) + ' (?:[,:] )?').join('');
+      } else if (item.type === 'slot') {
+        source = slotSource(item.name, slotStack, without);
+      } else {
+        source = alternativesSource(item.alternatives, slotStack, without);
+      }
+      return `(?:${source})${item.optional ? '?' : ''}`;
+    }).join(''));
+
+    return sources.length === 1 ? sources[0] : sources.map(source => `(?:${source})`).join('|');
+  }
+
+  /**
+   * Get the regex source for a lexicon slot
+   * @param {string} name - Slot name
+   * @param {Array<string>} slotStack - Slots being expanded
+   * @param {Array<string>} without - Slots that match nothing
+   * @returns {string}
+   */
+  function slotSource(name, slotStack, without) {
+    if (without.includes(name)) return '(?!)';
+    const key = [name].concat(without).join(' -');
+    if (compiledSlots[key]) return compiledSlots[key];
+    if (!LEXICON[name]) {
+      throw new Error(`Unknown grammar slot: {${name}}`);
+    }
+    if (slotStack.includes(name)) {
+      throw new Error(`Grammar slot {${name}} refers to itself`);
+    }
+
+    const alternatives = LEXICON[name].map(template => parseTemplate(template));
+    const source = alternatives
+      .map(parsed => `(?:${alternativesSource(parsed, slotStack.concat(name), without)})`)
+      .join('|');
+
+    compiledSlots[key] = source;
+    return source;
+  }
+
+  /**
+   * Compile a template into a matcher
+   * @param {string} template - Template text, e.g. "{subject}? {negated_ability} {sponsor_verb} {visa_object}?"
+   * @param {Object} [options] - { without }: slots to leave out wherever they are used, e.g. ['visa_name']
+   *   so {visa_object} and {sponsorship_noun} don't cover U.S. visa names. A match may not start right
+   *   after or end right before a phrase of those slots either ("we will sponsor | H-1B visas").
+   * @returns {Object} - Compiled template: { template, regex }
+   * @throws {Error} - If the template is malformed or refers to an unknown slot
+   */
+  function compile(template, options = {}) {
+    const without = options.without || [];
+    const source = alternativesSource(parseTemplate(template), [], without);
+    if (without.length === 0) {
+      return { template, regex: new RegExp(`(?<![^ ])(?:${source})`, 'g') };
+    }
+
+    const left = without.map(name => `(?:${slotSource(name, [], [])})`).join('|');
+    return { template, regex: new RegExp(`(?<![^ ])(?<!(?<![^ ])(?:${left}))(?:${source})(?!${left})`, 'g') };
+  }
+
+  /**
+   * Compile a literal phrase (no template syntax) into a matcher
+   * @param {string} phrase - Phrase text
+   * @returns {Object} - Compiled template
+   * @throws {Error} - If the phrase has no words
+   */
+  function compileLiteral(phrase) {
+    const words = normalize(phrase);
+    if (!words) {
+      throw new Error('Phrase has no words');
+    }
+    const source = words.split(' ').map(word => escapeRegex(word) + ' (?:[,:] )?').join('');
+    return { template: phrase, regex: new RegExp(`(?<![^ ])(?:${source})`, 'g') };
+  }
+
+  /**
+   * Find all matches of a compiled template in parsed text
+   * @param {Object} compiled - From compile() or compileLiteral()
+   * @param {Object} parsed - From parse()
+   * @returns {Array<{text: string, index: number, length: number}>} - Matches in the original text
+   */
+  function match(compiled, parsed) {
+    const matches = [];
+    const regex = compiled.regex;
+    regex.lastIndex = 0;
+    let found;
+
+    while ((found = regex.exec(parsed.normalized)) !== null) {
+      if (found[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      const matchStart = found.index;
+      const matchEnd = found.index + found[0].length;
+      const covered = [];
+      parsed.tokenStarts.forEach((tokenStart, tokenIndex) => {
+        if (tokenStart >= matchStart && tokenStart < matchEnd && !/^[,:]$/.test(parsed.tokens[tokenIndex].text)) {
+          covered.push(parsed.tokens[tokenIndex]);
+        }
+      });
+      if (covered.length === 0) continue;
+
+      const start = covered[0].start;
+      const end = covered[covered.length - 1].end;
+      matches.push({ text: parsed.text.substring(start, end), index: start, length: end - start });
+    }
+
+    return matches;
+  }
+
+  // Public API
+  return {
+    parse,
+    normalize,
+    compile,
+    compileLiteral,
+    match,
+    LEXICON
+  };
+})();
@@ -1,6 +1,6 @@
 /**
  * Highlighter Module
- * Highlights sentences in job descriptions that indicate no sponsorship
+ * Highlights the phrases in job descriptions that the analyzer matched, colored by tier
  */
 
 const Highlighter = (function () {
@@ -8,192 +8,442 @@ const Highlighter = (function () {
 
   const HIGHLIGHT_CLASS = 'h1b-sponsor-highlight';
 
+  // When two pieces of evidence overlap, the tier listed first keeps the text
+  const TIER_ORDER = ['restriction', 'strongNegative', 'moderateNegative', 'strongPositive', 'moderatePositive'];
+
+  const TIER_STYLES = {
+    restriction: { modifier: 'restriction', label: 'Restriction' },
+    strongNegative: { modifier: 'strong-negative', label: 'Strong negative' },
+    moderateNegative: { modifier: 'moderate-negative', label: 'Moderate negative' },
+    strongPositive: { modifier: 'positive', label: 'Strong positive' },
+    moderatePositive: { modifier: 'positive', label: 'Moderate positive' }
+  };
+
+  // Pending highlight pass, cancelled when highlights are removed (e.g. on job change)
+  let pendingTimer = null;
+
+  // Highlights currently on the page ({ remove(), focus(segments) }), or null
+  let active = null;
+
+  const FLASH_CLASS = `${HIGHLIGHT_CLASS}--flash`;
+  const FLASH_DURATION = 1600;
+
+  /**
+   * Name the rule behind a hit for its tooltip
+   * @param {Object} entry - Scoring breakdown entry ({ ruleId, source })
+   * @param {Object} hit - Hit from the entry ({ text, index })
+   * @param {Object} analysisResult - Analysis result (for the shorthand descriptions)
+   * @returns {string}
+   */
+  function describeRule(entry, hit, analysisResult) {
+    if (entry.ruleId.startsWith('custom:')) {
+      return `custom rule "${entry.source}"`;
+    }
+    if (entry.ruleId.startsWith('vocabulary:')) {
+      const statement = (analysisResult.shorthand || []).find(item => item.index === hit.index);
+      return `recruiter shorthand "${statement ? statement.description : entry.source}"`;
+    }
+    return `built-in phrase "${entry.source}"`;
+  }
+
+  /**
+   * Collect every scored match from an analysis result
+   * @param {Object} analysisResult - Analysis result from analyzer
+   * @returns {Array<{key: string, text: string, index: number, tier: string, title: string}>} - In highlight order
+   */
+  function collectEvidence(analysisResult) {
+    const breakdown = (analysisResult.scoring && analysisResult.scoring.breakdown) || [];
+    const byPosition = new Map();
+
+    breakdown.forEach(entry => {
+      if (!TIER_STYLES[entry.tier]) return;
+      entry.hits.forEach(hit => {
+        const title = `${TIER_STYLES[entry.tier].label}: ${describeRule(entry, hit, analysisResult)}`;
+        const key = `${hit.index}:${hit.text}`;
+        const existing = byPosition.get(key);
+        if (!existing) {
+          byPosition.set(key, { key, text: hit.text, index: hit.index, tier: entry.tier, title });
+          return;
+        }
+        // Several rules matched the same text: name them all, color by the strongest tier
+        existing.title += `\n${title}`;
+        if (TIER_ORDER.indexOf(entry.tier) < TIER_ORDER.indexOf(existing.tier)) {
+          existing.tier = entry.tier;
+        }
+      });
+    });
+
+    return Array.from(byPosition.values())
+      .sort((a, b) => TIER_ORDER.indexOf(a.tier) - TIER_ORDER.indexOf(b.tier) || a.index - b.index);
+  }
+
   /**
-   * Extract sentence containing a match
-   * @param {string} text - Full text
-   * @param {number} matchIndex - Index where match was found
-   * @param {number} matchLength - Length of the match
-   * @returns {string|null} - The sentence containing the match
+   * Drop whitespace and lowercase, so text can be compared regardless of layout
+   * ("U.S.<br>citizen" in the page is "U.S. citizen" in the description text)
+   * @param {string} text - Text to compact
+   * @returns {string}
    */
-  function extractSentence(text, matchIndex, matchLength) {
-    // Find sentence boundaries
-    const sentenceEndRegex = /[.!?]\s+|$/g;
-    let start = 0;
-    let end = text.length;
-
-    // Find sentence end after the match
-    sentenceEndRegex.lastIndex = matchIndex + matchLength;
-    const endMatch = sentenceEndRegex.exec(text);
-    if (endMatch) {
-      end = endMatch.index + endMatch[0].length;
+  function compact(text) {
+    let result = '';
+    for (const char of text) {
+      if (!/\s/.test(char)) result += char.toLowerCase();
     }
+    return result;
+  }
+
+  /**
+   * Flatten the text nodes under an element into one compacted string
+   * @param {Element} root - Description element
+   * @returns {{text: string, positions: Array<{node: Text, offset: number}>}} - positions[i] is the
+   *   DOM position of text[i]
+   */
+  function flattenText(root) {
+    const positions = [];
+    let text = '';
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        return parent && parent.closest('script, style') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+      }
+    });
 
-    // Find sentence start before the match
-    sentenceEndRegex.lastIndex = 0;
-    let startMatch;
-    while ((startMatch = sentenceEndRegex.exec(text)) !== null) {
-      if (startMatch.index + startMatch[0].length >= matchIndex) {
-        start = startMatch.index === 0 ? 0 : startMatch.index + startMatch[0].length;
-        break;
+    let node;
+    while ((node = walker.nextNode())) {
+      const data = node.data;
+      let offset = 0;
+      for (const char of data) {
+        if (!/\s/.test(char)) {
+          const lower = char.toLowerCase();
+          text += lower;
+          for (let i = 0; i < lower.length; i++) positions.push({ node, offset });
+        }
+        offset += char.length;
       }
     }
+    return { text, positions };
+  }
 
-    const sentence = text.substring(start, end).trim();
-    return sentence.length > 10 ? sentence : null;
+  /**
+   * Count the occurrences of needle that start before a position
+   * @param {string} haystack - Compacted text
+   * @param {string} needle - Compacted phrase
+   * @param {number} limit - Stop counting at this position
+   * @returns {number}
+   */
+  function countOccurrences(haystack, needle, limit) {
+    let count = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1 && index < limit) {
+      count++;
+      index = haystack.indexOf(needle, index + 1);
+    }
+    return count;
   }
 
   /**
-   * Highlight text in a DOM element by wrapping matched phrase in a span
-   * @param {Element} element - Element to search in
-   * @param {string} phrase - Phrase to highlight
+   * Find where a piece of evidence sits in the flattened description
+   * @param {Object} flat - From flattenText()
+   * @param {Object} item - Evidence from collectEvidence()
+   * @param {string} description - Description text the analyzer saw
+   * @param {string} compactDescription - compact(description)
+   * @returns {{start: number, end: number}|null} - Positions in flat.text
    */
-  function highlightPhraseInElement(element, phrase) {
-    try {
-      const phraseTrimmed = phrase.trim();
-      const phraseLower = phraseTrimmed.toLowerCase();
-      const walker = document.createTreeWalker(
-        element,
-        NodeFilter.SHOW_TEXT,
-        null
-      );
-
-      let textNode;
-      while ((textNode = walker.nextNode())) {
-        // Skip if already inside a highlight
-        if (textNode.parentElement && textNode.parentElement.classList.contains(HIGHLIGHT_CLASS)) {
-          continue;
-        }
+  function locate(flat, item, description, compactDescription) {
+    const needle = compact(item.text);
+    if (!needle) return null;
+
+    const available = countOccurrences(flat.text, needle, flat.text.length);
+    if (available === 0) return null;
+
+    // The analyzer's text can repeat nested containers, so occurrences past the end wrap around
+    const before = compact(description.substring(0, item.index)).length;
+    let occurrence = countOccurrences(compactDescription, needle, before) % available;
+
+    let start = flat.text.indexOf(needle);
+    while (occurrence-- > 0) start = flat.text.indexOf(needle, start + 1);
+    return { start, end: start + needle.length };
+  }
+
+  /**
+   * Map evidence to per-text-node segments; overlapping text goes to the earlier item
+   * @param {Object} flat - From flattenText()
+   * @param {Array<Object>} evidence - From collectEvidence(), in highlight order
+   * @param {string} description - Description text the analyzer saw
+   * @returns {Array<{node: Text, start: number, end: number, from: number, to: number, item: Object}>} - start/end
+   *   are offsets in node, from/to are positions in flat.text
+   */
+  function buildSegments(flat, evidence, description) {
+    const owners = new Array(flat.text.length).fill(null);
+    const compactDescription = compact(description);
+
+    evidence.forEach(item => {
+      const location = locate(flat, item, description, compactDescription);
+      item.location = location;
+      if (!location) return;
+      for (let i = location.start; i < location.end; i++) {
+        if (!owners[i]) owners[i] = item;
+      }
+    });
+
+    const segments = [];
+    let current = null;
+    owners.forEach((item, i) => {
+      const position = flat.positions[i];
+      if (current && item === current.item && position.node === current.node) {
+        current.end = position.offset + 1;
+        current.to = i + 1;
+        return;
+      }
+      current = item
+        ? { node: position.node, start: position.offset, end: position.offset + 1, from: i, to: i + 1, item }
+        : null;
+      if (current) segments.push(current);
+    });
+
+    // A character can be several code units (e.g. emoji); end on a full character
+    segments.forEach(segment => {
+      const code = segment.node.data.charCodeAt(segment.end - 1);
+      if (code >= 0xd800 && code <= 0xdbff) segment.end++;
+    });
+    return segments;
+  }
+
+  /**
+   * Find the element holding the job description
+   * @returns {Element|null}
+   */
+  function findDescriptionRoot() {
+    const site = SiteAdapters.getCurrent();
+    return site ? site.findDescriptionRoot() : null;
+  }
+
+  /**
+   * Whether the CSS Custom Highlight API is available
+   * @returns {boolean}
+   */
+  function supportsHighlightApi() {
+    return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function';
+  }
 
-        const nodeText = textNode.textContent;
-        const nodeTextLower = nodeText.toLowerCase();
-        const index = nodeTextLower.indexOf(phraseLower);
+  /**
+   * Paint segments with the CSS Custom Highlight API (the DOM is left untouched)
+   * @param {Element} root - Description element
+   * @param {Array<Object>} segments - From buildSegments()
+   * @returns {Object} - Active highlight state for removeHighlights()
+   */
+  function applyHighlightApi(root, segments) {
+    const entries = segments.map(segment => {
+      const range = document.createRange();
+      range.setStart(segment.node, segment.start);
+      range.setEnd(segment.node, segment.end);
+      segment.range = range;
+      return { range, item: segment.item };
+    });
 
-        if (index !== -1) {
-          const beforeText = nodeText.substring(0, index);
-          const phraseText = nodeText.substring(index, index + phraseTrimmed.length);
-          const afterText = nodeText.substring(index + phraseTrimmed.length);
+    const names = [];
+    Object.values(TIER_STYLES).forEach(style => {
+      const name = `${HIGHLIGHT_CLASS}--${style.modifier}`;
+      const ranges = entries
+        .filter(entry => TIER_STYLES[entry.item.tier].modifier === style.modifier)
+        .map(entry => entry.range);
+      if (ranges.length === 0 || names.includes(name)) return;
+      CSS.highlights.set(name, new Highlight(...ranges));
+      names.push(name);
+    });
 
-          const highlightSpan = document.createElement('span');
-          highlightSpan.className = HIGHLIGHT_CLASS;
-          highlightSpan.textContent = phraseText;
+    // Highlights can't carry a title, so show the rule on the description while hovering one
+    const originalTitle = root.getAttribute('title');
+    const restoreTitle = () => {
+      if (originalTitle === null) root.removeAttribute('title');
+      else root.setAttribute('title', originalTitle);
+    };
+    const onMouseMove = event => {
+      const caret = document.caretPositionFromPoint
+        ? document.caretPositionFromPoint(event.clientX, event.clientY)
+        : document.caretRangeFromPoint(event.clientX, event.clientY);
+      const node = caret && (caret.offsetNode || caret.startContainer);
+      const offset = caret && (caret.offsetNode ? caret.offset : caret.startOffset);
+      const hovered = node && entries.find(entry => {
+        try {
+          return entry.range.isPointInRange(node, offset) && offset < entry.range.endOffset;
+        } catch (error) {
+          return false;
+        }
+      });
+      if (hovered) root.setAttribute('title', hovered.item.title);
+      else restoreTitle();
+    };
+    root.addEventListener('mousemove', onMouseMove);
+    root.addEventListener('mouseleave', restoreTitle);
 
-          const parent = textNode.parentNode;
-          if (!parent) return false;
+    let flashTimer = null;
+    return {
+      focus(targets) {
+        const flash = new Highlight(...targets.map(segment => segment.range));
+        flash.priority = 1;
+        CSS.highlights.set(FLASH_CLASS, flash);
+        clearTimeout(flashTimer);
+        flashTimer = setTimeout(() => CSS.highlights.delete(FLASH_CLASS), FLASH_DURATION);
+        return targets[0].node.parentElement;
+      },
+      remove() {
+        clearTimeout(flashTimer);
+        CSS.highlights.delete(FLASH_CLASS);
+        names.forEach(name => CSS.highlights.delete(name));
+        root.removeEventListener('mousemove', onMouseMove);
+        root.removeEventListener('mouseleave', restoreTitle);
+        restoreTitle();
+      }
+    };
+  }
 
-          if (beforeText) {
-            parent.insertBefore(document.createTextNode(beforeText), textNode);
-          }
-          parent.insertBefore(highlightSpan, textNode);
-          if (afterText) {
-            parent.insertBefore(document.createTextNode(afterText), textNode);
-          }
-          parent.removeChild(textNode);
+  /**
+   * Wrap segments in spans, remembering each replaced text node so it can be put back as it was
+   * @param {Array<Object>} segments - From buildSegments()
+   * @returns {Object} - Active highlight state for removeHighlights()
+   */
+  function applySpans(segments) {
+    const byNode = new Map();
+    segments.forEach(segment => {
+      if (!byNode.has(segment.node)) byNode.set(segment.node, []);
+      byNode.get(segment.node).push(segment);
+    });
+
+    const replaced = [];
+    byNode.forEach((nodeSegments, node) => {
+      const parent = node.parentNode;
+      if (!parent) return;
 
-          return true;
+      const replacements = [];
+      let cursor = 0;
+      nodeSegments.forEach(segment => {
+        if (segment.start > cursor) {
+          replacements.push(document.createTextNode(node.data.substring(cursor, segment.start)));
         }
+        const span = document.createElement('span');
+        span.className = `${HIGHLIGHT_CLASS} ${HIGHLIGHT_CLASS}--${TIER_STYLES[segment.item.tier].modifier}`;
+        span.setAttribute('data-tier', segment.item.tier);
+        span.title = segment.item.title;
+        span.textContent = node.data.substring(segment.start, segment.end);
+        segment.element = span;
+        replacements.push(span);
+        cursor = segment.end;
+      });
+      if (cursor < node.data.length) {
+        replacements.push(document.createTextNode(node.data.substring(cursor)));
+      }
+
+      replacements.forEach(replacement => parent.insertBefore(replacement, node));
+      parent.removeChild(node);
+      replaced.push({ node, replacements });
+    });
+
+    let flashTimer = null;
+    const clearFlash = () => {
+      segments.forEach(segment => segment.element && segment.element.classList.remove(FLASH_CLASS));
+    };
+    return {
+      focus(targets) {
+        clearFlash();
+        clearTimeout(flashTimer);
+        targets.forEach(segment => segment.element && segment.element.classList.add(FLASH_CLASS));
+        flashTimer = setTimeout(clearFlash, FLASH_DURATION);
+        return targets[0].element || null;
+      },
+      remove() {
+        clearTimeout(flashTimer);
+        replaced.forEach(({ node, replacements }) => {
+          const parent = replacements[0].parentNode;
+          // The page re-rendered this part of the description; there is nothing to restore
+          if (!parent) return;
+          parent.insertBefore(node, replacements[0]);
+          replacements.forEach(replacement => {
+            if (replacement.parentNode) replacement.parentNode.removeChild(replacement);
+          });
+        });
       }
+    };
+  }
+
+  /**
+   * Highlight evidence in the job description
+   * @param {Array<Object>} evidence - From collectEvidence()
+   * @param {string} description - Description text the analyzer saw
+   * @returns {boolean} - Whether anything was highlighted
+   */
+  function applyEvidence(evidence, description) {
+    try {
+      const root = findDescriptionRoot();
+      if (!root) return false;
+
+      const segments = buildSegments(flattenText(root), evidence, description);
+      if (segments.length === 0) return false;
+
+      active = supportsHighlightApi() ? applyHighlightApi(root, segments) : applySpans(segments);
+      active.evidence = evidence;
+      active.segments = segments;
+      return true;
     } catch (error) {
       // Silently fail - don't spam console
       return false;
     }
-    return false;
   }
 
   /**
-   * Find and highlight matched phrases in job description
-   * @param {Array} matchedPhrases - Array of matched phrase strings
-   * @param {string} fullText - Full job description text
+   * Scroll to the highlight of one piece of evidence and flash it
+   * @param {number} index - Hit index in the description text (from the scoring breakdown)
+   * @param {string} text - Hit text
+   * @returns {boolean} - Whether the evidence is highlighted on the page
    */
-  function highlightSentences(matchedPhrases, fullText) {
-    if (!matchedPhrases || matchedPhrases.length === 0 || !fullText) return;
-
-    const firstMatch = matchedPhrases[0];
-    const matchIndex = fullText.toLowerCase().indexOf(firstMatch.toLowerCase());
-    if (matchIndex === -1) return;
+  function focusEvidence(index, text) {
+    if (!active) return false;
+    try {
+      const item = active.evidence.find(candidate => candidate.key === `${index}:${text}`);
+      if (!item || !item.location) return false;
 
-    // Try to extract sentence, but fall back to just the phrase
-    let textToHighlight = extractSentence(fullText, matchIndex, firstMatch.length);
-    if (!textToHighlight) {
-      textToHighlight = firstMatch;
-    }
+      // Evidence inside a stronger match has no segments of its own; flash the text it covers
+      const targets = active.segments.filter(segment =>
+        segment.from < item.location.end && segment.to > item.location.start);
+      if (targets.length === 0) return false;
 
-    // Find job description DOM elements
-    const selectors = [
-      '.jobs-description-content__text',
-      '.show-more-less-html__markup',
-      '.jobs-description__text',
-      '.jobs-box__html-content',
-      '.jobs-description-content',
-      '[class*="jobs-description"]'
-    ];
-
-    for (const selector of selectors) {
-      try {
-        const elements = document.querySelectorAll(selector);
-        for (const element of elements) {
-          // Skip if already highlighted
-          if (element.querySelector(`.${HIGHLIGHT_CLASS}`)) {
-            continue;
-          }
-          // Try highlighting the phrase first (more reliable)
-          if (highlightPhraseInElement(element, firstMatch)) {
-            return true;
-          }
-          // Try highlighting the sentence if phrase didn't work
-          if (textToHighlight !== firstMatch && highlightPhraseInElement(element, textToHighlight)) {
-            return true;
-          }
-        }
-      } catch (error) {
-        // Continue to next selector
-        continue;
-      }
+      const element = active.focus(targets);
+      if (element) element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return true;
+    } catch (error) {
+      // Silently fail
+      return false;
     }
-    return false;
   }
 
   /**
-   * Remove all highlights
+   * Remove all highlights, restoring the description exactly as it was
    */
   function removeHighlights() {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
     try {
-      const highlights = document.querySelectorAll(`.${HIGHLIGHT_CLASS}`);
-      highlights.forEach(highlight => {
-        const parent = highlight.parentNode;
-        if (parent) {
-          parent.replaceChild(document.createTextNode(highlight.textContent), highlight);
-          parent.normalize();
-        }
-      });
+      if (active) active.remove();
     } catch (error) {
       // Silently fail
     }
+    active = null;
   }
 
   /**
-   * Highlight job description based on analysis result
+   * Highlight every matched phrase in the job description, colored by tier
    * @param {Object} analysisResult - Analysis result from analyzer
    * @param {string} jobDescriptionText - Full job description text
    */
   function highlight(analysisResult, jobDescriptionText) {
-    // Only highlight if status is "no"
-    if (analysisResult.status !== 'no') {
-      removeHighlights();
-      return;
-    }
-
     // Remove existing highlights first
     removeHighlights();
 
-    // Get matched phrases (prioritize strong negative over moderate)
-    const matchedPhrases = analysisResult.details.strongNegative.length > 0
-      ? analysisResult.details.strongNegative
-      : analysisResult.details.moderateNegative;
-
-    if (matchedPhrases.length > 0 && jobDescriptionText) {
+    const evidence = collectEvidence(analysisResult);
+    if (evidence.length > 0 && jobDescriptionText) {
       // Wait a bit for DOM to be ready, then try to highlight
-      setTimeout(() => {
-        highlightSentences(matchedPhrases, jobDescriptionText);
+      pendingTimer = setTimeout(() => {
+        pendingTimer = null;
+        applyEvidence(evidence, jobDescriptionText);
       }, 300);
     }
   }
@@ -201,6 +451,7 @@ const Highlighter = (function () {
   // Public API
   return {
     highlight,
+    focusEvidence,
     removeHighlights
   };
 })();
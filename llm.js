@@ -0,0 +1,209 @@
+/**
+ * LLM Providers
+ * Transports for Analyzer.analyzeWithAI: an OpenAI-compatible chat completions client (works with local
+ * Ollama and llama.cpp servers), a proxy that runs it from the background service worker, a mock provider,
+ * and the verdict cache
+ *
+ * A provider is { id, model, complete(request) } where request is { messages, schema } and complete()
+ * resolves to the model's reply text (JSON matching the schema) or rejects with an Error.
+ */
+
+const LLMProviders = (function () {
+  'use strict';
+
+  // Message type content scripts send to background.js to run a provider request
+  const AI_MESSAGE = 'h1b-sponsor:ai-request';
+
+  const DEFAULT_TIMEOUT_MS = 60000;
+
+  const CACHE_STORAGE_KEY = 'h1bAIVerdicts';
+  const MAX_CACHED_VERDICTS = 300;
+
+  /**
+   * Create a provider for an OpenAI-compatible /chat/completions endpoint
+   * @param {Object} config - { endpoint, model, apiKey?, timeoutMs? }; endpoint is the API base,
+   *   e.g. "http://localhost:11434/v1" for Ollama or "http://localhost:8080/v1" for llama.cpp
+   * @returns {Object} - Provider
+   */
+  function createOpenAICompatibleProvider(config) {
+    const endpoint = (config.endpoint || '').replace(/\/+$/, '');
+    const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    return {
+      id: 'openai-compatible',
+      model: config.model,
+
+      async complete(request) {
+        if (!endpoint || !config.model) {
+          throw new Error('Set the model server address and model name on the options page');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+          headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+          const response = await fetch(`${endpoint}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal: controller.signal,
+            body: JSON.stringify({
+              model: config.model,
+              messages: request.messages,
+              temperature: 0,
+              response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'sponsorship_verdict', strict: true, schema: request.schema }
+              }
+            })
+          });
+
+          if (!response.ok) {
+            throw new Error(`The model server answered ${response.status} ${response.statusText}`.trim());
+          }
+
+          const data = await response.json();
+          const message = data && data.choices && data.choices[0] && data.choices[0].message;
+          if (!message || typeof message.content !== 'string') {
+            throw new Error('The model server sent no reply text');
+          }
+          return message.content;
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw new Error(`The model server did not answer within ${Math.round(timeoutMs / 1000)} seconds`);
+          }
+          if (error.name === 'TypeError') {
+            // fetch() rejects with a TypeError when the server can't be reached
+            throw new Error(`Could not reach the model server at ${endpoint}`);
+          }
+          throw error;
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    };
+  }
+
+  /**
+   * Create a provider that runs requests in the background service worker
+   * Content scripts use this: the page's origin can't reach a local model server, the extension can.
+   * @param {Object} config - Same as createOpenAICompatibleProvider
+   * @returns {Object} - Provider
+   */
+  function createBackgroundProvider(config) {
+    return {
+      id: 'openai-compatible',
+      model: config.model,
+
+      async complete(request) {
+        const response = await chrome.runtime.sendMessage({ type: AI_MESSAGE, config, request });
+        if (!response) {
+          throw new Error('The extension background did not answer');
+        }
+        if (response.error) {
+          throw new Error(response.error);
+        }
+        return response.content;
+      }
+    };
+  }
+
+  /**
+   * Run a request sent by createBackgroundProvider (called from background.js)
+   * @param {Object} message - { type: AI_MESSAGE, config, request }
+   * @returns {Promise<Object>} - { content } or { error } (errors don't survive messaging as objects)
+   */
+  function handleBackgroundRequest(message) {
+    return createOpenAICompatibleProvider(message.config).complete(message.request)
+      .then(content => ({ content }))
+      .catch(error => ({ error: error.message }));
+  }
+
+  /**
+   * Create a provider that answers without a model, for tests and for trying the interface
+   * @param {Object|string|Function} reply - Verdict object, raw reply text, or (request) => either
+   * @returns {Object} - Provider; `calls` records every request
+   */
+  function createMockProvider(reply) {
+    const calls = [];
+    return {
+      id: 'mock',
+      model: 'mock',
+      calls,
+
+      async complete(request) {
+        calls.push(request);
+        const value = typeof reply === 'function' ? reply(request) : reply;
+        if (value instanceof Error) throw value;
+        return typeof value === 'string' ? value : JSON.stringify(value);
+      }
+    };
+  }
+
+  /**
+   * Create a verdict cache in chrome.storage.local, for Analyzer.analyzeWithAI's `cache` option
+   * Keys should include the description hash and the model, so a different model asks again.
+   * @returns {Object} - { get(key), set(key, verdict) }, both returning promises
+   */
+  function createVerdictCache() {
+    let entries = null;
+    let loadPromise = null;
+
+    const isStorageAvailable = () => {
+      try {
+        return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+      } catch (error) {
+        return false;
+      }
+    };
+
+    const load = () => {
+      if (!loadPromise) {
+        loadPromise = !isStorageAvailable()
+          ? Promise.resolve().then(() => { entries = {}; })
+          : chrome.storage.local.get(CACHE_STORAGE_KEY)
+            .then(stored => { entries = (stored && stored[CACHE_STORAGE_KEY]) || {}; })
+            .catch(() => { entries = {}; });
+      }
+      return loadPromise;
+    };
+
+    return {
+      async get(key) {
+        await load();
+        return entries[key] ? entries[key].verdict : null;
+      },
+
+      async set(key, verdict) {
+        await load();
+        entries[key] = { verdict, cachedAt: Date.now() };
+
+        // Drop the oldest verdicts past the limit
+        const keys = Object.keys(entries);
+        if (keys.length > MAX_CACHED_VERDICTS) {
+          keys.sort((a, b) => entries[a].cachedAt - entries[b].cachedAt)
+            .slice(0, keys.length - MAX_CACHED_VERDICTS)
+            .forEach(oldKey => delete entries[oldKey]);
+        }
+
+        if (!isStorageAvailable()) return;
+        await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: entries }).catch(() => {
+          // Storage quota or context errors only cost a repeated request
+        });
+      }
+    };
+  }
+
+  // Public API
+  return {
+    createOpenAICompatibleProvider,
+    createBackgroundProvider,
+    handleBackgroundRequest,
+    createMockProvider,
+    createVerdictCache,
+    AI_MESSAGE
+  };
+})();
@@ -0,0 +1,226 @@
+/**
+ * Job Location
+ * Reads where a job can be done from: the workplace type (on-site, hybrid, remote) from the top card, and
+ * residency restrictions ("must reside in the United States", "Remote (US only)") from the top card's
+ * location and the description
+ *
+ * A residency restriction is not a sponsorship statement and doesn't change the status, but it changes
+ * what the status means: a remote job for U.S. residents only is out of reach from abroad either way.
+ */
+
+const JobLocation = (function () {
+  'use strict';
+
+  const WORKPLACE_LABELS = {
+    on_site: 'On-site',
+    hybrid: 'Hybrid',
+    remote: 'Remote'
+  };
+
+  // Workplace type words as job sites write them, checked in order ("Hybrid remote" is hybrid)
+  const WORKPLACE_PATTERNS = [
+    { type: 'hybrid', pattern: /\bhybrid\b/i },
+    { type: 'remote', pattern: /\bremote\b|\bwork\s+from\s+home\b|\bhome[\s-]based\b|\btelecommute\b/i },
+    { type: 'on_site', pattern: /\bon[\s-]?site\b|\bin[\s-]office\b|\bin[\s-]person\b/i }
+  ];
+
+  // Residency requirements. Group 1 holds the words around the place; `placeAt` says whether the place
+  // starts the group ("must reside in the United States and ...") or ends it ("open to US residents only").
+  const RESIDENCY_PATTERNS = [
+    {
+      // "must reside in the United States", "candidates must be based in Canada"
+      pattern: /\b(?:must|required\s+to|needs?\s+to)\s+(?:currently\s+)?(?:reside|live|be\s+(?:located|based|residing|living))\s+(?:with)?in\s+([\w.]+(?:\s+[\w.]+){0,4})/gi,
+      placeAt: 'start'
+    },
+    {
+      // "must be a resident of the UK"
+      pattern: /\bmust\s+be\s+(?:an?\s+)?(?:current\s+)?residents?\s+of\s+([\w.]+(?:\s+[\w.]+){0,4})/gi,
+      placeAt: 'start'
+    },
+    {
+      // "open only to candidates located in Germany", "only applicants based in Australia"
+      pattern: /\b(?:open\s+only\s+to|only)\s+(?:candidates|applicants|residents|people|those)\s+(?:who\s+(?:live|reside)\s+|(?:located|based|residing|living)\s+)?in\s+([\w.]+(?:\s+[\w.]+){0,4})/gi,
+      placeAt: 'start'
+    },
+    {
+      // "open to candidates in the US only"
+      pattern: /\bopen\s+to\s+(?:candidates|applicants|residents|people)\s+(?:(?:located|based|residing|living)\s+)?in\s+([\w.]+(?:\s+[\w.]+){0,3})\s+only\b/gi,
+      placeAt: 'start'
+    },
+    {
+      // "US residents only", "UK-based candidates only"
+      pattern: /\b([\w.]+(?:\s+[\w.]+)?)[\s-]+(?:residents|based\s+(?:candidates|applicants))\s+only\b/gi,
+      placeAt: 'end'
+    },
+    {
+      // "Remote (US only)", "Remote - Canada only"
+      pattern: /\bremote\s*[(\-–,:]\s*([\w.]+(?:\s+[\w.]+){0,2})\s+only\b/gi,
+      placeAt: 'start'
+    },
+    {
+      // "remote within the United States", "remote anywhere within the EU"
+      pattern: /\bremote\s+(?:\w+\s+)?within\s+([\w.]+(?:\s+[\w.]+){0,4})/gi,
+      placeAt: 'start'
+    }
+  ];
+
+  // Capitalized words that start sentences rather than name places ("All residents only welcome")
+  const NON_PLACE_WORDS = ['All', 'Any', 'Current', 'Eligible', 'Existing', 'Local', 'Only', 'Our', 'Qualified'];
+
+  /**
+   * Trim matched words down to a place name: the run of capitalized words at the start or end
+   * ("the United States and Canada" → "United States", "to US" → "US")
+   * @param {string} words - Words from a residency pattern
+   * @param {string} placeAt - 'start' or 'end'
+   * @returns {string|null} - Place name, or null when no word is capitalized
+   */
+  function readPlace(words, placeAt) {
+    let list = words.split(/\s+/);
+    if (placeAt === 'end') {
+      list.reverse();
+    }
+    if (placeAt === 'start' && /^the$/i.test(list[0])) {
+      list = list.slice(1);
+    }
+
+    const place = [];
+    for (const word of list) {
+      if (NON_PLACE_WORDS.includes(word)) break;
+      // "of" joins capitalized words ("United States of America")
+      if (!/^[A-Z]/.test(word) && !(word === 'of' && place.length > 0)) break;
+      place.push(word);
+      // A full stop ends the sentence, unless it is part of an abbreviation ("U.S.")
+      if (/[^.]\.$/.test(word) && !/^(?:[A-Za-z]\.)+$/.test(word)) break;
+    }
+    while (place.length > 0 && place[place.length - 1] === 'of') {
+      place.pop();
+    }
+    if (placeAt === 'end') {
+      place.reverse();
+    }
+    if (place.length === 0) return null;
+
+    return place.join(' ').replace(/([^.]\w)\.$/, '$1');
+  }
+
+  /**
+   * Find residency restrictions in a text
+   * @param {string|null} text - Description or top-card location
+   * @param {string} source - Where the text came from: 'description' or 'location'
+   * @returns {Array<Object>} - { place, country, label, text, index, source }, one per place; `country` is
+   *   the code when the place is a country, `label` the short name used on the badge ("US", "Texas")
+   */
+  function findResidency(text, source) {
+    if (!text) return [];
+
+    const found = [];
+    RESIDENCY_PATTERNS.forEach(({ pattern, placeAt }) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const place = readPlace(match[1], placeAt);
+        if (!place) continue;
+
+        const country = CountryPacks.findNamedCountry(place);
+        const label = country ? CountryPacks.getLabel(country) : place;
+        if (found.some(entry => entry.label === label)) continue;
+
+        // Quote from the place or up to it, without the words read past it ("to US residents only" is
+        // quoted as "US residents only")
+        const groupStart = match[0].lastIndexOf(match[1]);
+        let start = 0;
+        let end = match[0].length;
+        if (placeAt === 'end') {
+          start = groupStart + match[1].lastIndexOf(place);
+        } else if (groupStart + match[1].length === match[0].length) {
+          end = groupStart + match[1].indexOf(place) + place.length;
+        }
+        found.push({ place, country, label, text: match[0].slice(start, end), index: match.index + start, source });
+      }
+    });
+
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Read the workplace type from top-card text
+   * @param {string|null} text - Workplace label or location text, e.g. "Remote", "Austin, TX (Hybrid)"
+   * @returns {string|null} - 'on_site', 'hybrid', 'remote', or null when not stated
+   */
+  function readWorkplaceType(text) {
+    if (!text) return null;
+    const found = WORKPLACE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return found ? found.type : null;
+  }
+
+  /**
+   * Parse the location and workplace type from a job's top card
+   * @param {string|null} location - Location text
+   * @param {string|null} workplace - Workplace type label, when the site shows one apart from the location
+   * @returns {Object} - { text, workplaceType, residency }
+   */
+  function parseTopCard(location, workplace) {
+    return {
+      text: location || null,
+      workplaceType: readWorkplaceType(workplace) || readWorkplaceType(location),
+      residency: findResidency(location, 'location')
+    };
+  }
+
+  /**
+   * Combine the top card's location with the residency restrictions in the description
+   * @param {Object|null} topCard - From parseTopCard(), or null when the top card wasn't read
+   * @param {string|null} description - Job description text
+   * @returns {Object} - { text, workplaceType, residency }
+   */
+  function read(topCard, description) {
+    const location = topCard || parseTopCard(null, null);
+    const residency = location.residency.slice();
+    findResidency(description, 'description').forEach(entry => {
+      if (!residency.some(existing => existing.label === entry.label)) {
+        residency.push(entry);
+      }
+    });
+    return { text: location.text, workplaceType: location.workplaceType, residency };
+  }
+
+  /**
+   * Whether a stored location was read from the same top card
+   * @param {Object|undefined} location - `location` of a stored result
+   * @param {Object} topCard - From parseTopCard()
+   * @returns {boolean}
+   */
+  function isSameTopCard(location, topCard) {
+    return !!location && location.text === topCard.text && location.workplaceType === topCard.workplaceType;
+  }
+
+  /**
+   * Summarize a location for the badge, e.g. "Remote, US residents only"
+   * @param {Object|null|undefined} location - `location` of an analysis result
+   * @returns {string|null} - Summary, or null when neither the workplace type nor a restriction is known
+   */
+  function summarize(location) {
+    if (!location) return null;
+
+    const parts = [];
+    if (location.workplaceType) {
+      parts.push(WORKPLACE_LABELS[location.workplaceType]);
+    }
+    if (location.residency.length > 0) {
+      parts.push(`${location.residency.map(entry => entry.label).join(' or ')} residents only`);
+    }
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
+  // Public API
+  return {
+    parseTopCard,
+    read,
+    findResidency,
+    readWorkplaceType,
+    isSameTopCard,
+    summarize,
+    WORKPLACE_LABELS,
+    RESIDENCY_PATTERNS
+  };
+})();
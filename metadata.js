@@ -0,0 +1,424 @@
+/**
+ * Job Metadata
+ * Builds a job's metadata (title, company, location, salary, seniority, employment type, posted date) from
+ * the texts a site adapter reads off the top card, and checks it against a fixed schema
+ *
+ * Every field is read from the first candidate text that parses, in the adapter's selector order, so a
+ * site redesign that breaks one selector falls through to the next. The salary falls back to the
+ * description and the seniority to the job title.
+ */
+
+const JobMetadata = (function () {
+  'use strict';
+
+  // Seniority and employment types as LinkedIn labels them
+  const SENIORITY_LABELS = {
+    internship: 'Internship',
+    entry: 'Entry level',
+    associate: 'Associate',
+    mid_senior: 'Mid-Senior level',
+    director: 'Director',
+    executive: 'Executive'
+  };
+  const EMPLOYMENT_TYPE_LABELS = {
+    full_time: 'Full-time',
+    part_time: 'Part-time',
+    contract: 'Contract',
+    temporary: 'Temporary',
+    internship: 'Internship',
+    volunteer: 'Volunteer'
+  };
+
+  const CURRENCIES = ['USD', 'CAD', 'GBP', 'EUR', 'AUD'];
+  const SALARY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+
+  // The metadata object: every field is present, null when unknown
+  const SCHEMA = {
+    title: { type: 'string', maxLength: 300 },
+    company: { type: 'string', maxLength: 200 },
+    location: { type: 'string', maxLength: 200 },
+    salary: { type: 'object', check: checkSalary },
+    seniority: { type: 'string', values: Object.keys(SENIORITY_LABELS) },
+    employmentType: { type: 'string', values: Object.keys(EMPLOYMENT_TYPE_LABELS) },
+    postedDate: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ }
+  };
+
+  // Top-card labels, read from the start of a text after its heading ("Seniority level Mid-Senior level")
+  const SENIORITY_PATTERNS = [
+    { value: 'internship', pattern: /^internship\b/i },
+    { value: 'entry', pattern: /^entry[\s-]level\b/i },
+    { value: 'associate', pattern: /^associate\b/i },
+    { value: 'mid_senior', pattern: /^mid[\s-]senior\b/i },
+    { value: 'director', pattern: /^director\b/i },
+    { value: 'executive', pattern: /^executive\b/i }
+  ];
+
+  // Job title words, checked in order ("Associate Director" is a director)
+  const TITLE_SENIORITY_PATTERNS = [
+    { value: 'executive', pattern: /\b(?:chief|vp|svp|evp|vice\s+president|c[eft]o)\b/i },
+    { value: 'director', pattern: /\b(?:director|head\s+of)\b/i },
+    { value: 'internship', pattern: /\b(?:intern|internship|co-op)\b/i },
+    { value: 'mid_senior', pattern: /\b(?:senior|sr|staff|principal|lead)\b/i },
+    { value: 'entry', pattern: /\b(?:junior|jr|entry[\s-]level|new\s+grad(?:uate)?|graduate)\b/i }
+  ];
+
+  // Employment types anywhere in a top-card text ("Full-time · Mid-Senior level")
+  const EMPLOYMENT_TYPE_PATTERNS = [
+    { value: 'full_time', pattern: /\bfull[\s-]?time\b/i },
+    { value: 'part_time', pattern: /\bpart[\s-]?time\b/i },
+    { value: 'contract', pattern: /\b(?:contract|contractor|freelance)\b/i },
+    { value: 'temporary', pattern: /\btemporary\b/i },
+    { value: 'internship', pattern: /\binternship\b/i },
+    { value: 'volunteer', pattern: /\bvolunteer\b/i }
+  ];
+
+  // Currency marks; a bare "$" is the job country's dollar
+  const CURRENCY_MARKS = {
+    'US$': 'USD',
+    'CA$': 'CAD',
+    'C$': 'CAD',
+    'AU$': 'AUD',
+    'A$': 'AUD',
+    '£': 'GBP',
+    '€': 'EUR'
+  };
+  const DOLLAR_COUNTRIES = { CA: 'CAD', AU: 'AUD' };
+
+  // An amount with its currency: "$120,000", "£45k", "€60.000", "USD 95,000"
+  const AMOUNT_PATTERN = /(US\$|CA\$|C\$|AU\$|A\$|[$£€]|\b(?:USD|CAD|GBP|EUR|AUD)\s?)(\d{1,3}(?:[,.]\d{3})+|\d+)(?:\.(\d{1,2}))?\s*([kK]\b)?/g;
+
+  // What may follow the first amount of a range: "- $150,000", "to 150k"
+  const RANGE_PATTERN = /^\s*(?:\/\s*(?:yr|year|hr|hour|mo|month)\s*)?(?:-|–|—|to)\s*(US\$|CA\$|C\$|AU\$|A\$|[$£€]|(?:USD|CAD|GBP|EUR|AUD)\s?)?(\d{1,3}(?:[,.]\d{3})+|\d+)(?:\.(\d{1,2}))?\s*([kK]\b)?/;
+
+  // A currency code after the amounts ("$80,000 - $100,000 CAD") overrides the mark before them
+  const TRAILING_CURRENCY_PATTERN = /^\s*(USD|CAD|GBP|EUR|AUD)\b/;
+
+  // Pay periods after the amounts: "/yr", "per hour", "a year", "annually"
+  const PERIOD_PATTERN = /^\s*(?:\/\s*|(?:per|an?)\s+)(yr|year|annum|hr|hour|day|wk|week|mo|month)\b|^\s*(annually|yearly|hourly|daily|weekly|monthly)\b/i;
+  const PERIODS = {
+    yr: 'year', year: 'year', annum: 'year', annually: 'year', yearly: 'year',
+    hr: 'hour', hour: 'hour', hourly: 'hour',
+    day: 'day', daily: 'day',
+    wk: 'week', week: 'week', weekly: 'week',
+    mo: 'month', month: 'month', monthly: 'month'
+  };
+
+  // Posted dates: "3 days ago", "Reposted 2 weeks ago", "Posted 30+ days ago", "Just posted"
+  const RELATIVE_DATE_PATTERN = /\b(\d+)\+?\s*(minute|min|hour|hr|day|week|month|year)s?\s+ago\b/i;
+  const TODAY_PATTERN = /\b(?:just\s+posted|just\s+now|today)\b/i;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const UNIT_DAYS = { minute: 0, min: 0, hour: 0, hr: 0, day: 1, week: 7, month: 30, year: 365 };
+
+  /**
+   * Check a salary object
+   * @param {Object} salary - { min, max, currency, period, text }
+   * @returns {string|null} - What is wrong, or null when it is valid
+   */
+  function checkSalary(salary) {
+    if (!salary || typeof salary !== 'object' || Array.isArray(salary)) return 'is not an object';
+    if (typeof salary.min !== 'number' || !(salary.min > 0)) return 'min is not a positive number';
+    if (salary.max !== null && (typeof salary.max !== 'number' || salary.max < salary.min)) {
+      return 'max is not a number at least min';
+    }
+    if (!CURRENCIES.includes(salary.currency)) return `currency "${salary.currency}"`;
+    if (!SALARY_PERIODS.includes(salary.period)) return `period "${salary.period}"`;
+    if (typeof salary.text !== 'string') return 'text is not text';
+    return null;
+  }
+
+  /**
+   * Check one field's value against the schema
+   * @param {string} key - Field name
+   * @param {*} value - Field value
+   * @returns {string|null} - What is wrong, or null when it is valid (null values always are)
+   */
+  function checkField(key, value) {
+    const field = SCHEMA[key];
+    if (value === null) return null;
+    if (field.type === 'object') {
+      const problem = field.check(value);
+      return problem ? `${key} ${problem}` : null;
+    }
+    if (typeof value !== 'string' || value.trim() === '') return `${key} is not text`;
+    if (field.maxLength && value.length > field.maxLength) return `${key} is longer than ${field.maxLength}`;
+    if (field.values && !field.values.includes(value)) return `${key} "${value}"`;
+    if (field.pattern && !field.pattern.test(value)) return `${key} "${value}"`;
+    return null;
+  }
+
+  /**
+   * Check a metadata object against the schema
+   * @param {Object} metadata - Metadata to check
+   * @returns {Array<string>} - Problems found; empty when the object is valid
+   */
+  function validate(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return ['not an object'];
+
+    const problems = Object.keys(metadata)
+      .filter(key => !SCHEMA[key])
+      .map(key => `unexpected ${key}`);
+    Object.keys(SCHEMA).forEach(key => {
+      if (!(key in metadata)) {
+        problems.push(`${key} is missing`);
+        return;
+      }
+      const problem = checkField(key, metadata[key]);
+      if (problem) problems.push(problem);
+    });
+    return problems;
+  }
+
+  /**
+   * Create a metadata object from parsed fields
+   * Text is trimmed with whitespace collapsed, and fields that don't match the schema are left null, so
+   * the result always passes validate().
+   * @param {Object} fields - Any of the schema's fields
+   * @returns {Object} - Metadata with every schema field
+   */
+  function create(fields) {
+    const metadata = {};
+    Object.keys(SCHEMA).forEach(key => {
+      let value = fields && fields[key] !== undefined ? fields[key] : null;
+      if (typeof value === 'string') {
+        value = value.replace(/\s+/g, ' ').trim() || null;
+      }
+      metadata[key] = checkField(key, value) ? null : value;
+    });
+    return metadata;
+  }
+
+  /**
+   * Read an amount matched by AMOUNT_PATTERN or RANGE_PATTERN
+   * @param {string} digits - Digits with thousands separators
+   * @param {string|undefined} decimals - Digits after the decimal point
+   * @param {string|undefined} thousands - "k" when the amount is in thousands
+   * @returns {number}
+   */
+  function readAmount(digits, decimals, thousands) {
+    const amount = Number(`${digits.replace(/[,.]/g, '')}.${decimals || '0'}`);
+    return thousands ? amount * 1000 : amount;
+  }
+
+  /**
+   * Read a currency mark
+   * @param {string|undefined} mark - "$", "£", "USD" and so on
+   * @param {string} country - Job country, for a bare "$"
+   * @returns {string} - Currency code
+   */
+  function readCurrency(mark, country) {
+    const trimmed = (mark || '$').trim();
+    if (CURRENCIES.includes(trimmed)) return trimmed;
+    if (CURRENCY_MARKS[trimmed]) return CURRENCY_MARKS[trimmed];
+    return DOLLAR_COUNTRIES[country] || 'USD';
+  }
+
+  /**
+   * Find the first salary in a text: a range or an amount with a pay period
+   * Single amounts without a period ("$5M in funding") are not salaries.
+   * @param {string|null} text - Top-card text or description
+   * @param {string} [country] - Job country, for the currency of "$" amounts
+   * @returns {Object|null} - { min, max, currency, period, text }
+   */
+  function parseSalary(text, country) {
+    if (!text) return null;
+
+    AMOUNT_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = AMOUNT_PATTERN.exec(text)) !== null) {
+      const min = readAmount(match[2], match[3], match[4]);
+      let end = match.index + match[0].length;
+      let max = null;
+
+      const range = RANGE_PATTERN.exec(text.slice(end));
+      if (range) {
+        max = readAmount(range[2], range[3], range[4]);
+        // "$120 - 150K" means thousands on both sides
+        if (range[4] && !match[4] && min < 1000) {
+          max = Math.max(max, min * 1000);
+        }
+        end += range[0].length;
+      }
+
+      const trailingCurrency = TRAILING_CURRENCY_PATTERN.exec(text.slice(end));
+      if (trailingCurrency) {
+        end += trailingCurrency[0].length;
+      }
+      const periodMatch = PERIOD_PATTERN.exec(text.slice(end));
+      if (periodMatch) {
+        end += periodMatch[0].length;
+      }
+      if (!range && !periodMatch) continue;
+      if (max !== null && max < min) continue;
+
+      const minAmount = range && range[4] && !match[4] && min < 1000 ? min * 1000 : min;
+      const period = periodMatch
+        ? PERIODS[(periodMatch[1] || periodMatch[2]).toLowerCase()]
+        : (minAmount >= 1000 ? 'year' : 'hour');
+
+      return create({
+        salary: {
+          min: minAmount,
+          max,
+          currency: readCurrency(trailingCurrency ? trailingCurrency[1] : match[1], country),
+          period,
+          text: text.slice(match.index, end).replace(/\s+/g, ' ').trim()
+        }
+      }).salary;
+    }
+    return null;
+  }
+
+  /**
+   * Read a seniority label ("Mid-Senior level", or "Seniority level Mid-Senior level" from a criteria list)
+   * @param {string|null} text - Top-card text
+   * @returns {string|null} - One of SENIORITY_LABELS' keys
+   */
+  function parseSeniority(text) {
+    if (!text) return null;
+    const label = text.trim().replace(/^seniority\s+level:?\s*/i, '');
+    const found = SENIORITY_PATTERNS.find(({ pattern }) => pattern.test(label));
+    return found ? found.value : null;
+  }
+
+  /**
+   * Guess the seniority from a job title ("Senior Software Engineer")
+   * @param {string|null} title - Job title
+   * @returns {string|null} - One of SENIORITY_LABELS' keys
+   */
+  function readSeniorityFromTitle(title) {
+    if (!title) return null;
+    const found = TITLE_SENIORITY_PATTERNS.find(({ pattern }) => pattern.test(title));
+    return found ? found.value : null;
+  }
+
+  /**
+   * Read an employment type ("Full-time", "Employment type Contract")
+   * @param {string|null} text - Top-card text
+   * @returns {string|null} - One of EMPLOYMENT_TYPE_LABELS' keys
+   */
+  function parseEmploymentType(text) {
+    if (!text) return null;
+    const found = EMPLOYMENT_TYPE_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return found ? found.value : null;
+  }
+
+  /**
+   * Format a date as a local "YYYY-MM-DD"
+   * @param {Date} date
+   * @returns {string}
+   */
+  function formatDay(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Read when a job was posted ("3 days ago", "Reposted 2 weeks ago", "Posted on March 3, 2026")
+   * Relative dates count months as 30 days, so they are approximate.
+   * @param {string|null} text - Top-card text
+   * @param {number} now - Current time, for relative dates
+   * @returns {string|null} - Local "YYYY-MM-DD"
+   */
+  function parsePostedDate(text, now) {
+    if (!text) return null;
+
+    if (TODAY_PATTERN.test(text)) return formatDay(new Date(now));
+    if (/\byesterday\b/i.test(text)) return formatDay(new Date(now - DAY_MS));
+
+    const relative = RELATIVE_DATE_PATTERN.exec(text);
+    if (relative) {
+      const days = Number(relative[1]) * UNIT_DAYS[relative[2].toLowerCase()];
+      return formatDay(new Date(now - days * DAY_MS));
+    }
+
+    // Absolute dates only count with a year, so "Posted on March 3" isn't read as 2001
+    const absolute = text.match(/\b(?:\d{4}-\d{2}-\d{2}|[A-Z][a-z]+\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\s+[A-Z][a-z]+\.?\s+\d{4})\b/);
+    if (absolute) {
+      const time = Date.parse(/^\d{4}-/.test(absolute[0]) ? `${absolute[0]}T00:00:00` : absolute[0]);
+      if (!Number.isNaN(time) && time <= now + DAY_MS) return formatDay(new Date(time));
+    }
+    return null;
+  }
+
+  /**
+   * Parse the first candidate text that gives a value
+   * @param {Array<string>} candidates - Texts in selector order
+   * @param {Function} parse - (text) => value or null
+   * @returns {*} - First value, or null
+   */
+  function firstParsed(candidates, parse) {
+    for (const text of candidates || []) {
+      const value = parse(text);
+      if (value !== null) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Build a job's metadata from what its site adapter read
+   * @param {Object} details - From the adapter's extractDetails(): { title, company, location }
+   * @param {Object} texts - From the adapter's extractMetadataTexts(): candidate texts per field
+   * @param {Object} [context] - { description, country, now }: the description for the salary fallback,
+   *   the job country for "$" amounts (U.S. by default), and the time for relative dates
+   * @returns {Object} - Metadata matching SCHEMA
+   */
+  function extract(details, texts, context = {}) {
+    const country = context.country || 'US';
+    const now = context.now || Date.now();
+    const title = (details && details.title) || null;
+
+    return create({
+      title,
+      company: details && details.company,
+      location: details && details.location,
+      salary: firstParsed(texts.salary, text => parseSalary(text, country)) || parseSalary(context.description, country),
+      seniority: firstParsed(texts.seniority, parseSeniority) || readSeniorityFromTitle(title),
+      employmentType: firstParsed(texts.employmentType, parseEmploymentType),
+      postedDate: firstParsed(texts.postedDate, text => parsePostedDate(text, now))
+    });
+  }
+
+  /**
+   * Whether two metadata objects hold the same values
+   * @param {Object|undefined} a
+   * @param {Object|undefined} b
+   * @returns {boolean}
+   */
+  function isSame(a, b) {
+    if (!a || !b) return a === b;
+    return Object.keys(SCHEMA).every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+  }
+
+  /**
+   * Summarize the fields the top card doesn't show as prominently, e.g.
+   * "Mid-Senior level · Full-time · $120K/yr - $150K/yr · Posted 2026-10-16"
+   * @param {Object|null|undefined} metadata
+   * @returns {string|null} - Summary, or null when none of those fields is known
+   */
+  function summarize(metadata) {
+    if (!metadata) return null;
+
+    const parts = [];
+    if (metadata.seniority) parts.push(SENIORITY_LABELS[metadata.seniority]);
+    if (metadata.employmentType) parts.push(EMPLOYMENT_TYPE_LABELS[metadata.employmentType]);
+    if (metadata.salary) parts.push(metadata.salary.text);
+    if (metadata.postedDate) parts.push(`Posted ${metadata.postedDate}`);
+    return parts.length > 0 ? parts.join(' · ') : null;
+  }
+
+  // Public API
+  return {
+    extract,
+    create,
+    validate,
+    isSame,
+    summarize,
+    parseSalary,
+    parseSeniority,
+    parseEmploymentType,
+    parsePostedDate,
+    SCHEMA,
+    SENIORITY_LABELS,
+    EMPLOYMENT_TYPE_LABELS
+  };
+})();
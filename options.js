@@ -0,0 +1,866 @@
+/**
+ * Options Page
+ * Lets users add, disable, test and remove their own sponsorship rules
+ */
+
+(function () {
+  'use strict';
+
+  const TIER_LABELS = {
+    strongPositive: 'Strong positive (sponsorship offered)',
+    moderatePositive: 'Moderate positive (implies openness)',
+    restriction: 'Restriction (citizenship, clearance, export control)',
+    strongNegative: 'Strong negative (explicit exclusion)',
+    moderateNegative: 'Moderate negative (likely exclusion)'
+  };
+
+  let rules = [];
+
+  const elements = {
+    form: document.getElementById('rule-form'),
+    tier: document.getElementById('rule-tier'),
+    type: document.getElementById('rule-type'),
+    pattern: document.getElementById('rule-pattern'),
+    weight: document.getElementById('rule-weight'),
+    formStatus: document.getElementById('rule-form-status'),
+    ruleList: document.getElementById('rule-list'),
+    previewCountry: document.getElementById('preview-country'),
+    previewText: document.getElementById('preview-text'),
+    previewResult: document.getElementById('preview-result'),
+    policyOptions: document.getElementById('policy-options'),
+    policyDatasetNote: document.getElementById('policy-dataset-note'),
+    thresholdsForm: document.getElementById('thresholds-form'),
+    thresholdYes: document.getElementById('threshold-yes'),
+    thresholdNo: document.getElementById('threshold-no'),
+    thresholdsReset: document.getElementById('thresholds-reset'),
+    thresholdsStatus: document.getElementById('thresholds-status'),
+    exportFrom: document.getElementById('export-from'),
+    exportTo: document.getElementById('export-to'),
+    exportStatuses: document.getElementById('export-statuses'),
+    exportLimit: document.getElementById('export-limit'),
+    exportCsv: document.getElementById('export-csv'),
+    exportJson: document.getElementById('export-json'),
+    importFile: document.getElementById('import-file'),
+    exportStatus: document.getElementById('export-status'),
+    suggestionList: document.getElementById('suggestion-list'),
+    correctionList: document.getElementById('correction-list'),
+    aiForm: document.getElementById('ai-form'),
+    aiEnabled: document.getElementById('ai-enabled'),
+    aiEndpoint: document.getElementById('ai-endpoint'),
+    aiModel: document.getElementById('ai-model'),
+    aiApiKey: document.getElementById('ai-api-key'),
+    aiMode: document.getElementById('ai-mode'),
+    aiTest: document.getElementById('ai-test'),
+    aiStatus: document.getElementById('ai-status'),
+    aiResult: document.getElementById('ai-result')
+  };
+
+  // Model servers the manifest already grants access to; others need an optional host permission
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+  // Tiers that corrections suggest rules for (see CorrectionStore.SUGGESTION_TIERS)
+  const SUGGESTION_LABELS = {
+    strongPositive: 'strong positive',
+    strongNegative: 'strong negative',
+    restriction: 'restriction'
+  };
+
+  // Status names shown in the corrections list
+  const STATUS_LABELS = {};
+  HistoryExport.STATUSES.forEach(({ status, label }) => {
+    STATUS_LABELS[status] = label;
+  });
+
+  /**
+   * Create a unique ID for a new rule
+   * @returns {string}
+   */
+  function createRuleId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  /**
+   * Count how often a rule matches the preview text
+   * @param {Object} rule - Rule to test
+   * @returns {{count: number, error: string|null}}
+   */
+  function testRule(rule) {
+    const text = elements.previewText.value;
+    try {
+      return { count: Analyzer.matchRule(rule, text).length, error: null };
+    } catch (error) {
+      return { count: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Describe a rule test result for display
+   * @param {{count: number, error: string|null}} testResult
+   * @returns {{text: string, state: string}}
+   */
+  function describeTest(testResult) {
+    if (testResult.error) {
+      return { text: testResult.error, state: 'error' };
+    }
+    if (!elements.previewText.value) {
+      return { text: 'No preview text', state: '' };
+    }
+    if (testResult.count > 0) {
+      return { text: `${testResult.count} match${testResult.count === 1 ? '' : 'es'} in preview`, state: 'match' };
+    }
+    return { text: 'No match in preview', state: '' };
+  }
+
+  /**
+   * Save rules to synced storage and refresh the page
+   */
+  function saveRules() {
+    Settings.save({ customRules: rules }).catch(() => {
+      elements.formStatus.textContent = 'Could not save rules (storage quota exceeded?)';
+      elements.formStatus.setAttribute('data-state', 'error');
+    });
+    render();
+  }
+
+  /**
+   * Create the row for one rule
+   * @param {Object} rule - Rule to render
+   * @returns {HTMLElement}
+   */
+  function createRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    row.setAttribute('data-enabled', String(rule.enabled !== false));
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = rule.enabled !== false;
+    toggle.setAttribute('aria-label', `Enable rule ${rule.pattern}`);
+    toggle.addEventListener('change', () => {
+      rule.enabled = toggle.checked;
+      saveRules();
+    });
+
+    const pattern = document.createElement('span');
+    pattern.className = 'rule-row__pattern';
+    pattern.textContent = rule.type === 'regex' ? `/${rule.pattern}/i` : rule.pattern;
+
+    const weight = document.createElement('span');
+    weight.className = 'rule-row__meta';
+    weight.textContent = `weight ${rule.weight || Math.abs(Analyzer.TIER_WEIGHTS[rule.tier])}`;
+
+    const test = describeTest(testRule(rule));
+    const meta = document.createElement('span');
+    meta.className = 'rule-row__meta';
+    meta.setAttribute('data-state', test.state);
+    meta.textContent = test.text;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'button--secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      rules = rules.filter(other => other.id !== rule.id);
+      saveRules();
+    });
+
+    row.appendChild(toggle);
+    row.appendChild(pattern);
+    row.appendChild(weight);
+    row.appendChild(meta);
+    row.appendChild(remove);
+    return row;
+  }
+
+  /**
+   * Render the rule list grouped by tier
+   */
+  function renderRules() {
+    elements.ruleList.textContent = '';
+
+    if (rules.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'rule-list__empty';
+      empty.textContent = 'No custom rules yet.';
+      elements.ruleList.appendChild(empty);
+      return;
+    }
+
+    Analyzer.TIERS.forEach(tier => {
+      const tierRules = rules.filter(rule => rule.tier === tier);
+      if (tierRules.length === 0) return;
+
+      const group = document.createElement('div');
+      group.className = 'rule-tier';
+
+      const heading = document.createElement('h3');
+      heading.textContent = TIER_LABELS[tier];
+      group.appendChild(heading);
+
+      tierRules.forEach(rule => group.appendChild(createRuleRow(rule)));
+      elements.ruleList.appendChild(group);
+    });
+  }
+
+  /**
+   * List the matches whose negation changed how they count
+   * @param {Object} result - Analysis result
+   * @returns {HTMLElement|null} - List, or null when nothing was negated
+   */
+  function createNegationList(result) {
+    const labels = {
+      negated: 'ignored, negated',
+      double_negative: 'kept, double negative',
+      inside_negative: 'ignored, part of a negative statement'
+    };
+    const decisions = (result.negation || []).filter(entry => labels[entry.decision]);
+    if (decisions.length === 0) return null;
+
+    const list = document.createElement('ul');
+    decisions.forEach(entry => {
+      const item = document.createElement('li');
+      const cues = entry.cues.map(cue => `"${cue.word}" ${cue.position}`).join(', ');
+      item.textContent = `"${entry.text}" (${labels[entry.decision]}${cues ? `: ${cues}` : ''})`;
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * Render the analysis of the preview text using the current rules
+   */
+  function renderPreview() {
+    elements.previewResult.textContent = '';
+
+    const text = elements.previewText.value.trim();
+    if (!text) return;
+
+    Analyzer.setCustomRules(rules);
+    Analyzer.setThresholds(Settings.get().scoringThresholds);
+    const result = Analyzer.applyNotMentionedPolicy(
+      Analyzer.analyze(text, { country: elements.previewCountry.value }),
+      Settings.get().notMentionedPolicy,
+      null
+    );
+
+    const status = document.createElement('span');
+    status.className = 'preview-result__status';
+    status.setAttribute('data-status', result.status);
+    status.textContent = `${result.message} (${result.confidence} confidence)`;
+    elements.previewResult.appendChild(status);
+
+    if (result.restriction) {
+      const explanation = document.createElement('p');
+      explanation.textContent = result.restriction.explanation;
+      elements.previewResult.appendChild(explanation);
+    }
+    if (result.condition) {
+      const explanation = document.createElement('p');
+      explanation.textContent = result.condition.explanation;
+      elements.previewResult.appendChild(explanation);
+    }
+    if (result.location.residency.length > 0) {
+      const residency = document.createElement('p');
+      residency.textContent = `Residency: ${result.location.residency
+        .map(entry => `${entry.label} residents only ("${entry.text}")`).join('; ')}`;
+      elements.previewResult.appendChild(residency);
+    }
+
+    const negationList = createNegationList(result);
+    const breakdown = result.scoring.breakdown;
+    if (breakdown.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No rules matched';
+      elements.previewResult.appendChild(empty);
+      if (negationList) elements.previewResult.appendChild(negationList);
+      return;
+    }
+
+    const summary = document.createElement('p');
+    const { positive, negative, thresholds } = result.scoring;
+    summary.textContent = `Score ${result.score} (positive ${positive}, negative ${negative}; yes ≥ ${thresholds.yes}, no ≤ ${thresholds.no})`;
+    elements.previewResult.appendChild(summary);
+
+    // Per-rule breakdown
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    ['Rule', 'Matched text', 'Weight', 'Contribution', 'Adjustments'].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+
+    breakdown.forEach(entry => {
+      const row = table.insertRow();
+      const notes = entry.hits.map(hit => hit.notes.join(', ')).filter(Boolean);
+      [
+        `${TIER_LABELS[entry.tier]}${entry.ruleId.startsWith('custom:') ? ' (custom)' : entry.ruleId.startsWith('vocabulary:') ? ' (shorthand)' : ''}`,
+        [...new Set(entry.hits.map(hit => hit.text))].join(', '),
+        String(entry.weight),
+        String(entry.contribution),
+        notes.join('; ') || '—'
+      ].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+
+    elements.previewResult.appendChild(table);
+    if (negationList) elements.previewResult.appendChild(negationList);
+  }
+
+  /**
+   * Show whether the rule being typed is valid and matches the preview
+   */
+  function renderPendingRule() {
+    const pattern = elements.pattern.value.trim();
+    if (!pattern) {
+      elements.formStatus.textContent = '';
+      elements.formStatus.removeAttribute('data-state');
+      return;
+    }
+
+    const test = describeTest(testRule({ type: elements.type.value, pattern }));
+    elements.formStatus.textContent = test.text;
+    elements.formStatus.setAttribute('data-state', test.state);
+  }
+
+  /**
+   * Check the radio button for the saved "not mentioned" policy
+   */
+  function renderPolicy() {
+    const policy = Settings.get().notMentionedPolicy;
+    elements.policyOptions.querySelectorAll('input[type="radio"]').forEach(radio => {
+      radio.checked = radio.value === policy;
+    });
+  }
+
+  /**
+   * Turn the 'inferred' policy off when the employer dataset isn't built
+   */
+  async function renderDatasetAvailability() {
+    const available = await EmployerLookup.isAvailable();
+    elements.policyOptions.querySelector('input[value="inferred"]').disabled = !available;
+    elements.policyDatasetNote.hidden = available;
+  }
+
+  /**
+   * Fill the threshold inputs from the saved settings
+   */
+  function renderThresholds() {
+    const thresholds = Scoring.normalizeThresholds(Settings.get().scoringThresholds);
+    elements.thresholdYes.value = thresholds.yes;
+    elements.thresholdNo.value = thresholds.no;
+  }
+
+  /**
+   * Save the thresholds from the form
+   * @param {Event} event - Submit event
+   */
+  function handleSaveThresholds(event) {
+    event.preventDefault();
+
+    const yes = parseFloat(elements.thresholdYes.value);
+    const no = parseFloat(elements.thresholdNo.value);
+    if (!(yes > 0) || !(no < 0)) {
+      elements.thresholdsStatus.textContent = 'The "available" threshold must be above 0 and the "no sponsorship" threshold below 0';
+      elements.thresholdsStatus.setAttribute('data-state', 'error');
+      return;
+    }
+
+    elements.thresholdsStatus.textContent = 'Saved';
+    elements.thresholdsStatus.removeAttribute('data-state');
+    Settings.save({ scoringThresholds: { yes, no } });
+    renderPreview();
+  }
+
+  /**
+   * Fill the AI form from the saved settings
+   */
+  function renderAISettings() {
+    const { ai } = Settings.get();
+    elements.aiEnabled.checked = ai.enabled;
+    elements.aiEndpoint.value = ai.endpoint;
+    elements.aiModel.value = ai.model;
+    elements.aiApiKey.value = ai.apiKey;
+    elements.aiMode.value = ai.mode;
+  }
+
+  /**
+   * Read the AI settings from the form
+   * @returns {Object} - Same shape as Settings.DEFAULTS.ai
+   */
+  function readAIForm() {
+    return {
+      enabled: elements.aiEnabled.checked,
+      endpoint: elements.aiEndpoint.value.trim().replace(/\/+$/, ''),
+      model: elements.aiModel.value.trim(),
+      apiKey: elements.aiApiKey.value.trim(),
+      mode: elements.aiMode.value
+    };
+  }
+
+  /**
+   * Show the outcome of saving or testing the AI settings
+   * @param {string} message
+   * @param {string} [state] - 'error' for failures
+   */
+  function showAIStatus(message, state) {
+    elements.aiStatus.textContent = message;
+    if (state) {
+      elements.aiStatus.setAttribute('data-state', state);
+    } else {
+      elements.aiStatus.removeAttribute('data-state');
+    }
+  }
+
+  /**
+   * Get access to the model server's origin
+   * Must run while handling the click, before any await, for Chrome to show the permission prompt.
+   * @param {string} endpoint - Model server address
+   * @returns {Promise<boolean>} - Whether the extension may call the server
+   */
+  function requestAIPermission(endpoint) {
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (error) {
+      return Promise.resolve(false);
+    }
+    if (LOCAL_HOSTS.includes(url.hostname) && url.protocol === 'http:') {
+      return Promise.resolve(true);
+    }
+    return chrome.permissions.request({ origins: [`${url.origin}/*`] }).catch(() => false);
+  }
+
+  /**
+   * Save the AI settings from the form
+   * @param {Event} event - Submit event
+   */
+  function handleSaveAISettings(event) {
+    event.preventDefault();
+
+    const ai = readAIForm();
+    requestAIPermission(ai.endpoint).then(granted => {
+      if (!granted) {
+        showAIStatus(`The extension needs permission to reach ${ai.endpoint}`, 'error');
+        return;
+      }
+      Settings.save({ ai });
+      showAIStatus(ai.enabled ? 'Saved; jobs you open are analyzed with AI' : 'Saved; AI analysis is off');
+    });
+  }
+
+  /**
+   * Run the preview text through the model in the form, whatever the rules say
+   */
+  function handleTestAI() {
+    const text = elements.previewText.value.trim();
+    if (!text) {
+      showAIStatus('Paste a job description under "Live preview" first', 'error');
+      return;
+    }
+
+    const ai = readAIForm();
+    elements.aiTest.disabled = true;
+    showAIStatus(`Asking ${ai.model}…`);
+    elements.aiResult.textContent = '';
+
+    requestAIPermission(ai.endpoint)
+      .then(granted => {
+        if (!granted) {
+          throw new Error(`The extension needs permission to reach ${ai.endpoint}`);
+        }
+        Analyzer.setCustomRules(rules);
+        Analyzer.setThresholds(Settings.get().scoringThresholds);
+        return Analyzer.analyzeWithAI(text, {
+          provider: LLMProviders.createOpenAICompatibleProvider(ai),
+          country: elements.previewCountry.value,
+          always: true
+        });
+      })
+      .then(result => {
+        if (result.ai.error) {
+          throw new Error(result.ai.error);
+        }
+        renderAIResult(result);
+        showAIStatus('The model answered');
+      })
+      .catch(error => showAIStatus(error.message, 'error'))
+      .then(() => {
+        elements.aiTest.disabled = false;
+      });
+  }
+
+  /**
+   * Show a test verdict next to the rules' result
+   * @param {Object} result - Result of Analyzer.analyzeWithAI
+   */
+  function renderAIResult(result) {
+    const { ai } = result;
+    elements.aiResult.textContent = '';
+
+    const status = document.createElement('p');
+    status.className = 'preview-result__status';
+    status.setAttribute('data-status', ai.status);
+    status.textContent = `AI: ${STATUS_LABELS[ai.status] || ai.status} · rules: ${STATUS_LABELS[ai.rulesStatus || result.status] || result.status}`;
+    elements.aiResult.appendChild(status);
+
+    const outcome = document.createElement('p');
+    if (ai.adopted) {
+      outcome.textContent = `The rules were unsure (${ai.reason}), so the badge would show the AI's reading.`;
+    } else if (ai.agrees) {
+      outcome.textContent = 'The model agrees with the rules.';
+    } else if (ai.reason) {
+      outcome.textContent = 'The model disagrees but quoted nothing from the description, so the rules\' result stands.';
+    } else {
+      outcome.textContent = 'The model disagrees; the rules are confident, so their result stands and the AI\'s is shown beside it.';
+    }
+    elements.aiResult.appendChild(outcome);
+
+    if (ai.rationale) {
+      const rationale = document.createElement('p');
+      rationale.textContent = ai.rationale;
+      elements.aiResult.appendChild(rationale);
+    }
+
+    if (ai.evidence.length > 0) {
+      const quotes = document.createElement('ul');
+      ai.evidence.forEach(quote => {
+        const item = document.createElement('li');
+        item.textContent = `"${quote}"`;
+        quotes.appendChild(item);
+      });
+      elements.aiResult.appendChild(quotes);
+    }
+  }
+
+  /**
+   * Check whether the current rules already match a phrase in a tier
+   * @param {string} tier - Rule tier
+   * @param {string} phrase - Suggested phrase
+   * @returns {boolean}
+   */
+  function isPhraseCovered(tier, phrase) {
+    Analyzer.setCustomRules(rules);
+    return Analyzer.analyze(phrase).details[tier].length > 0;
+  }
+
+  /**
+   * Show an empty-list note
+   * @param {HTMLElement} list
+   * @param {string} text
+   */
+  function renderEmptyList(list, text) {
+    const empty = document.createElement('p');
+    empty.className = 'rule-list__empty';
+    empty.textContent = text;
+    list.appendChild(empty);
+  }
+
+  /**
+   * Render the rules suggested by corrections
+   */
+  function renderSuggestions() {
+    elements.suggestionList.textContent = '';
+
+    const suggestions = CorrectionStore.getSuggestions(isPhraseCovered);
+    if (suggestions.length === 0) {
+      renderEmptyList(elements.suggestionList, 'No suggestions yet.');
+      return;
+    }
+
+    suggestions.forEach(suggestion => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const text = document.createElement('span');
+      text.className = 'rule-row__pattern';
+      text.textContent = `You selected "${suggestion.phrase}" on ${suggestion.count} jobs. Add as a ${SUGGESTION_LABELS[suggestion.tier]} rule?`;
+
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.textContent = 'Add rule';
+      add.addEventListener('click', () => {
+        rules.push({ id: createRuleId(), tier: suggestion.tier, type: 'phrase', pattern: suggestion.phrase, enabled: true });
+        CorrectionStore.dismissSuggestion(suggestion.key);
+        saveRules();
+      });
+
+      const dismiss = document.createElement('button');
+      dismiss.type = 'button';
+      dismiss.className = 'button--secondary';
+      dismiss.textContent = 'Dismiss';
+      dismiss.addEventListener('click', () => {
+        CorrectionStore.dismissSuggestion(suggestion.key).then(renderSuggestions);
+      });
+
+      row.appendChild(text);
+      row.appendChild(add);
+      row.appendChild(dismiss);
+      elements.suggestionList.appendChild(row);
+    });
+  }
+
+  /**
+   * Render the corrected jobs, newest first
+   */
+  function renderCorrections() {
+    elements.correctionList.textContent = '';
+
+    const corrections = CorrectionStore.getAll();
+    const jobIds = Object.keys(corrections).sort((a, b) => corrections[b].correctedAt - corrections[a].correctedAt);
+    if (jobIds.length === 0) {
+      renderEmptyList(elements.correctionList, 'No corrections yet.');
+      return;
+    }
+
+    jobIds.forEach(jobId => {
+      const correction = corrections[jobId];
+      const entry = ResultStore.getAll()[jobId];
+
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+
+      const link = document.createElement('a');
+      link.className = 'rule-row__pattern';
+      link.href = (entry && entry.url) || `https://www.linkedin.com/jobs/view/${jobId}/`;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = entry && entry.title
+        ? `${entry.title}${entry.company ? ` · ${entry.company}` : ''}`
+        : `Job ${jobId}`;
+
+      const change = document.createElement('span');
+      change.className = 'rule-row__meta';
+      change.textContent = `${STATUS_LABELS[correction.originalStatus] || correction.originalStatus} → ${STATUS_LABELS[correction.status]}`;
+      if (correction.text) {
+        change.title = `Proof: "${correction.text}"`;
+      }
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'button--secondary';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        CorrectionStore.remove(jobId).then(renderCorrections);
+      });
+
+      row.appendChild(link);
+      row.appendChild(change);
+      row.appendChild(remove);
+      elements.correctionList.appendChild(row);
+    });
+  }
+
+  /**
+   * Re-render everything
+   */
+  function render() {
+    renderRules();
+    renderSuggestions();
+    renderPreview();
+    renderPendingRule();
+  }
+
+  /**
+   * Add the rule from the form
+   * @param {Event} event - Submit event
+   */
+  function handleAddRule(event) {
+    event.preventDefault();
+
+    const rule = {
+      id: createRuleId(),
+      tier: elements.tier.value,
+      type: elements.type.value,
+      pattern: elements.pattern.value.trim(),
+      enabled: true
+    };
+
+    const weight = parseFloat(elements.weight.value);
+    if (weight > 0) {
+      rule.weight = weight;
+    }
+
+    try {
+      Analyzer.compileRule(rule);
+    } catch (error) {
+      elements.formStatus.textContent = error.message;
+      elements.formStatus.setAttribute('data-state', 'error');
+      return;
+    }
+
+    rules.push(rule);
+    elements.pattern.value = '';
+    elements.weight.value = '';
+    saveRules();
+  }
+
+  /**
+   * Show the outcome of an export or import
+   * @param {string} message
+   * @param {string} [state] - 'error' for failures
+   */
+  function showExportStatus(message, state) {
+    elements.exportStatus.textContent = message;
+    if (state) {
+      elements.exportStatus.setAttribute('data-state', state);
+    } else {
+      elements.exportStatus.removeAttribute('data-state');
+    }
+  }
+
+  /**
+   * Read the export filters from the form
+   * @returns {Object} - { from, to, statuses }
+   */
+  function getExportFilters() {
+    const statuses = Array.from(elements.exportStatuses.querySelectorAll('input:checked'))
+      .map(input => input.value);
+    return { from: elements.exportFrom.value, to: elements.exportTo.value, statuses };
+  }
+
+  /**
+   * Export the stored history as a file download
+   * @param {string} format - 'csv' or 'json'
+   */
+  function handleExport(format) {
+    const filters = getExportFilters();
+    if (filters.statuses.length === 0) {
+      showExportStatus('Select at least one status', 'error');
+      return;
+    }
+
+    const entries = ResultStore.getAll();
+    const count = HistoryExport.selectEntries(entries, filters).length;
+    if (count === 0) {
+      showExportStatus('No analyzed jobs match these filters', 'error');
+      return;
+    }
+
+    const content = format === 'csv' ? HistoryExport.toCSV(entries, filters) : HistoryExport.toJSON(entries, filters);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `h1b-sponsor-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    showExportStatus(`Exported ${count} job${count === 1 ? '' : 's'}`);
+  }
+
+  /**
+   * Import a JSON export into the stored history
+   */
+  async function handleImport() {
+    const file = elements.importFile.files[0];
+    if (!file) return;
+
+    try {
+      const imported = HistoryExport.parseJSON(await file.text());
+      const total = Object.keys(imported).length;
+      const count = await ResultStore.merge(imported);
+      const skipped = total - count;
+      showExportStatus(`Imported ${count} job${count === 1 ? '' : 's'}` +
+        (skipped > 0 ? ` (${skipped} already stored with a newer analysis)` : ''));
+    } catch (error) {
+      showExportStatus(`Import failed: ${error.message}`, 'error');
+    }
+    elements.importFile.value = '';
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async function init() {
+    Analyzer.TIERS.forEach(tier => {
+      const option = document.createElement('option');
+      option.value = tier;
+      option.textContent = TIER_LABELS[tier];
+      elements.tier.appendChild(option);
+    });
+
+    CountryPacks.COUNTRIES.forEach(({ code, name }) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      elements.previewCountry.appendChild(option);
+    });
+
+    HistoryExport.STATUSES.forEach(({ status, label }) => {
+      const option = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = status;
+      checkbox.checked = true;
+      option.appendChild(checkbox);
+      option.appendChild(document.createTextNode(label));
+      elements.exportStatuses.appendChild(option);
+    });
+    elements.exportLimit.textContent = String(ResultStore.MAX_ENTRIES);
+
+    const [settings] = await Promise.all([Settings.load(), ResultStore.load(), CorrectionStore.load()]);
+    rules = settings.customRules.slice();
+
+    // Corrections made on job pages while this page is open
+    CorrectionStore.onChange(() => {
+      renderSuggestions();
+      renderCorrections();
+    });
+
+    Settings.onChange((updated, changedKeys) => {
+      if (changedKeys.includes('customRules')) {
+        rules = updated.customRules.slice();
+        render();
+      }
+      if (changedKeys.includes('notMentionedPolicy')) {
+        renderPolicy();
+        renderPreview();
+      }
+      if (changedKeys.includes('scoringThresholds')) {
+        renderThresholds();
+        renderPreview();
+      }
+      if (changedKeys.includes('ai')) {
+        renderAISettings();
+      }
+    });
+
+    elements.aiForm.addEventListener('submit', handleSaveAISettings);
+    elements.aiTest.addEventListener('click', handleTestAI);
+
+    elements.thresholdsForm.addEventListener('submit', handleSaveThresholds);
+    elements.thresholdsReset.addEventListener('click', () => {
+      Settings.save({ scoringThresholds: Object.assign({}, Scoring.DEFAULT_THRESHOLDS) });
+      elements.thresholdsStatus.textContent = 'Reset to defaults';
+      elements.thresholdsStatus.removeAttribute('data-state');
+      renderThresholds();
+      renderPreview();
+    });
+
+    elements.policyOptions.addEventListener('change', event => {
+      Settings.save({ notMentionedPolicy: event.target.value });
+      renderPreview();
+    });
+
+    elements.exportCsv.addEventListener('click', () => handleExport('csv'));
+    elements.exportJson.addEventListener('click', () => handleExport('json'));
+    elements.importFile.addEventListener('change', handleImport);
+
+    elements.form.addEventListener('submit', handleAddRule);
+    elements.pattern.addEventListener('input', renderPendingRule);
+    elements.type.addEventListener('change', renderPendingRule);
+    elements.previewText.addEventListener('input', render);
+    elements.previewCountry.addEventListener('change', renderPreview);
+
+    renderPolicy();
+    renderDatasetAvailability();
+    renderThresholds();
+    renderAISettings();
+    renderCorrections();
+    render();
+  }
+
+  init();
+})();
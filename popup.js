@@ -0,0 +1,310 @@
+/**
+ * Toolbar popup
+ * Statistics over the locally stored analysis results
+ */
+
+(function () {
+  'use strict';
+
+  // Status groups in display order, with the badge colors
+  const GROUPS = [
+    { status: 'yes', label: 'Sponsors', color: '#057642' },
+    { status: 'conditional', label: 'Conditional', color: '#0e7c86' },
+    { status: 'no', label: 'No sponsorship', color: '#c7372f' },
+    { status: 'restricted', label: 'Restricted', color: '#5e3a8c' },
+    { status: 'unclear', label: 'Unclear', color: '#e37318' },
+    { status: 'not_mentioned', label: 'Not mentioned', color: '#8c959f' }
+  ];
+
+  // Statuses that mean the job isn't worth applying to on a visa
+  const DEAD_END_STATUSES = ['no', 'restricted'];
+
+  const NEGATIVE_TIERS = ['strongNegative', 'moderateNegative'];
+
+  const TOP_COMPANIES = 3;
+  const TOP_PHRASES = 5;
+  const CHART_DAYS = 7;
+
+  const elements = {
+    countToday: document.getElementById('count-today'),
+    countWeek: document.getElementById('count-week'),
+    countTotal: document.getElementById('count-total'),
+    totalLabel: document.getElementById('total-label'),
+    wasteSummary: document.getElementById('waste-summary'),
+    dayChart: document.getElementById('day-chart'),
+    statusSplit: document.getElementById('status-split'),
+    topCompanies: document.getElementById('top-companies'),
+    negativePhrases: document.getElementById('negative-phrases'),
+    openOptions: document.getElementById('open-options'),
+    clearHistory: document.getElementById('clear-history'),
+    clearStatus: document.getElementById('clear-status')
+  };
+
+  /**
+   * Count a key in a Map
+   * @param {Map<string, number>} counts
+   * @param {string} key
+   */
+  function increment(counts, key) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  /**
+   * Get the highest counts of a Map
+   * @param {Map<string, number>} counts
+   * @param {number} limit
+   * @returns {Array<[string, number]>} - [key, count] pairs, highest first
+   */
+  function topEntries(counts, limit) {
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit);
+  }
+
+  /**
+   * Compute statistics from stored entries, counting each job by the status its badge shows (the user's
+   * correction, if there is one)
+   * @param {Object} entries - From ResultStore.getAll()
+   * @param {number} now - Current time (ms)
+   * @returns {Object} - { today, week, total, byStatus, companies, negativePhrases, days }
+   */
+  function computeStats(entries, now) {
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+
+    // Calendar days rather than 24-hour steps, so daylight saving changes don't shift them
+    const dayStarts = Array.from({ length: CHART_DAYS }, (_, i) => {
+      const start = new Date(startOfToday);
+      start.setDate(start.getDate() - (CHART_DAYS - 1 - i));
+      return start;
+    });
+    const firstDay = dayStarts[0].getTime();
+
+    const stats = {
+      today: 0,
+      week: 0,
+      total: 0,
+      byStatus: new Map(),
+      companies: new Map(GROUPS.map(group => [group.status, new Map()])),
+      negativePhrases: new Map(),
+      days: dayStarts.map(start => ({ start, byStatus: new Map() }))
+    };
+
+    Object.keys(entries).forEach(jobId => {
+      const entry = entries[jobId];
+      if (!entry || !entry.result) return;
+      const { status } = Analyzer.applyCorrection(entry.result, CorrectionStore.get(jobId));
+      const analyzedAt = entry.analyzedAt || 0;
+
+      stats.total++;
+      increment(stats.byStatus, status);
+      if (analyzedAt >= startOfToday.getTime()) stats.today++;
+      if (analyzedAt >= firstDay) {
+        stats.week++;
+        const day = stats.days.filter(candidate => candidate.start.getTime() <= analyzedAt).pop();
+        if (day) increment(day.byStatus, status);
+      }
+
+      if (entry.company && stats.companies.has(status)) {
+        increment(stats.companies.get(status), entry.company);
+      }
+
+      // Each phrase counts once per job
+      const phrases = new Set();
+      ((entry.result.scoring && entry.result.scoring.breakdown) || [])
+        .filter(item => NEGATIVE_TIERS.includes(item.tier))
+        .forEach(item => item.hits.forEach(hit => phrases.add(hit.text.toLowerCase().replace(/\s+/g, ' ').trim())));
+      phrases.forEach(phrase => increment(stats.negativePhrases, phrase));
+    });
+
+    return stats;
+  }
+
+  /**
+   * Show a placeholder in an empty list
+   * @param {HTMLElement} list
+   * @param {string} text
+   */
+  function renderEmpty(list, text) {
+    const item = document.createElement(list.tagName === 'DIV' ? 'p' : 'li');
+    item.className = 'popup-empty';
+    item.textContent = text;
+    list.appendChild(item);
+  }
+
+  /**
+   * Render the stacked per-day chart
+   * @param {Object} stats - From computeStats()
+   */
+  function renderDayChart(stats) {
+    elements.dayChart.textContent = '';
+    const totals = stats.days.map(day => Array.from(day.byStatus.values()).reduce((sum, count) => sum + count, 0));
+    const max = Math.max(1, ...totals);
+
+    stats.days.forEach((day, i) => {
+      const column = document.createElement('div');
+      column.className = 'day-chart__column';
+      const label = day.start.toLocaleDateString(undefined, { weekday: 'short' });
+      column.title = `${day.start.toLocaleDateString()}: ${totals[i]} job${totals[i] === 1 ? '' : 's'}`;
+
+      const bar = document.createElement('div');
+      bar.className = 'day-chart__bar';
+      bar.style.height = `${(totals[i] / max) * 100}%`;
+      GROUPS.forEach(group => {
+        const count = day.byStatus.get(group.status) || 0;
+        if (count === 0) return;
+        const segment = document.createElement('div');
+        segment.style.flexGrow = String(count);
+        segment.style.background = group.color;
+        bar.appendChild(segment);
+      });
+      column.appendChild(bar);
+
+      const caption = document.createElement('span');
+      caption.className = 'day-chart__label';
+      caption.textContent = label;
+      column.appendChild(caption);
+
+      elements.dayChart.appendChild(column);
+    });
+
+    elements.dayChart.setAttribute('aria-label',
+      `Jobs analyzed per day: ${stats.days.map((day, i) => `${day.start.toLocaleDateString(undefined, { weekday: 'short' })} ${totals[i]}`).join(', ')}`);
+  }
+
+  /**
+   * Render the status split
+   * @param {Object} stats - From computeStats()
+   */
+  function renderStatusSplit(stats) {
+    elements.statusSplit.textContent = '';
+    GROUPS.forEach(group => {
+      const count = stats.byStatus.get(group.status) || 0;
+      const share = stats.total > 0 ? Math.round((count / stats.total) * 100) : 0;
+
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'status-split__swatch';
+      swatch.style.background = group.color;
+      item.appendChild(swatch);
+
+      const label = document.createElement('span');
+      label.className = 'status-split__label';
+      label.textContent = group.label;
+      item.appendChild(label);
+
+      const meter = document.createElement('span');
+      meter.className = 'status-split__meter';
+      const fill = document.createElement('span');
+      fill.style.width = `${share}%`;
+      fill.style.background = group.color;
+      meter.appendChild(fill);
+      item.appendChild(meter);
+
+      const value = document.createElement('span');
+      value.className = 'status-split__value';
+      value.textContent = `${count} (${share}%)`;
+      item.appendChild(value);
+
+      elements.statusSplit.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the top companies of each status group
+   * @param {Object} stats - From computeStats()
+   */
+  function renderTopCompanies(stats) {
+    elements.topCompanies.textContent = '';
+    GROUPS.forEach(group => {
+      const top = topEntries(stats.companies.get(group.status), TOP_COMPANIES);
+      if (top.length === 0) return;
+
+      const heading = document.createElement('h3');
+      heading.textContent = group.label;
+      elements.topCompanies.appendChild(heading);
+
+      const list = document.createElement('ol');
+      list.className = 'ranked-list';
+      top.forEach(([company, count]) => {
+        const item = document.createElement('li');
+        item.textContent = `${company} (${count})`;
+        list.appendChild(item);
+      });
+      elements.topCompanies.appendChild(list);
+    });
+
+    if (!elements.topCompanies.firstChild) {
+      renderEmpty(elements.topCompanies, 'No company names recorded yet');
+    }
+  }
+
+  /**
+   * Render the most matched negative phrases
+   * @param {Object} stats - From computeStats()
+   */
+  function renderNegativePhrases(stats) {
+    elements.negativePhrases.textContent = '';
+    const top = topEntries(stats.negativePhrases, TOP_PHRASES);
+    top.forEach(([phrase, count]) => {
+      const item = document.createElement('li');
+      item.textContent = `"${phrase}" (${count} job${count === 1 ? '' : 's'})`;
+      elements.negativePhrases.appendChild(item);
+    });
+
+    if (top.length === 0) {
+      renderEmpty(elements.negativePhrases, 'No negative phrases matched yet');
+    }
+  }
+
+  /**
+   * Render all statistics
+   */
+  function render() {
+    const stats = computeStats(ResultStore.getAll(), Date.now());
+
+    elements.countToday.textContent = String(stats.today);
+    elements.countWeek.textContent = String(stats.week);
+    elements.countTotal.textContent = String(stats.total);
+    // The store keeps only the most recently opened jobs, so "overall" is as far back as it goes
+    elements.totalLabel.textContent = `Last ${ResultStore.MAX_ENTRIES} jobs`;
+    elements.totalLabel.title = `Only the ${ResultStore.MAX_ENTRIES} most recently opened jobs are kept; ` +
+      'every number here is counted over them';
+
+    const deadEnds = DEAD_END_STATUSES.reduce((sum, status) => sum + (stats.byStatus.get(status) || 0), 0);
+    elements.wasteSummary.textContent = stats.total > 0
+      ? `${Math.round((deadEnds / stats.total) * 100)}% of analyzed jobs don't sponsor or are restricted to U.S. persons.`
+      : 'Open a job posting to start collecting statistics.';
+
+    renderDayChart(stats);
+    renderStatusSplit(stats);
+    renderTopCompanies(stats);
+    renderNegativePhrases(stats);
+  }
+
+  /**
+   * Delete every stored result after confirmation
+   */
+  async function handleClearHistory() {
+    if (!window.confirm('Delete all stored analysis results? Badges will be recomputed the next time you open each job.')) {
+      return;
+    }
+    await ResultStore.clear();
+    elements.clearStatus.textContent = 'History cleared';
+    render();
+  }
+
+  /**
+   * Initialize the popup
+   */
+  async function init() {
+    await Promise.all([ResultStore.load(), CorrectionStore.load()]);
+
+    elements.clearHistory.addEventListener('click', handleClearHistory);
+    elements.openOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    render();
+  }
+
+  init();
+})();
@@ -0,0 +1,302 @@
+/**
+ * Scoring Engine
+ * Turns matched rules into a weighted sponsorship score with a per-rule breakdown
+ */
+
+const Scoring = (function () {
+  'use strict';
+
+  const DEFAULT_THRESHOLDS = {
+    yes: 2,   // score >= yes -> sponsorship available
+    no: -2    // score <= no  -> no sponsorship (or restricted)
+  };
+
+  // Each further match of the same rule counts this much less than the previous one
+  const REPEAT_DECAY = 0.5;
+
+  // Weak (moderate-tier) signals only count fully near sponsorship vocabulary. Vocabulary inside a match
+  // of the other sign doesn't count: "relocation assistance" next to "no visa sponsorship" is a perk next
+  // to a refusal, not a sponsorship signal.
+  const PROXIMITY_WINDOW = 150;
+  const PROXIMITY_PATTERN = /\b(?:sponsor\w*|visas?|immigration|work\s+authori[sz]ation|H[\s-]?1[\s-]?B)\b/i;
+  const PROXIMITY_BOOST = 1.5;
+  const PROXIMITY_PENALTY = 0.5;
+
+  // Statements contradicted in the same sentence carry less weight
+  const CONFLICT_MULTIPLIER = 0.75;
+
+  const MODERATE_TIERS = ['moderatePositive', 'moderateNegative'];
+
+  // Section headings and how much evidence inside each section counts
+  const SECTIONS = [
+    {
+      type: 'legal',
+      multiplier: 0.4,
+      heading: /\b(?:equal\s+(?:employment\s+)?opportunity|EEO|disclaimer|accommodations?|pay\s+transparency|privacy\s+notice|E-Verify)\b/i
+    },
+    {
+      type: 'about',
+      multiplier: 0.7,
+      heading: /^\s*about\s+(?:us|the\s+company|the\s+team|\w+)\s*:?\s*$/i
+    },
+    {
+      type: 'requirements',
+      multiplier: 1.2,
+      heading: /\b(?:requirements|qualifications|what\s+you(?:'|’)ll\s+need|who\s+you\s+are|must[\s-]haves?|eligibility)\b/i
+    },
+    {
+      type: 'benefits',
+      multiplier: 1.1,
+      heading: /\b(?:benefits|perks|what\s+we\s+offer)\b/i
+    }
+  ];
+
+  // Boilerplate that marks a sentence as EEO/legal footer text even without a heading
+  const LEGAL_BOILERPLATE_PATTERN = /\b(?:equal\s+opportunity\s+employer|without\s+regard\s+to|protected\s+veteran|national\s+origin|E-Verify|reasonable\s+accommodation)\b/i;
+
+  /**
+   * Find section headings (short lines that match a known section) and their offsets
+   * @param {string} text - Job description text
+   * @returns {Array<{type: string, multiplier: number, start: number}>} - Sections in text order
+   */
+  function findSections(text) {
+    const sections = [];
+    const linePattern = /[^\n]+/g;
+    let line;
+
+    while ((line = linePattern.exec(text)) !== null) {
+      const content = line[0].trim();
+      if (content.length === 0 || content.length > 60 || /[.!?]$/.test(content)) continue;
+
+      const section = SECTIONS.find(candidate => candidate.heading.test(content));
+      if (section) {
+        sections.push({ type: section.type, multiplier: section.multiplier, start: line.index });
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Get the sentence around an offset
+   * @param {string} text - Full text
+   * @param {number} index - Offset inside the sentence
+   * @returns {{start: number, end: number}}
+   */
+  function sentenceBounds(text, index) {
+    // A period after a single letter is an abbreviation ("U.S. citizen"), not a sentence end
+    const boundary = /(?<!\b[A-Za-z])[.!?](?=\s)|\n/g;
+    const before = text.substring(0, index);
+    let start = 0;
+    let match;
+    while ((match = boundary.exec(before)) !== null) {
+      start = match.index + 1;
+    }
+
+    const endMatch = text.substring(index).search(/(?<!\b[A-Za-z])[.!?](?:\s|$)|\n/);
+    const end = endMatch === -1 ? text.length : index + endMatch + 1;
+
+    return { start, end };
+  }
+
+
+  /**
+   * Drop matches that overlap a stronger match of the same sign
+   * "pleased to offer visa sponsorship" also matches "offer visa sponsorship" and
+   * "visa sponsorship"; it is one statement and should count once.
+   * @param {Array<Object>} evidence - Matches with rule, index and length
+   * @returns {Array<Object>} - Kept matches in text order
+   */
+  function removeOverlaps(evidence) {
+    const kept = [];
+
+    evidence
+      .slice()
+      .sort((a, b) => Math.abs(b.rule.weight) - Math.abs(a.rule.weight) || b.length - a.length)
+      .forEach(item => {
+        const overlaps = kept.some(other =>
+          Math.sign(other.rule.weight) === Math.sign(item.rule.weight) &&
+          item.index < other.index + other.length &&
+          other.index < item.index + item.length
+        );
+        if (!overlaps) {
+          kept.push(item);
+        }
+      });
+
+    return kept.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Blank out the text of matches, keeping offsets
+   * @param {string} text - Job description text
+   * @param {Array<Object>} matches - Matches with index and length
+   * @returns {string}
+   */
+  function maskMatches(text, matches) {
+    let masked = text;
+    matches.forEach(item => {
+      masked = masked.substring(0, item.index) + ' '.repeat(item.length) + masked.substring(item.index + item.length);
+    });
+    return masked;
+  }
+
+  /**
+   * Score matched evidence
+   * @param {Array<Object>} evidence - Matches: { rule: { id, tier, weight, source }, text, index, length }
+   * @param {string} text - Job description text
+   * @param {Object} [thresholds] - { yes, no }; defaults to DEFAULT_THRESHOLDS
+   * @returns {Object} - { score, verdict: 'yes'|'no'|'uncertain'|'none', confidence, positive, negative, breakdown }
+   */
+  function score(evidence, text, thresholds) {
+    const limits = Object.assign({}, DEFAULT_THRESHOLDS, thresholds);
+    const kept = removeOverlaps(evidence);
+    const sections = findSections(text);
+    const breakdownByRule = new Map();
+    const repeatCounts = new Map();
+
+    // The text as each sign sees it for proximity: matches of the other sign blanked out
+    const proximityText = {
+      1: maskMatches(text, evidence.filter(item => item.rule.weight < 0)),
+      '-1': maskMatches(text, evidence.filter(item => item.rule.weight > 0))
+    };
+
+    let positive = 0;
+    let negative = 0;
+    // Sum of the strong tiers (strong, restriction), which moderate evidence can't overturn
+    let strong = 0;
+
+    kept.forEach(item => {
+      const { rule } = item;
+      const notes = [];
+      let multiplier = 1;
+
+      // Diminishing returns for repeats of the same rule
+      const repeats = repeatCounts.get(rule.id) || 0;
+      repeatCounts.set(rule.id, repeats + 1);
+      if (repeats > 0) {
+        const decay = Math.pow(REPEAT_DECAY, repeats);
+        multiplier *= decay;
+        notes.push(`repeat #${repeats + 1} ×${decay}`);
+      }
+
+      // Section the match sits in
+      const bounds = sentenceBounds(text, item.index);
+      const sentence = text.substring(bounds.start, bounds.end);
+      const section = sections.filter(candidate => candidate.start <= item.index).pop();
+      if (LEGAL_BOILERPLATE_PATTERN.test(sentence)) {
+        multiplier *= 0.4;
+        notes.push('legal boilerplate ×0.4');
+      } else if (section && section.multiplier !== 1) {
+        multiplier *= section.multiplier;
+        notes.push(`${section.type} section ×${section.multiplier}`);
+      }
+
+      // Weak signals need sponsorship vocabulary nearby
+      if (MODERATE_TIERS.includes(rule.tier)) {
+        const sameSignText = proximityText[Math.sign(rule.weight)];
+        const windowText = sameSignText.substring(Math.max(0, item.index - PROXIMITY_WINDOW), item.index) +
+          ' ' + sameSignText.substring(item.index + item.length, item.index + item.length + PROXIMITY_WINDOW);
+        if (PROXIMITY_PATTERN.test(windowText) || PROXIMITY_PATTERN.test(item.text)) {
+          multiplier *= PROXIMITY_BOOST;
+          notes.push(`near sponsorship terms ×${PROXIMITY_BOOST}`);
+        } else {
+          multiplier *= PROXIMITY_PENALTY;
+          notes.push(`no sponsorship terms nearby ×${PROXIMITY_PENALTY}`);
+        }
+      }
+
+      // Contradicted in the same sentence
+      const contradicted = kept.some(other =>
+        other !== item &&
+        Math.sign(other.rule.weight) !== Math.sign(rule.weight) &&
+        other.index >= bounds.start && other.index < bounds.end
+      );
+      if (contradicted) {
+        multiplier *= CONFLICT_MULTIPLIER;
+        notes.push(`contradicted in sentence ×${CONFLICT_MULTIPLIER}`);
+      }
+
+      const contribution = rule.weight * multiplier;
+      if (contribution > 0) positive += contribution;
+      else negative += contribution;
+      if (!MODERATE_TIERS.includes(rule.tier)) strong += contribution;
+
+      if (!breakdownByRule.has(rule.id)) {
+        breakdownByRule.set(rule.id, {
+          ruleId: rule.id,
+          tier: rule.tier,
+          source: rule.source,
+          weight: rule.weight,
+          contribution: 0,
+          hits: []
+        });
+      }
+      const entry = breakdownByRule.get(rule.id);
+      entry.contribution += contribution;
+      entry.hits.push({ text: item.text, index: item.index, sentence: sentence.trim(), multiplier: round(multiplier), notes });
+    });
+
+    // Weak signals can weaken a verdict the strong evidence reached, but not take it back across its
+    // threshold ("No visa sponsorship, however relocation assistance is provided" is still a no)
+    let total = positive + negative;
+    if (strong <= limits.no) total = Math.min(total, limits.no);
+    else if (strong >= limits.yes) total = Math.max(total, limits.yes);
+
+    let verdict;
+    if (kept.length === 0) verdict = 'none';
+    else if (total >= limits.yes) verdict = 'yes';
+    else if (total <= limits.no) verdict = 'no';
+    else verdict = 'uncertain';
+
+    // Confidence: how far past the threshold, lowered when both sides have real weight
+    let confidence = 'low';
+    const margin = verdict === 'yes' ? total / limits.yes : verdict === 'no' ? total / limits.no : 0;
+    const conflicted = positive >= 1 && negative <= -1;
+    if (margin >= 1.5 && !conflicted) confidence = 'high';
+    else if (margin >= 1) confidence = 'medium';
+
+    const breakdown = Array.from(breakdownByRule.values())
+      .map(entry => Object.assign(entry, { contribution: round(entry.contribution) }))
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    return {
+      score: round(total),
+      verdict,
+      confidence,
+      positive: round(positive),
+      negative: round(negative),
+      breakdown
+    };
+  }
+
+  /**
+   * Round to two decimals for display
+   * @param {number} value
+   * @returns {number}
+   */
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Validate user-provided thresholds, falling back to the defaults
+   * @param {Object} thresholds - { yes, no }
+   * @returns {Object} - Valid thresholds (yes > 0, no < 0)
+   */
+  function normalizeThresholds(thresholds) {
+    const yes = Number(thresholds && thresholds.yes);
+    const no = Number(thresholds && thresholds.no);
+    return {
+      yes: Number.isFinite(yes) && yes > 0 ? yes : DEFAULT_THRESHOLDS.yes,
+      no: Number.isFinite(no) && no < 0 ? no : DEFAULT_THRESHOLDS.no
+    };
+  }
+
+  // Public API
+  return {
+    score,
+    normalizeThresholds,
+    DEFAULT_THRESHOLDS
+  };
+})();
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Build the offline employer H-1B dataset (data/h1b-employers.json.gz)
+ *
+ * Inputs are public disclosure files exported to CSV:
+ *   --lca <FY>:<file.csv>   DOL LCA disclosure data for one fiscal year (CASE_STATUS, VISA_CLASS, EMPLOYER_NAME);
+ *                           only certified cases are counted
+ *   --uscis <file.csv>      USCIS H-1B Employer Data Hub export (fiscal year, employer, approval/denial columns)
+ *
+ * Both options may be repeated. Example:
+ *   node scripts/build-employer-data.js --lca 2024:LCA_Disclosure_Data_FY2024.csv --uscis Employer_Information.csv
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const EmployerLookup = require('../employers.js');
+
+const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'h1b-employers.json.gz');
+
+/**
+ * Split one CSV record into fields (handles quoted fields and doubled quotes)
+ * @param {string} record - CSV record, possibly spanning several lines
+ * @returns {Array<string>}
+ */
+function parseCsvRecord(record) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < record.length; i++) {
+    const char = record[i];
+    if (inQuotes) {
+      if (char === '"' && record[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Stream the rows of a CSV file as objects keyed by trimmed header names
+ * @param {string} filePath - CSV file path
+ * @param {Function} onRow - Called with each row object
+ * @returns {Promise<void>}
+ */
+async function readCsv(filePath, onRow) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  let headers = null;
+  let pending = '';
+
+  for await (const line of lines) {
+    pending = pending ? pending + '\n' + line : line;
+
+    // A record continues onto the next line while a quoted field is open
+    if ((pending.match(/"/g) || []).length % 2 === 1) continue;
+
+    const fields = parseCsvRecord(pending.replace(/^\uFEFF/, ''));
+    pending = '';
+
+    if (!headers) {
+      headers = fields.map(header => header.trim());
+      continue;
+    }
+
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = (fields[index] || '').trim();
+    });
+    onRow(row);
+  }
+}
+
+/**
+ * Parse a number from a disclosure file cell ("1,234" -> 1234)
+ * @param {string} value - Cell text
+ * @returns {number}
+ */
+function toCount(value) {
+  const count = parseInt(String(value || '').replace(/,/g, ''), 10);
+  return Number.isFinite(count) ? count : 0;
+}
+
+/**
+ * Check whether an LCA case status is a certification ("Certified - Withdrawn" is not)
+ * @param {string} status - CASE_STATUS cell
+ * @returns {boolean}
+ */
+function isCertified(status) {
+  return String(status || '').trim().toUpperCase() === 'CERTIFIED';
+}
+
+/**
+ * Get the [filings, approvals, denials] counter for an employer and year
+ * @param {Object} employers - Employers being built, keyed by normalized name
+ * @param {string} name - Employer name as written in the file
+ * @param {string} fiscalYear - Fiscal year
+ * @returns {Array<number>|null}
+ */
+function getCounter(employers, name, fiscalYear) {
+  const key = EmployerLookup.normalizeName(name);
+  if (!key) return null;
+
+  if (!employers[key]) {
+    employers[key] = { name: name.trim(), years: {} };
+  }
+  if (!employers[key].years[fiscalYear]) {
+    employers[key].years[fiscalYear] = [0, 0, 0];
+  }
+  return employers[key].years[fiscalYear];
+}
+
+/**
+ * Parse command line options
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {{lca: Array<{fiscalYear: string, file: string}>, uscis: Array<string>}}
+ */
+function parseArgs(args) {
+  const options = { lca: [], uscis: [] };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const value = args[i + 1];
+    if (args[i] === '--lca' && value && value.includes(':')) {
+      const separator = value.indexOf(':');
+      options.lca.push({ fiscalYear: value.slice(0, separator), file: value.slice(separator + 1) });
+    } else if (args[i] === '--uscis' && value) {
+      options.uscis.push(value);
+    } else {
+      throw new Error(`Unexpected argument: ${args[i]}`);
+    }
+  }
+
+  if (options.lca.length === 0 && options.uscis.length === 0) {
+    throw new Error('Usage: build-employer-data.js --lca <FY>:<file.csv> [--uscis <file.csv>]');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const employers = {};
+  const fiscalYears = new Set();
+
+  // DOL LCAs: every certified H-1B case counts as a filing; withdrawn and denied cases don't
+  for (const { fiscalYear, file } of options.lca) {
+    fiscalYears.add(fiscalYear);
+    await readCsv(file, row => {
+      if (row.VISA_CLASS && row.VISA_CLASS !== 'H-1B') return;
+      if (!isCertified(row.CASE_STATUS)) return;
+      const counter = getCounter(employers, row.EMPLOYER_NAME, fiscalYear);
+      if (counter) counter[0]++;
+    });
+  }
+
+  // USCIS petitions: sum every approval and denial column (column names differ between exports)
+  for (const file of options.uscis) {
+    await readCsv(file, row => {
+      const yearKey = Object.keys(row).find(header => /fiscal\s*year/i.test(header));
+      const nameKey = Object.keys(row).find(header => /^employer/i.test(header));
+      if (!yearKey || !nameKey || !row[yearKey]) return;
+
+      fiscalYears.add(row[yearKey]);
+      const counter = getCounter(employers, row[nameKey], row[yearKey]);
+      if (!counter) return;
+
+      Object.keys(row).forEach(header => {
+        if (/approval/i.test(header)) counter[1] += toCount(row[header]);
+        if (/denial/i.test(header)) counter[2] += toCount(row[header]);
+      });
+    });
+  }
+
+  const dataset = {
+    schema: 1,
+    generatedAt: new Date().toISOString(),
+    fiscalYears: Array.from(fiscalYears).sort(),
+    employers
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, zlib.gzipSync(JSON.stringify(dataset), { level: 9 }));
+  console.log(`Wrote ${Object.keys(employers).length} employers for FY ${dataset.fiscalYears.join(', ')} to ${OUTPUT_PATH}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
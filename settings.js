@@ -0,0 +1,116 @@
+/**
+ * Settings Store
+ * Loads and saves user settings in chrome.storage.sync
+ */
+
+const Settings = (function () {
+  'use strict';
+
+  const DEFAULTS = {
+    // User-defined analyzer rules: { id, tier, type: 'phrase'|'regex', pattern, enabled, weight? }
+    customRules: [],
+    // How postings that don't mention sponsorship are shown: 'optimistic', 'neutral', 'pessimistic' or 'inferred'
+    notMentionedPolicy: 'neutral',
+    // Score needed for "Sponsorship Available" (yes) and "No Sponsorship" (no)
+    scoringThresholds: { yes: 2, no: -2 },
+    // Search results filter: 'all', 'hide_no', 'hide_restricted', 'hide_both' or 'dim' (see ResultsFilter.MODES)
+    searchFilter: 'all',
+    // Second opinion from a language model (see Analyzer.analyzeWithAI); endpoint is an OpenAI-compatible
+    // API base. mode 'fallback' asks only when the rules aren't sure, 'always' asks for every job.
+    ai: {
+      enabled: false,
+      endpoint: 'http://localhost:11434/v1',
+      model: 'llama3.1',
+      apiKey: '',
+      mode: 'fallback'
+    }
+  };
+
+  let current = JSON.parse(JSON.stringify(DEFAULTS));
+  let loadPromise = null;
+  const listeners = [];
+
+  /**
+   * Check if synced extension storage can be used in this context
+   * @returns {boolean}
+   */
+  function isStorageAvailable() {
+    try {
+      return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.sync);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load settings from storage (safe to call repeatedly)
+   * @returns {Promise<Object>} - Current settings
+   */
+  function load() {
+    if (loadPromise) return loadPromise;
+
+    if (!isStorageAvailable()) {
+      loadPromise = Promise.resolve(current);
+      return loadPromise;
+    }
+
+    loadPromise = chrome.storage.sync.get(DEFAULTS)
+      .then(stored => {
+        current = Object.assign({}, current, stored);
+        return current;
+      })
+      .catch(() => current);
+
+    // Pick up changes saved from the options page or other tabs
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') return;
+
+      const changedKeys = Object.keys(changes).filter(key => key in DEFAULTS);
+      if (changedKeys.length === 0) return;
+
+      changedKeys.forEach(key => {
+        current[key] = changes[key].newValue !== undefined ? changes[key].newValue : DEFAULTS[key];
+      });
+      listeners.forEach(listener => listener(current, changedKeys));
+    });
+
+    return loadPromise;
+  }
+
+  /**
+   * Get the current settings
+   * @returns {Object} - Settings object (do not mutate; use save)
+   */
+  function get() {
+    return current;
+  }
+
+  /**
+   * Save some settings
+   * @param {Object} changes - Settings keys and their new values
+   * @returns {Promise<void>}
+   */
+  function save(changes) {
+    current = Object.assign({}, current, changes);
+
+    if (!isStorageAvailable()) return Promise.resolve();
+    return chrome.storage.sync.set(changes);
+  }
+
+  /**
+   * Register a listener for settings changed elsewhere
+   * @param {Function} listener - Called with (settings, changedKeys)
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  // Public API
+  return {
+    load,
+    get,
+    save,
+    onChange,
+    DEFAULTS
+  };
+})();
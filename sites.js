@@ -0,0 +1,655 @@
+/**
+ * Site Adapters
+ * Everything that depends on a job site's markup: which pages show a job, job IDs, the description,
+ * top-card details, where the badge goes and the job cards of search result lists
+ */
+
+const SiteAdapters = (function () {
+  'use strict';
+
+  /**
+   * Find the first element matching one of the selectors
+   * @param {string[]} selectors - Selectors, best first
+   * @param {ParentNode} [root] - Element to search in
+   * @param {number} [minLength] - Skip elements with less text than this
+   * @returns {Element|null}
+   */
+  function firstElement(selectors, root = document, minLength = 0) {
+    for (const selector of selectors) {
+      try {
+        const element = Array.from(root.querySelectorAll(selector))
+          .find(candidate => (candidate.textContent || '').trim().length >= Math.max(minLength, 1));
+        if (element) return element;
+      } catch (error) {
+        // Continue to next selector
+        continue;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the text of the first element matching one of the selectors
+   * @param {string[]} selectors - Selectors, best first
+   * @returns {string|null}
+   */
+  function firstText(selectors) {
+    const element = firstElement(selectors);
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : null;
+  }
+
+  /**
+   * Get the texts of every element matching the selectors, in selector order
+   * Texts are also split at "·", since top cards put several facts on one line ("Full-time · Mid-Senior level").
+   * @param {string[]} selectors - Selectors, best first
+   * @returns {string[]}
+   */
+  function allTexts(selectors) {
+    const texts = [];
+    selectors.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(element => {
+          const text = element.textContent.replace(/\s+/g, ' ').trim();
+          if (!text) return;
+          texts.push(text);
+          if (text.includes('·')) {
+            text.split('·').map(part => part.trim()).filter(Boolean).forEach(part => texts.push(part));
+          }
+        });
+      } catch (error) {
+        // Skip selectors the browser can't parse
+      }
+    });
+    return texts;
+  }
+
+  /**
+   * Read a job ID from a link inside an element
+   * @param {Element} element - Element to search in (the element itself counts)
+   * @param {RegExp} pattern - Pattern with the ID in its first group, tested against the href
+   * @returns {string|null}
+   */
+  function linkJobId(element, pattern) {
+    const links = element.matches('a[href]') ? [element] : Array.from(element.querySelectorAll('a[href]'));
+    for (const link of links) {
+      const match = link.getAttribute('href').match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * Create an adapter from a site description
+   *
+   * Site fields:
+   *   id, name            - Identifier and display name
+   *   hosts               - RegExp for location.hostname
+   *   prefix              - Prefix of stored job IDs, so IDs from different sites can't collide
+   *                         (empty for LinkedIn, whose IDs were stored bare before other sites existed)
+   *   isJobPage(location) - Whether the page shows a job description
+   *   getJobId(location)  - The site's ID for the open job, or null
+   *   getJobUrl(id, location) - Canonical URL of a job from the site's ID
+   *   descriptionSelectors, titleSelectors, companySelectors, locationSelectors, workplaceSelectors,
+   *   badgeSelectors      - Best first (workplaceSelectors find an on-site/hybrid/remote label shown apart
+   *                         from the location; empty when the site puts it in the location)
+   *   extractDescription() - Optional; defaults to the text of the description root
+   *   readCompany(), readLocation(text) - Optional fallbacks and clean-up for top-card details
+   *   metadataSelectors   - { salary, seniority, employmentType, postedDate }: elements whose text may hold
+   *                         the field, best first (see JobMetadata); missing fields have none
+   *   cardSelector        - Job cards of search result lists (empty when the site has no lists)
+   *   detailsSelector     - Containers of the open job (watched for changes); cards in here are not list cards
+   *   getCardJobId(card)  - The site's ID for a card's job
+   *   cardTitleSelectors  - The element of a card that its status chip follows
+   *   listSelectors       - The search result list the filter control goes above
+   *
+   * @param {Object} site - Site description
+   * @returns {Object} - Adapter
+   */
+  function createAdapter(site) {
+    const qualify = id => (id ? `${site.prefix}${id}` : null);
+
+    const adapter = {
+      id: site.id,
+      name: site.name,
+      cardSelector: site.cardSelector || '',
+
+      /**
+       * Whether the page belongs to this site
+       * @param {Location} location
+       * @returns {boolean}
+       */
+      matches(location) {
+        return site.hosts.test(location.hostname);
+      },
+
+      /**
+       * Whether the page shows a job description
+       * @param {Location} location
+       * @returns {boolean}
+       */
+      isJobPage(location) {
+        return site.isJobPage(location);
+      },
+
+      /**
+       * Get the stored job ID of the open job
+       * @param {Location} location
+       * @returns {string|null}
+       */
+      getJobId(location) {
+        return qualify(site.getJobId(location));
+      },
+
+      /**
+       * Get the canonical URL of a job
+       * @param {string} jobId - Stored job ID
+       * @returns {string}
+       */
+      getJobUrl(jobId) {
+        return site.getJobUrl(jobId.slice(site.prefix.length), window.location);
+      },
+
+      /**
+       * Find the element holding the job description
+       * @returns {Element|null}
+       */
+      findDescriptionRoot() {
+        return firstElement(site.descriptionSelectors, document, 100);
+      },
+
+      /**
+       * Extract the job description text
+       * @returns {string|null}
+       */
+      extractDescription() {
+        if (site.extractDescription) {
+          return site.extractDescription();
+        }
+        const root = adapter.findDescriptionRoot();
+        return root ? root.textContent.trim() || null : null;
+      },
+
+      /**
+       * Read the open job's details from its top card
+       * @returns {Object} - { company, title, location, workplace }, each null when not found
+       */
+      extractDetails() {
+        const company = firstText(site.companySelectors) || (site.readCompany ? site.readCompany() : null);
+        const location = firstText(site.locationSelectors);
+        return {
+          company: company || null,
+          title: firstText(site.titleSelectors),
+          location: location && site.readLocation ? site.readLocation(location) : location,
+          // Pills also hold the salary and job type; take the first that names a workplace type
+          workplace: allTexts(site.workplaceSelectors).find(text => JobLocation.readWorkplaceType(text)) || null
+        };
+      },
+
+      /**
+       * Read the candidate texts for the open job's metadata
+       * @returns {Object} - { salary, seniority, employmentType, postedDate }: texts in selector order
+       */
+      extractMetadataTexts() {
+        const selectors = site.metadataSelectors || {};
+        return {
+          salary: allTexts(selectors.salary || []),
+          seniority: allTexts(selectors.seniority || []),
+          employmentType: allTexts(selectors.employmentType || []),
+          postedDate: allTexts(selectors.postedDate || [])
+        };
+      },
+
+      /**
+       * Find the element the badge should go into
+       * @returns {Element|null}
+       */
+      findBadgeAnchor() {
+        return firstElement(site.badgeSelectors);
+      },
+
+      /**
+       * Find the job cards of the search results list
+       * @returns {Map<string, Element>} - Innermost card element for each stored job ID
+       */
+      findCards() {
+        const cards = new Map();
+        if (!site.cardSelector) return cards;
+
+        document.querySelectorAll(site.cardSelector).forEach(element => {
+          if (site.detailsSelector && element.closest(site.detailsSelector)) {
+            return;
+          }
+
+          const jobId = qualify(site.getCardJobId(element));
+          if (jobId) {
+            // Results come back in document order, so nested wrappers end up on the innermost card
+            cards.set(jobId, element);
+          }
+        });
+
+        return cards;
+      },
+
+      /**
+       * Find the element holding the open job, watched for description changes
+       * @returns {Element|null} - The details container, or the description on sites without one
+       */
+      findDetailsRoot() {
+        return (site.detailsSelector && document.querySelector(site.detailsSelector)) || adapter.findDescriptionRoot();
+      },
+
+      /**
+       * Find the element inside a job card that the status chip should follow
+       * @param {Element} card - Card from findCards()
+       * @returns {Element|null}
+       */
+      findCardTitle(card) {
+        for (const selector of site.cardTitleSelectors || []) {
+          const element = card.querySelector(selector);
+          if (element && element.parentNode) {
+            return element;
+          }
+        }
+        return null;
+      },
+
+      /**
+       * Find the search results list
+       * @returns {Element|null}
+       */
+      findList() {
+        for (const selector of site.listSelectors || []) {
+          const element = document.querySelector(selector);
+          if (element) return element;
+        }
+        return null;
+      }
+    };
+
+    return adapter;
+  }
+
+  const LINKEDIN = createAdapter({
+    id: 'linkedin',
+    name: 'LinkedIn',
+    hosts: /(^|\.)linkedin\.com$/,
+    prefix: '',
+    isJobPage(location) {
+      // Search page with an open job, /jobs/view/{id}/, or a collection (recommended, featured, ...)
+      return (location.pathname.includes('/jobs/search') && location.search.includes('currentJobId=')) ||
+        /\/jobs\/view\/\d+\/?/.test(location.pathname) ||
+        location.pathname.includes('/jobs/collections/');
+    },
+    getJobId(location) {
+      const jobIdFromQuery = new URLSearchParams(location.search).get('currentJobId');
+      if (jobIdFromQuery) {
+        return jobIdFromQuery;
+      }
+
+      const viewMatch = location.pathname.match(/\/jobs\/view\/(\d+)\/?/);
+      if (viewMatch) {
+        return viewMatch[1];
+      }
+
+      // Try to find job ID in page data attributes
+      const jobIdElement = document.querySelector('[data-job-id]');
+      return jobIdElement ? jobIdElement.getAttribute('data-job-id') : null;
+    },
+    getJobUrl(id) {
+      return `https://www.linkedin.com/jobs/view/${id}/`;
+    },
+    descriptionSelectors: [
+      '.jobs-description-content__text',
+      '.show-more-less-html__markup',
+      '.jobs-description__text',
+      '.jobs-box__html-content',
+      '.jobs-description-content',
+      '[class*="jobs-description"]'
+    ],
+    extractDescription() {
+      // LinkedIn may use different selectors, and splits some descriptions over several boxes
+      const selectors = [
+        '.jobs-description-content__text',
+        '.show-more-less-html__markup',
+        '.jobs-description__text',
+        '.jobs-box__html-content',
+        '[class*="jobs-description"]',
+        '[class*="description-content"]',
+        '.jobs-description-content',
+        '.jobs-box--fadeout'
+      ];
+
+      let descriptionText = '';
+      for (const selector of selectors) {
+        for (const element of document.querySelectorAll(selector)) {
+          const text = element.textContent || element.innerText || '';
+          if (text.trim().length > 100) { // Minimum length threshold
+            descriptionText += ' ' + text.trim();
+          }
+        }
+      }
+
+      // If no description found with selectors, take the main content without the top card and controls
+      if (!descriptionText.trim()) {
+        const mainContent = document.querySelector('.jobs-details__main-content, .jobs-search__job-details');
+        if (mainContent) {
+          const clone = mainContent.cloneNode(true);
+          ['nav', 'header', 'footer', 'button', '.jobs-details-top-card'].forEach(sel => {
+            clone.querySelectorAll(sel).forEach(el => el.remove());
+          });
+          descriptionText = clone.textContent || '';
+        }
+      }
+
+      return descriptionText.trim() || null;
+    },
+    titleSelectors: [
+      '.job-details-jobs-unified-top-card__job-title',
+      '.jobs-unified-top-card__job-title',
+      '.jobs-details-top-card__job-title',
+      '.topcard__title'
+    ],
+    companySelectors: [
+      '.job-details-jobs-unified-top-card__company-name',
+      '.jobs-unified-top-card__company-name',
+      '.jobs-details-top-card__company-url',
+      '.jobs-details-top-card__company-info a',
+      '.topcard__org-name-link',
+      '.topcard__flavor--black-link'
+    ],
+    locationSelectors: [
+      '.job-details-jobs-unified-top-card__primary-description-container .tvm__text',
+      '.job-details-jobs-unified-top-card__bullet',
+      '.jobs-unified-top-card__bullet',
+      '.jobs-details-top-card__bullet',
+      '.topcard__flavor--bullet'
+    ],
+    readLocation(text) {
+      // The description line reads "City, ST · 3 days ago · 120 applicants"
+      return text.split('·')[0].trim() || null;
+    },
+    workplaceSelectors: [
+      '.job-details-jobs-unified-top-card__workplace-type',
+      '.jobs-unified-top-card__workplace-type',
+      '.job-details-preferences-and-skills__pill' // "$120K/yr - $150K/yr", "Remote", "Full-time"
+    ],
+    metadataSelectors: {
+      salary: [
+        '.job-details-preferences-and-skills__pill', // "$120K/yr - $150K/yr"
+        '.job-details-jobs-unified-top-card__job-insight',
+        '.jobs-unified-top-card__job-insight',
+        '.compensation__salary', // Logged-out job pages
+        '#SALARY'
+      ],
+      seniority: [
+        '.job-details-jobs-unified-top-card__job-insight', // "Full-time · Mid-Senior level"
+        '.jobs-unified-top-card__job-insight',
+        '.description__job-criteria-item' // Logged-out criteria list: "Seniority level Mid-Senior level"
+      ],
+      employmentType: [
+        '.job-details-preferences-and-skills__pill',
+        '.job-details-jobs-unified-top-card__job-insight',
+        '.jobs-unified-top-card__job-insight',
+        '.description__job-criteria-item'
+      ],
+      postedDate: [
+        '.job-details-jobs-unified-top-card__primary-description-container .tvm__text', // "3 days ago"
+        '.jobs-unified-top-card__posted-date',
+        '.posted-time-ago__text'
+      ]
+    },
+    badgeSelectors: [
+      '.jobs-details-top-card__job-title-lockup', // Job title area
+      '.jobs-details__main-content .jobs-details-top-card', // Top card container
+      '.jobs-search__job-details .jobs-details-top-card', // Search view top card
+      '.jobs-details__main-content', // Main content area
+      '.jobs-details-top-card', // Top card (direct)
+      '.jobs-details__job-details-top-card', // Alternative top card selector
+      '[data-job-id]', // Any element with job ID
+      '.jobs-details__main-content header', // Header in main content
+      '.jobs-details__main-content > div:first-child' // First child of main content
+    ],
+    cardSelector: '[data-job-id], [data-occludable-job-id], .job-card-container, .jobs-search-results__list-item',
+    detailsSelector: '.jobs-details, .jobs-search__job-details, .jobs-details__main-content',
+    getCardJobId(card) {
+      const attributeId = card.getAttribute('data-job-id') || card.getAttribute('data-occludable-job-id');
+      if (attributeId && /^\d+$/.test(attributeId)) {
+        return attributeId;
+      }
+
+      // Some card layouts only carry the ID in the job link
+      return linkJobId(card, /\/jobs\/view\/(\d+)/);
+    },
+    cardTitleSelectors: [
+      '.job-card-list__title',
+      '.job-card-container__link',
+      '.artdeco-entity-lockup__title',
+      '.base-search-card__title',
+      'a[href*="/jobs/view/"]'
+    ],
+    listSelectors: [
+      '.jobs-search-results-list',
+      '.scaffold-layout__list',
+      '.jobs-search-results__list'
+    ]
+  });
+
+  const INDEED = createAdapter({
+    id: 'indeed',
+    name: 'Indeed',
+    hosts: /(^|\.)indeed\.com$/,
+    prefix: 'indeed:',
+    isJobPage(location) {
+      // /viewjob?jk=..., or a search page with the job open in the side pane (?vjk=...)
+      return location.pathname.startsWith('/viewjob') || /[?&]v?jk=/.test(location.search);
+    },
+    getJobId(location) {
+      const params = new URLSearchParams(location.search);
+      const jobId = params.get('vjk') || params.get('jk');
+      return jobId && /^[0-9a-f]+$/i.test(jobId) ? jobId : null;
+    },
+    getJobUrl(id, location) {
+      return `${location.origin}/viewjob?jk=${id}`;
+    },
+    descriptionSelectors: [
+      '#jobDescriptionText',
+      '[data-testid="jobsearch-JobComponent-description"]',
+      '.jobsearch-JobComponent-description'
+    ],
+    titleSelectors: [
+      '[data-testid="jobsearch-JobInfoHeader-title"]',
+      'h1.jobsearch-JobInfoHeader-title',
+      '.jobsearch-JobInfoHeader-title'
+    ],
+    companySelectors: [
+      '[data-testid="inlineHeader-companyName"]',
+      '[data-company-name="true"]',
+      '.jobsearch-CompanyInfoContainer a'
+    ],
+    locationSelectors: [
+      '[data-testid="inlineHeader-companyLocation"]',
+      '[data-testid="job-location"]',
+      '.jobsearch-JobInfoHeader-subtitle > div:last-child'
+    ],
+    // "Remote in Austin, TX" and "Hybrid work in Austin, TX" are part of the location
+    workplaceSelectors: [],
+    metadataSelectors: {
+      // "$120,000 - $150,000 a year - Full-time"
+      salary: ['#salaryInfoAndJobType', '#jobDetailsSection'],
+      employmentType: ['#salaryInfoAndJobType', '#jobDetailsSection']
+    },
+    badgeSelectors: [
+      '.jobsearch-JobInfoHeader-title-container',
+      '[data-testid="jobsearch-JobInfoHeader-title"]',
+      '.jobsearch-JobInfoHeader-title'
+    ],
+    cardSelector: '.job_seen_beacon, .cardOutline',
+    detailsSelector: '.jobsearch-RightPane, #jobsearch-ViewjobPaneWrapper',
+    getCardJobId(card) {
+      const element = card.matches('[data-jk]') ? card : card.querySelector('[data-jk]');
+      return element ? element.getAttribute('data-jk') : linkJobId(card, /[?&]v?jk=([0-9a-f]+)/i);
+    },
+    cardTitleSelectors: ['h2.jobTitle', '.jobTitle', 'a[data-jk]'],
+    listSelectors: ['#mosaic-jobResults', '#mosaic-provider-jobcards', '.jobsearch-ResultsList']
+  });
+
+  const GLASSDOOR = createAdapter({
+    id: 'glassdoor',
+    name: 'Glassdoor',
+    hosts: /(^|\.)glassdoor\.com$/,
+    prefix: 'glassdoor:',
+    isJobPage(location) {
+      // /job-listing/...htm?jl=..., or a search page with the job open in the side pane
+      return location.pathname.includes('/job-listing/') || /[?&]jl=\d+/.test(location.search);
+    },
+    getJobId(location) {
+      const jobIdFromQuery = new URLSearchParams(location.search).get('jl');
+      if (jobIdFromQuery && /^\d+$/.test(jobIdFromQuery)) {
+        return jobIdFromQuery;
+      }
+
+      // The selected card in the results list
+      const selected = document.querySelector('[data-test="jobListing"][data-selected="true"][data-jobid]');
+      return selected ? selected.getAttribute('data-jobid') : null;
+    },
+    getJobUrl(id, location) {
+      return `${location.origin}/job-listing/j?jl=${id}`;
+    },
+    descriptionSelectors: [
+      '[class*="JobDetails_jobDescription"]',
+      '.jobDescriptionContent',
+      '#JobDescriptionContainer',
+      '[data-test="jobDescriptionContent"]'
+    ],
+    // Cards in the results list carry data-test="job-title" too, so only look inside the details header
+    titleSelectors: [
+      'h1[id^="jd-job-title"]',
+      '[class*="JobDetails_jobTitle"]',
+      '[data-test="job-details-header"] [data-test="job-title"]'
+    ],
+    companySelectors: ['[data-test="employer-name"]', '[class*="EmployerProfile_employerName"]'],
+    locationSelectors: ['[data-test="location"]', '[class*="JobDetails_location"]'],
+    workplaceSelectors: [],
+    metadataSelectors: {
+      salary: ['[data-test="detailSalary"]', '[class*="SalaryEstimate"]']
+    },
+    badgeSelectors: [
+      '[class*="JobDetails_jobDetailsHeader"]',
+      '[data-test="job-details-header"]',
+      '[class*="JobDetails_jobTitle"]'
+    ],
+    cardSelector: '[data-test="jobListing"]',
+    detailsSelector: '[class*="JobDetails_jobDetailsContainer"]',
+    getCardJobId(card) {
+      const attributeId = card.getAttribute('data-jobid');
+      return attributeId && /^\d+$/.test(attributeId) ? attributeId : linkJobId(card, /[?&]jl=(\d+)/);
+    },
+    cardTitleSelectors: ['[data-test="job-title"]', 'a[data-test="job-link"]'],
+    listSelectors: ['[class*="JobsList_jobsList"]', 'ul[aria-label="Jobs List"]']
+  });
+
+  const GREENHOUSE = createAdapter({
+    id: 'greenhouse',
+    name: 'Greenhouse',
+    hosts: /^(boards|job-boards)\.greenhouse\.io$/,
+    prefix: 'greenhouse:',
+    isJobPage(location) {
+      return /^\/[^/]+\/jobs\/\d+/.test(location.pathname);
+    },
+    getJobId(location) {
+      // Job IDs are only unique within a company's board
+      const match = location.pathname.match(/^\/([^/]+)\/jobs\/(\d+)/);
+      return match ? `${match[1]}/${match[2]}` : null;
+    },
+    getJobUrl(id, location) {
+      const [board, jobId] = id.split('/');
+      return `${location.origin}/${board}/jobs/${jobId}`;
+    },
+    descriptionSelectors: ['.job__description', '#content', '.job-post-content'],
+    titleSelectors: ['.job__title h1', 'h1.app-title', '.app-title', 'h1.section-header'],
+    companySelectors: ['.company-name'],
+    locationSelectors: ['.job__location', '.location'],
+    workplaceSelectors: [],
+    readCompany() {
+      // "Job Application for Software Engineer at Acme"
+      const match = document.title.match(/\bat\s+(.+?)\s*$/);
+      return match ? match[1] : null;
+    },
+    badgeSelectors: ['.job__title', '#header', '.job__header'],
+    // The board's job list (boards.greenhouse.io/{company})
+    cardSelector: '.opening, tr.job-post',
+    getCardJobId(card) {
+      const link = card.querySelector('a[href*="/jobs/"]');
+      const match = link ? link.href.match(/greenhouse\.io\/([^/]+)\/jobs\/(\d+)/) : null;
+      return match ? `${match[1]}/${match[2]}` : null;
+    },
+    cardTitleSelectors: ['a[href*="/jobs/"]'],
+    listSelectors: ['#main .level-0', '.job-posts']
+  });
+
+  const LEVER = createAdapter({
+    id: 'lever',
+    name: 'Lever',
+    hosts: /^jobs\.(eu\.)?lever\.co$/,
+    prefix: 'lever:',
+    isJobPage(location) {
+      return /^\/[^/]+\/[0-9a-f-]{36}\/?$/i.test(location.pathname);
+    },
+    getJobId(location) {
+      const match = location.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+      return match ? `${match[1]}/${match[2]}` : null;
+    },
+    getJobUrl(id, location) {
+      return `${location.origin}/${id}`;
+    },
+    // The description, requirement lists and closing statement share a wrapper; the header
+    // with the title is an "accent" section of its own
+    descriptionSelectors: [
+      '.posting-page .section-wrapper:not(.accent-section)',
+      '[data-qa="job-description"]'
+    ],
+    titleSelectors: ['.posting-headline h2', '.posting-header h2'],
+    companySelectors: [],
+    locationSelectors: ['.posting-categories .location', '.posting-category.location'],
+    workplaceSelectors: ['.posting-categories .workplaceTypes'],
+    metadataSelectors: {
+      employmentType: ['.posting-categories .commitment']
+    },
+    readCompany() {
+      // Page titles read "Acme - Software Engineer"; the board slug is the fallback
+      const fromTitle = document.title.split(' - ')[0].trim();
+      return fromTitle || window.location.pathname.split('/')[1] || null;
+    },
+    readLocation(text) {
+      return text.replace(/\s*\/\s*$/, '') || null;
+    },
+    badgeSelectors: ['.posting-headline', '.posting-header'],
+    // The company's job list (jobs.lever.co/{company})
+    cardSelector: '.posting',
+    getCardJobId(card) {
+      const link = card.querySelector('a.posting-title, a[href*="lever.co/"]');
+      const match = link ? link.href.match(/lever\.co\/([^/]+\/[0-9a-f-]{36})/i) : null;
+      return match ? match[1] : null;
+    },
+    cardTitleSelectors: ['.posting-title h5', 'a.posting-title'],
+    listSelectors: ['.postings-wrapper', '.postings-group']
+  });
+
+  // Supported sites; the first one matching the page's host is used
+  const ADAPTERS = [LINKEDIN, INDEED, GLASSDOOR, GREENHOUSE, LEVER];
+
+  /**
+   * Get the adapter for the current page
+   * @returns {Object|null} - Adapter, or null on an unsupported site
+   */
+  function getCurrent() {
+    if (typeof window === 'undefined') return null;
+    return ADAPTERS.find(adapter => adapter.matches(window.location)) || null;
+  }
+
+  // Public API
+  return {
+    getCurrent,
+    ADAPTERS
+  };
+})();
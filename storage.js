@@ -0,0 +1,234 @@
+/**
+ * Result Store
+ * Persists analysis results per job ID in chrome.storage.local
+ */
+
+const ResultStore = (function () {
+  'use strict';
+
+  const STORAGE_KEY = 'h1bAnalysisCache';
+  const MAX_ENTRIES = 500;
+  const SAVE_DELAY_MS = 500;
+
+  // In-memory mirror of the stored entries, keyed by job ID
+  let entries = {};
+  let loadPromise = null;
+  let saveTimeout = null;
+
+  /**
+   * Check if extension storage can be used in this context
+   * @returns {boolean}
+   */
+  function isStorageAvailable() {
+    try {
+      return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create a short, stable hash of a string (32-bit FNV-1a)
+   * @param {string} text - Text to hash
+   * @returns {string|null} - Hex hash with the text length appended, or null for empty text
+   */
+  function hashText(text) {
+    if (!text) return null;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0') + '|' + text.length;
+  }
+
+  /**
+   * Load stored entries into memory (safe to call repeatedly)
+   * @returns {Promise<void>}
+   */
+  function load() {
+    if (loadPromise) return loadPromise;
+
+    if (!isStorageAvailable()) {
+      loadPromise = Promise.resolve();
+      return loadPromise;
+    }
+
+    loadPromise = chrome.storage.local.get(STORAGE_KEY)
+      .then(stored => {
+        entries = (stored && stored[STORAGE_KEY]) || {};
+      })
+      .catch(() => {
+        entries = {};
+      });
+
+    // Keep the mirror in sync with writes from other tabs
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) {
+        entries = changes[STORAGE_KEY].newValue || {};
+      }
+    });
+
+    return loadPromise;
+  }
+
+  /**
+   * Drop least recently used entries until the store fits the size cap
+   */
+  function evictLeastRecentlyUsed() {
+    const jobIds = Object.keys(entries);
+    if (jobIds.length <= MAX_ENTRIES) return;
+
+    jobIds
+      .sort((a, b) => entries[a].lastAccessed - entries[b].lastAccessed)
+      .slice(0, jobIds.length - MAX_ENTRIES)
+      .forEach(jobId => {
+        delete entries[jobId];
+      });
+  }
+
+  /**
+   * Write the in-memory entries back to storage (debounced)
+   */
+  function scheduleSave() {
+    if (!isStorageAvailable()) return;
+
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(() => {
+      evictLeastRecentlyUsed();
+      chrome.storage.local.set({ [STORAGE_KEY]: entries }).catch(() => {
+        // Storage quota or context errors shouldn't break the page
+      });
+    }, SAVE_DELAY_MS);
+  }
+
+  /**
+   * Get the stored entry for a job if it was produced by the current analyzer
+   * @param {string} jobId - Job ID
+   * @param {string} analyzerVersion - Current analyzer version (see Analyzer.getVersion)
+   * @returns {Object|null} - Entry with result, descriptionHash, analyzerVersion, job details, analyzedAt
+   *   and updatedAt
+   */
+  function get(jobId, analyzerVersion) {
+    const entry = jobId ? entries[jobId] : null;
+    if (!entry) return null;
+
+    // Results from an older pattern set are stale. The entry stays until the new result replaces it, so
+    // the job keeps its first analysis time.
+    if (entry.analyzerVersion !== analyzerVersion) {
+      return null;
+    }
+
+    entry.lastAccessed = Date.now();
+    scheduleSave();
+    return entry;
+  }
+
+  /**
+   * Store the analysis result for a job
+   * A job analyzed before keeps its first analysis time (analyzedAt), which statistics and export count
+   * it by; updatedAt is the time of this analysis.
+   * @param {string} jobId - Job ID
+   * @param {Object} result - Analysis result from analyzer
+   * @param {string} descriptionHash - Hash of the analyzed description
+   * @param {string} analyzerVersion - Analyzer version that produced the result
+   * @param {Object} [details] - Job details for statistics and export: { company, title, location, url }
+   */
+  function set(jobId, result, descriptionHash, analyzerVersion, details = {}) {
+    if (!jobId) return;
+
+    const now = Date.now();
+    const existing = entries[jobId];
+    entries[jobId] = {
+      result,
+      descriptionHash,
+      analyzerVersion,
+      company: details.company || null,
+      title: details.title || null,
+      location: details.location || null,
+      url: details.url || null,
+      analyzedAt: (existing && existing.analyzedAt) || now,
+      updatedAt: now,
+      lastAccessed: now
+    };
+
+    evictLeastRecentlyUsed();
+    scheduleSave();
+  }
+
+  /**
+   * Remove a job's entry
+   * @param {string} jobId - Job ID
+   */
+  function remove(jobId) {
+    if (entries[jobId]) {
+      delete entries[jobId];
+      scheduleSave();
+    }
+  }
+
+  /**
+   * Get all stored entries
+   * @returns {Object} - Copy of the entries, keyed by job ID
+   */
+  function getAll() {
+    return Object.assign({}, entries);
+  }
+
+  /**
+   * Add entries from another machine; an existing entry is only replaced by a newer analysis, and the
+   * earlier of the two first analysis times is kept
+   * @param {Object} imported - Entries keyed by job ID, shaped like stored entries
+   * @returns {Promise<number>} - Number of entries added or replaced
+   */
+  function merge(imported) {
+    const updatedAt = entry => entry.updatedAt || entry.analyzedAt;
+
+    let count = 0;
+    Object.keys(imported).forEach(jobId => {
+      const entry = imported[jobId];
+      const existing = entries[jobId];
+      if (existing && updatedAt(existing) >= updatedAt(entry)) return;
+
+      // Imported jobs weren't opened here, so they are the first to go when the store is full
+      entries[jobId] = Object.assign({}, entry, {
+        analyzedAt: existing ? Math.min(existing.analyzedAt, entry.analyzedAt) : entry.analyzedAt,
+        updatedAt: updatedAt(entry),
+        lastAccessed: updatedAt(entry)
+      });
+      count++;
+    });
+
+    evictLeastRecentlyUsed();
+    clearTimeout(saveTimeout);
+    if (!isStorageAvailable()) return Promise.resolve(count);
+    return chrome.storage.local.set({ [STORAGE_KEY]: entries }).then(() => count);
+  }
+
+  /**
+   * Remove every stored entry
+   * @returns {Promise<void>}
+   */
+  function clear() {
+    entries = {};
+    clearTimeout(saveTimeout);
+
+    if (!isStorageAvailable()) return Promise.resolve();
+    return chrome.storage.local.remove(STORAGE_KEY).catch(() => {});
+  }
+
+  // Public API
+  return {
+    load,
+    get,
+    set,
+    remove,
+    getAll,
+    merge,
+    clear,
+    hashText,
+    MAX_ENTRIES
+  };
+})();
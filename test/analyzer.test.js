@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, plain, ANALYZER_SCRIPTS } = require('./load');
+
+const get = load(ANALYZER_SCRIPTS);
+const Analyzer = get('Analyzer');
+
+test.describe('custom rules', () => {
+  test.afterEach(() => {
+    Analyzer.setCustomRules([]);
+  });
+
+  test('regex rules that can match the empty string only report non-empty matches', () => {
+    const optional = Analyzer.matchRule({ type: 'regex', pattern: '(visa)?' }, 'no visa here');
+    assert.deepEqual(plain(optional.map(match => [match.text, match.index])), [['visa', 3]]);
+
+    const alternative = Analyzer.matchRule({ type: 'regex', pattern: 'visa|' }, 'visa or no visa');
+    assert.equal(alternative.length, 2);
+  });
+
+  test('a saved rule that can match the empty string still lets analyze() finish', () => {
+    Analyzer.setCustomRules([
+      { id: 'empty', tier: 'strongNegative', type: 'regex', pattern: '(no visa)?', enabled: true }
+    ]);
+
+    assert.equal(Analyzer.analyze('Great team. No visa support here.').status, 'no');
+    assert.equal(Analyzer.analyze('Great team, good benefits.').status, 'not_mentioned');
+  });
+});
+
+test.describe('conditional sponsorship', () => {
+  test('refusals limited to the present stay refusals', () => {
+    [
+      'Sponsorship is not available at this time.',
+      'We are not able to sponsor at this time.',
+      'This position is not eligible for visa sponsorship at this time.',
+      'We do not offer H-1B sponsorship for now.'
+    ].forEach(text => {
+      const result = Analyzer.analyze(text);
+      assert.equal(result.status, 'no', text);
+      assert.equal(result.condition, null, text);
+    });
+
+    assert.equal(Analyzer.analyze('Visa sponsorship is not available at this time.', { country: 'GB' }).status, 'no');
+  });
+
+  test('limited offers name their condition', () => {
+    const cases = [
+      ['Sponsorship may be considered for exceptional candidates.', ['exceptional candidates', 'case by case']],
+      ['Sponsorship available for senior-level roles only.', ['senior only']],
+      ['We sponsor transfers but not new H-1B petitions.', ['transfer only']],
+      ['Visa sponsorship is available at this time.', ['at this time']],
+      ['Potential sponsorship for the right candidate.', ['exceptional candidates', 'case by case']]
+    ];
+    cases.forEach(([text, labels]) => {
+      const result = Analyzer.analyze(text);
+      assert.equal(result.status, 'conditional', text);
+      assert.deepEqual(plain(result.condition.labels), labels, text);
+    });
+  });
+});
+
+test.describe('country rules', () => {
+  test('U.S. visa names say nothing about jobs in other countries', () => {
+    assert.equal(Analyzer.analyze('We will sponsor H-1B visas.', { country: 'GB' }).status, 'not_mentioned');
+    assert.equal(Analyzer.analyze('H-1B sponsorship is available.', { country: 'GB' }).status, 'not_mentioned');
+    assert.equal(
+      Analyzer.analyze('We cannot sponsor H-1B visas. Skilled Worker visa sponsorship is available.', { country: 'GB' }).status,
+      'yes'
+    );
+    assert.equal(Analyzer.analyze('We will sponsor H-1B visas.', { country: 'US' }).status, 'yes');
+  });
+
+  test('an LMIA or work permit that is not available is a Canadian refusal', () => {
+    [
+      'An LMIA is not available for this role.',
+      'LMIA support is not offered.',
+      'Work permit sponsorship is not available for this position.',
+      'This position is not eligible for an LMIA.'
+    ].forEach(text => {
+      const result = Analyzer.analyze(text, { country: 'CA' });
+      assert.equal(result.status, 'no', text);
+      assert.equal(result.message, 'Canada visa sponsorship: No', text);
+      assert.ok(result.scoring.breakdown.some(entry => entry.ruleId.startsWith('CA:')), text);
+    });
+  });
+
+  test('jobs in countries without a pack get the shared rules only', () => {
+    const other = get('CountryPacks').OTHER_COUNTRY;
+    assert.equal(Analyzer.analyze('We are unable to sponsor visas.', { country: other }).status, 'no');
+    assert.equal(Analyzer.analyze('Visa sponsorship is available.', { country: other }).message, 'Non-US visa sponsorship: Yes');
+    assert.equal(Analyzer.analyze('We will sponsor H-1B visas.', { country: other }).status, 'not_mentioned');
+  });
+
+  test('filing history is not used outside the U.S.', () => {
+    const other = get('CountryPacks').OTHER_COUNTRY;
+    const result = Analyzer.applyNotMentionedPolicy(
+      Analyzer.analyze('Great team.', { country: other }), 'inferred', { filings: 12, fiscalYear: 2024 }
+    );
+    assert.equal(result.lean, 'unknown');
+  });
+});
+
+test.describe('refusal phrasings', () => {
+  test('asking candidates who need sponsorship not to apply is a refusal', () => {
+    [
+      'Please do not apply if you need sponsorship.',
+      'Please do not apply if you require sponsorship.',
+      'Do not apply if you require visa sponsorship now or in the future.',
+      "Please don't apply if you will need H-1B sponsorship."
+    ].forEach(text => {
+      assert.equal(Analyzer.analyze(text).status, 'no', text);
+    });
+
+    assert.equal(Analyzer.analyze('Please do not apply if you applied in the last 6 months.').status, 'not_mentioned');
+  });
+});
+
+test.describe('statements about one visa', () => {
+  test('a refused primary visa is a refusal', () => {
+    ['Can not do H1B.', 'Unfortunately we cannot support H1B candidates for this position.'].forEach(text => {
+      const result = Analyzer.analyze(text);
+      assert.equal(result.status, 'no', text);
+      assert.equal(result.visaSummary, 'H-1B ✗', text);
+    });
+  });
+
+  test('a refused secondary visa leaves the result open, but not "not mentioned"', () => {
+    const result = Analyzer.analyze('TN visas are not supported for this role.');
+    assert.equal(result.status, 'unclear');
+    assert.equal(result.visaSummary, 'TN ✗');
+    assert.equal(Analyzer.applyNotMentionedPolicy(result, 'optimistic', null).lean, undefined);
+  });
+
+  test('a supported primary visa is an offer', () => {
+    assert.equal(Analyzer.analyze('We can transfer H-1B visas.').status, 'yes');
+  });
+});
+
+test.describe('green card holders', () => {
+  test('are a restriction only when nobody else may apply', () => {
+    [
+      'US citizens or green card holders only.',
+      'Must be a green card holder.',
+      'Candidates must be U.S. citizens or green card holders.',
+      'This position is open only to U.S. citizens and green card holders.'
+    ].forEach(text => {
+      const result = Analyzer.analyze(text);
+      assert.equal(result.status, 'restricted', text);
+      assert.equal(result.restriction.permanentResidentOk, true, text);
+    });
+  });
+
+  test('welcoming them restricts nobody', () => {
+    assert.equal(Analyzer.analyze('Green card holders welcome to apply.').status, 'unclear');
+    assert.equal(Analyzer.analyze('We sponsor H-1B visas; green card holders also welcome.').status, 'yes');
+  });
+});
+
+test.describe('negation', () => {
+  /**
+   * Get the recorded negation decision of a rule match
+   * @param {Object} result - Analysis result
+   * @param {string} text - Text of the match
+   * @returns {string|undefined}
+   */
+  function decisionFor(result, text) {
+    const entry = result.negation.find(item => item.text.toLowerCase() === text.toLowerCase());
+    return entry && entry.decision;
+  }
+
+  test('does not reach across a clause break', () => {
+    const result = Analyzer.analyze('No relocation; visa sponsorship available.');
+    assert.equal(result.status, 'yes');
+    assert.equal(decisionFor(result, 'visa sponsorship available'), 'kept');
+  });
+
+  test('counts a negation right after the match', () => {
+    const result = Analyzer.analyze('Sponsorship is not something we can offer.');
+    assert.equal(result.status, 'no');
+
+    const offer = Analyzer.analyze('Visa sponsorship is not available.');
+    assert.equal(decisionFor(offer, 'visa sponsorship'), 'negated');
+    assert.deepEqual(plain(offer.negation[0].cues), [{ word: 'not', position: 'after' }]);
+  });
+
+  test('drops negated restrictions too', () => {
+    const result = Analyzer.analyze('This role does not require U.S. citizenship.');
+    assert.equal(result.status, 'not_mentioned');
+    assert.equal(result.restriction, null);
+    assert.equal(decisionFor(result, 'require U.S. citizenship'), 'negated');
+  });
+
+  test('two negations cancel out', () => {
+    const result = Analyzer.analyze('This role is not without visa sponsorship.');
+    assert.equal(result.status, 'yes');
+    assert.equal(decisionFor(result, 'visa sponsorship'), 'double_negative');
+    assert.equal(decisionFor(result, 'without visa sponsorship'), 'negated');
+  });
+
+  test('records offers that are part of a refusal', () => {
+    const result = Analyzer.analyze('Candidates needing visa sponsorship now or in the future will not be considered.');
+    assert.equal(result.status, 'no');
+    assert.equal(decisionFor(result, 'visa sponsorship'), 'inside_negative');
+  });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, ANALYZER_SCRIPTS } = require('./load');
+
+const CountryPacks = load(ANALYZER_SCRIPTS)('CountryPacks');
+
+test.describe('detectCountry', () => {
+  test('reads the country from top-card locations', () => {
+    const cases = [
+      ['London, England, United Kingdom', 'GB'],
+      ['Toronto, ON', 'CA'],
+      ['Sydney NSW', 'AU'],
+      ['Munich, Bavaria, Germany', 'DE'],
+      ['Austin, TX', 'US'],
+      ['Cambridge, MA', 'US'],
+      ['Cambridge, Massachusetts', 'US'],
+      ['Texas, United States', 'US'],
+      ['San Francisco Bay Area', 'US'],
+      ['New York City Metropolitan Area', 'US']
+    ];
+    cases.forEach(([location, country]) => assert.equal(CountryPacks.detectCountry(location), country, location));
+  });
+
+  test('keeps the U.S. rules when the location names no place', () => {
+    [null, '', 'Remote', 'Remote (Hybrid)'].forEach(location => {
+      assert.equal(CountryPacks.detectCountry(location), 'US', String(location));
+    });
+  });
+
+  test('reports places without a rule pack as another country', () => {
+    ['Paris, Île-de-France, France', 'Bengaluru, Karnataka, India', 'Singapore'].forEach(location => {
+      assert.equal(CountryPacks.detectCountry(location), CountryPacks.OTHER_COUNTRY, location);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, plain } = require('./load');
+
+/**
+ * Load employers.js with a fetch that serves the dataset, or a 404 when there is none
+ * @param {Object|null} dataset - Parsed dataset
+ * @returns {Object} - EmployerLookup
+ */
+function loadLookup(dataset) {
+  const chrome = { runtime: { getURL: path => `chrome-extension://test/${path}` } };
+  const fetch = async () => {
+    if (!dataset) return new Response(null, { status: 404 });
+    const body = new Blob([JSON.stringify(dataset)]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(body);
+  };
+  return load(['employers.js'], { chrome, fetch, Response, DecompressionStream })('EmployerLookup');
+}
+
+test.describe('EmployerLookup', () => {
+  test('normalizes legal suffixes and subsidiary names', () => {
+    const lookup = loadLookup(null);
+    assert.equal(lookup.normalizeName('Acme Widgets, Inc.'), 'acme widgets');
+    assert.equal(lookup.normalizeName('ACME WIDGETS LLC'), 'acme widgets');
+    assert.deepEqual(plain(lookup.candidateKeys('Acme Cloud Services USA')), ['acme cloud services usa', 'acme cloud services', 'acme cloud']);
+  });
+
+  test('is unavailable and finds nothing without a built dataset', async () => {
+    const lookup = loadLookup(null);
+    assert.equal(await lookup.isAvailable(), false);
+    assert.equal(await lookup.lookup('Acme Widgets'), null);
+  });
+
+  test('reads the latest fiscal year from a built dataset', async () => {
+    const lookup = loadLookup({
+      schema: 1,
+      fiscalYears: ['2023', '2024'],
+      employers: { 'acme widgets': { name: 'Acme Widgets, Inc.', years: { 2023: [80, 70, 1], 2024: [120, 98, 2] } } }
+    });
+    assert.equal(await lookup.isAvailable(), true);
+
+    const history = await lookup.lookup('ACME Widgets USA LLC');
+    assert.equal(history.fiscalYear, '2024');
+    assert.deepEqual([history.filings, history.approvals, history.denials], [120, 98, 2]);
+    assert.equal((await lookup.lookup('Unknown Employer')).filings, 0);
+  });
+});
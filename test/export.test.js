@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+/**
+ * Load storage.js and export.js with a clock the test moves
+ * @returns {Object} - { store: ResultStore, historyExport: HistoryExport, setNow(time) }
+ */
+function loadExport() {
+  const get = load(['storage.js', 'export.js'], { setTimeout, clearTimeout });
+  let now = NOW;
+  get('Date').now = () => now;
+  return { store: get('ResultStore'), historyExport: get('HistoryExport'), setNow: time => { now = time; } };
+}
+
+const result = status => ({ status, message: status, confidence: 'high', score: -3, details: {}, visas: {} });
+
+test.describe('HistoryExport', () => {
+  test('filters and stamps jobs by their first analysis, not their latest', () => {
+    const { store, historyExport, setNow } = loadExport();
+    store.set('1', result('no'), 'hash-a', '1.0.0', { company: 'Acme' });
+    setNow(NOW + 10 * DAY_MS);
+    store.set('1', result('no'), 'hash-b', '1.0.0', { company: 'Acme' });
+
+    const entries = store.getAll();
+    assert.equal(historyExport.selectEntries(entries, { from: '2026-10-19', to: '2026-10-19' }).length, 1);
+    assert.equal(historyExport.selectEntries(entries, { from: '2026-10-29', to: '2026-10-29' }).length, 0);
+
+    const [job] = JSON.parse(historyExport.toJSON(entries)).jobs;
+    assert.equal(job.analyzedAt, new Date(NOW).toISOString());
+    assert.equal(job.updatedAt, new Date(NOW + 10 * DAY_MS).toISOString());
+    assert.ok(historyExport.toCSV(entries).includes(new Date(NOW).toISOString()));
+  });
+
+  test('an exported file imports with both analysis times', () => {
+    const { store, historyExport, setNow } = loadExport();
+    store.set('1', result('yes'), 'hash-a', '1.0.0');
+    setNow(NOW + DAY_MS);
+    store.set('1', result('yes'), 'hash-b', '1.0.0');
+
+    const imported = historyExport.parseJSON(historyExport.toJSON(store.getAll()));
+    assert.equal(imported[1].analyzedAt, NOW);
+    assert.equal(imported[1].updatedAt, NOW + DAY_MS);
+  });
+
+  test('files from before updatedAt import with the first analysis as the latest', () => {
+    const { historyExport } = loadExport();
+    const file = JSON.stringify({
+      schema: historyExport.SCHEMA,
+      version: 2,
+      jobs: [{ jobId: '1', analyzedAt: new Date(NOW).toISOString(), result: result('no') }]
+    });
+
+    const imported = historyExport.parseJSON(file);
+    assert.equal(imported[1].analyzedAt, NOW);
+    assert.equal(imported[1].updatedAt, NOW);
+  });
+});
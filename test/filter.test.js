@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, ANALYZER_SCRIPTS } = require('./load');
+
+const SCRIPTS = ANALYZER_SCRIPTS.concat(['sites.js', 'filter.js']);
+
+const PAGE = `<!DOCTYPE html><html><body>
+<div id="results"><ul>
+  <li><div class="card">Backend Engineer</div></li>
+  <li><div class="card">Cleared Systems Engineer</div></li>
+  <li><div class="card">Data Engineer</div></li>
+  <li><div class="card">Frontend Engineer</div></li>
+</ul></div>
+</body></html>`;
+
+/**
+ * Open the results list on a page no site adapter handles
+ * @returns {Object} - { document, filter: ResultsFilter, cards: card elements in list order }
+ */
+function openResults() {
+  const get = loadPage(SCRIPTS, PAGE, 'https://jobs.example.com/search');
+  const document = get('document');
+  return { document, filter: get('ResultsFilter'), cards: Array.from(document.querySelectorAll('.card')) };
+}
+
+/**
+ * Get the filter classes of each card's row
+ * @param {Array<HTMLElement>} cards - Card elements
+ * @returns {Array<string>}
+ */
+function rowStates(cards) {
+  return cards.map(card => {
+    const row = card.closest('li');
+    if (row.classList.contains('h1b-sponsor-card--hidden')) return 'hidden';
+    if (row.classList.contains('h1b-sponsor-card--dimmed')) return 'dimmed';
+    return 'shown';
+  });
+}
+
+test.describe('ResultsFilter.apply', () => {
+  test('hides refusals and restricted roles together, but never the open job', () => {
+    const { document, filter, cards } = openResults();
+    const listed = new Map([['1', cards[0]], ['2', cards[1]], ['3', cards[2]], ['4', cards[3]]]);
+    const statuses = new Map([['1', 'no'], ['2', 'restricted'], ['3', 'yes'], ['4', 'no']]);
+
+    filter.setMode('hide_both');
+    filter.apply(listed, statuses, '4');
+
+    assert.deepEqual(rowStates(cards), ['hidden', 'hidden', 'shown', 'dimmed']);
+    assert.equal(document.querySelector('.h1b-sponsor-filter__count').textContent, '2 hidden — ');
+    assert.equal(document.querySelector('.h1b-sponsor-filter__select').value, 'hide_both');
+  });
+
+  test('single-status modes hide only their status', () => {
+    const { filter, cards } = openResults();
+    const listed = new Map([['1', cards[0]], ['2', cards[1]]]);
+    const statuses = new Map([['1', 'no'], ['2', 'restricted']]);
+
+    filter.setMode('hide_restricted');
+    filter.apply(listed, statuses, null);
+    assert.deepEqual(rowStates(cards.slice(0, 2)), ['shown', 'hidden']);
+  });
+
+  test('a recycled card loses the classes of the job it showed before', () => {
+    const { document, filter, cards } = openResults();
+    filter.setMode('hide_no');
+    filter.apply(new Map([['1', cards[0]]]), new Map([['1', 'no']]), null);
+    assert.deepEqual(rowStates([cards[0]]), ['hidden']);
+
+    // The site reused the first card for another job
+    filter.apply(new Map([['5', cards[0]]]), new Map([['5', 'yes']]), null);
+    assert.deepEqual(rowStates([cards[0]]), ['shown']);
+    assert.equal(document.querySelector('.h1b-sponsor-filter__banner').hidden, true);
+  });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, ANALYZER_SCRIPTS } = require('./load');
+
+const SCRIPTS = ANALYZER_SCRIPTS.concat(['sites.js', 'highlighter.js']);
+
+const PAGE = `<!DOCTYPE html><html><body>
+<div id="jobDescriptionText">
+  <p>We build payment systems for regional banks and are hiring a backend engineer for our federal team.</p>
+  <p>Requirements: must be a <strong>U.S. citizen</strong> because of our contract.</p>
+  <ul><li>Five years of Java</li></ul>
+</div>
+</body></html>`;
+
+/**
+ * List the text nodes under an element
+ * @param {Document} document - Page document
+ * @param {Element} root - Element to walk
+ * @returns {Array<Text>}
+ */
+function textNodes(document, root) {
+  const nodes = [];
+  const walker = document.createTreeWalker(root, 4 /* NodeFilter.SHOW_TEXT */);
+  let node;
+  while ((node = walker.nextNode())) nodes.push(node);
+  return nodes;
+}
+
+test.describe('Highlighter', () => {
+  test('wraps evidence split across elements, and removing it restores the same nodes', async () => {
+    const get = loadPage(SCRIPTS, PAGE, 'https://www.indeed.com/viewjob?jk=1');
+    const document = get('document');
+    const Highlighter = get('Highlighter');
+    const root = document.getElementById('jobDescriptionText');
+
+    const html = root.innerHTML;
+    const nodes = textNodes(document, root);
+    const description = root.textContent.trim();
+
+    Highlighter.highlight(get('Analyzer').analyze(description), description);
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    const spans = Array.from(root.querySelectorAll('.h1b-sponsor-highlight'));
+    assert.deepEqual(spans.map(span => span.textContent), ['must be a', 'U.S. citizen']);
+    assert.ok(spans.every(span => span.getAttribute('data-tier') === 'restriction'));
+    assert.equal(spans[1].parentElement.tagName, 'STRONG');
+
+    Highlighter.removeHighlights();
+    assert.equal(root.innerHTML, html);
+    const restored = textNodes(document, root);
+    assert.equal(restored.length, nodes.length);
+    restored.forEach((node, i) => assert.ok(node === nodes[i], `text node ${i} was replaced`));
+  });
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, ANALYZER_SCRIPTS } = require('./load');
+
+const get = load(ANALYZER_SCRIPTS.concat(['llm.js']), { fetch, AbortController, setTimeout, clearTimeout });
+const Analyzer = get('Analyzer');
+const LLMProviders = get('LLMProviders');
+// Errors the provider throws come from the scripts' realm, as they would in the extension
+const ScriptError = get('Error');
+
+const VISA_KEYS = Object.keys(Analyzer.VISA_TYPES);
+
+// The rules see both an offer and a refusal here, and can't decide
+const MIXED = 'We offer H-1B sponsorship. We are unable to sponsor at this time.';
+const REFUSAL = 'We do not sponsor visas. No sponsorship is available for this role.';
+
+/**
+ * Build a verdict the model could send
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object}
+ */
+function verdict(fields = {}) {
+  const visas = {};
+  VISA_KEYS.forEach(key => { visas[key] = 'not_mentioned'; });
+  return Object.assign({ status: 'no', visas, evidence: [], rationale: 'No sponsorship.' }, fields);
+}
+
+test.describe('needsAI', () => {
+  test('asks only when the rules are unsure or see both sides', () => {
+    assert.equal(Analyzer.needsAI(Analyzer.analyze(REFUSAL)), null);
+    assert.equal(Analyzer.needsAI(Analyzer.analyze(MIXED)), 'low confidence');
+    assert.equal(Analyzer.needsAI(Analyzer.analyze('Great benefits and a friendly team.')), 'low confidence');
+    assert.equal(Analyzer.needsAI({ status: 'yes', confidence: 'high', scoring: { positive: 3, negative: -1 } }),
+      'conflicting evidence');
+  });
+});
+
+test.describe('parseAIVerdict', () => {
+  test('reads a reply, also inside a Markdown code fence', () => {
+    const reply = verdict({ evidence: ['a', 'b', 'c', 'd', 'e', 'f'], rationale: '  Says no.  ' });
+    const parsed = Analyzer.parseAIVerdict('```json\n' + JSON.stringify(reply) + '\n```');
+    assert.equal(parsed.status, 'no');
+    assert.equal(parsed.evidence.length, 5);
+    assert.equal(parsed.rationale, 'Says no.');
+  });
+
+  test('rejects replies that are not JSON or do not match the schema', () => {
+    assert.throws(() => Analyzer.parseAIVerdict('No sponsorship.'), /did not reply with JSON/);
+    assert.throws(() => Analyzer.parseAIVerdict(JSON.stringify(verdict({ status: 'maybe' }))), /status "maybe"/);
+
+    const missing = verdict();
+    delete missing.visas.h1bNew;
+    assert.throws(() => Analyzer.parseAIVerdict(JSON.stringify(missing)), /visa h1bNew is missing/);
+    assert.throws(() => Analyzer.parseAIVerdict(JSON.stringify(verdict({ extra: 1 }))), /unexpected extra/);
+  });
+});
+
+test.describe('analyzeWithAI', () => {
+  test('adopts a verdict backed by a quote from the description', async () => {
+    const provider = LLMProviders.createMockProvider(verdict({ evidence: ['unable to sponsor at this time'] }));
+    const result = await Analyzer.analyzeWithAI(MIXED, { provider });
+
+    assert.equal(provider.calls.length, 1);
+    assert.equal(result.status, 'no');
+    assert.equal(result.ai.adopted, true);
+    assert.equal(result.ai.rulesStatus, 'unclear');
+  });
+
+  test('keeps the rules\' status when the quotes are not in the description', async () => {
+    const provider = LLMProviders.createMockProvider(verdict({ evidence: ['we never sponsor anyone'] }));
+    const result = await Analyzer.analyzeWithAI(MIXED, { provider });
+
+    assert.equal(result.status, 'unclear');
+    assert.equal(result.ai.adopted, false);
+    assert.equal(result.ai.unverifiedQuotes, 1);
+  });
+
+  test('does not ask when the rules are sure, unless told to', async () => {
+    const provider = LLMProviders.createMockProvider(verdict());
+    assert.equal((await Analyzer.analyzeWithAI(REFUSAL, { provider })).ai, null);
+    assert.equal(provider.calls.length, 0);
+
+    const always = await Analyzer.analyzeWithAI(REFUSAL, { provider, always: true });
+    assert.equal(provider.calls.length, 1);
+    assert.equal(always.ai.agrees, true);
+  });
+
+  test('reuses a cached verdict', async () => {
+    const provider = LLMProviders.createMockProvider(verdict({ evidence: ['unable to sponsor at this time'] }));
+    const cache = LLMProviders.createVerdictCache();
+    await Analyzer.analyzeWithAI(MIXED, { provider, cache, cacheKey: 'mock|hash' });
+    const cached = await Analyzer.analyzeWithAI(MIXED, { provider, cache, cacheKey: 'mock|hash' });
+
+    assert.equal(provider.calls.length, 1);
+    assert.equal(cached.status, 'no');
+  });
+
+  test('falls back to the rules when the provider fails or its reply is invalid', async () => {
+    const down = await Analyzer.analyzeWithAI(MIXED, {
+      provider: LLMProviders.createMockProvider(new ScriptError('Could not reach the model server'))
+    });
+    assert.equal(down.status, 'unclear');
+    assert.equal(down.ai.error, 'Could not reach the model server');
+
+    const invalid = await Analyzer.analyzeWithAI(MIXED, {
+      provider: LLMProviders.createMockProvider('{"status": "maybe"}')
+    });
+    assert.equal(invalid.status, 'unclear');
+    assert.match(invalid.ai.error, /does not match the verdict schema/);
+  });
+});
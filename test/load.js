@@ -0,0 +1,72 @@
+/**
+ * Test helper: runs extension scripts the way the browser does, as classic scripts sharing one global
+ * scope, and hands back their globals
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Content-script order from manifest.json, up to the scripts that need a page
+const ANALYZER_SCRIPTS = ['scoring.js', 'grammar.js', 'vocabulary.js', 'countries.js', 'location.js', 'analyzer.js'];
+
+/**
+ * Run scripts in a fresh context
+ * @param {string[]} files - Script paths relative to the repository root, in load order
+ * @param {Object} [globals] - Extra globals (window, document, chrome, fetch)
+ * @returns {Function} - get(name): the value of a global the scripts declared
+ */
+function load(files, globals) {
+  return runScripts(files, vm.createContext(Object.assign({ console }, globals)));
+}
+
+/**
+ * Run scripts as content scripts of a page
+ * @param {string[]} files - Script paths relative to the repository root, in load order
+ * @param {string} html - Page markup
+ * @param {string} url - Page URL (sets window.location)
+ * @param {Object} [globals] - Extra globals (chrome)
+ * @returns {Function} - get(name): the value of a global the scripts declared
+ */
+function loadPage(files, html, url, globals) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  Object.assign(dom.window, globals);
+  return runScripts(files, dom.getInternalVMContext());
+}
+
+/**
+ * Run scripts in a context
+ * @param {string[]} files - Script paths relative to the repository root, in load order
+ * @param {Object} context - Contextified object
+ * @returns {Function} - get(name): the value of a global the scripts declared
+ */
+function runScripts(files, context) {
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  // Top-level const declarations live in the context's script scope, not on its global object
+  return name => vm.runInContext(name, context);
+}
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name in test/fixtures
+ * @returns {string}
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Copy a value out of the scripts' context, so assert.deepStrictEqual doesn't trip over its prototypes
+ * @param {*} value - JSON-compatible value
+ * @returns {*}
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { load, loadPage, readFixture, plain, ANALYZER_SCRIPTS };
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFixture, plain, ANALYZER_SCRIPTS } = require('./load');
+
+const SCRIPTS = ANALYZER_SCRIPTS.concat(['metadata.js', 'sites.js']);
+
+// Relative posted dates are counted back from noon, local time, on 2026-10-19
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+/**
+ * Load a fixture page and extract the open job's metadata the way content.js does
+ * @param {string} fixture - File name in test/fixtures
+ * @param {string} url - URL the page was saved from
+ * @returns {Object} - Metadata
+ */
+function extractMetadata(fixture, url) {
+  const get = loadPage(SCRIPTS, readFixture(fixture), url);
+  const site = get('SiteAdapters.getCurrent()');
+  const details = site.extractDetails();
+  const country = get('CountryPacks').detectCountry(details.location);
+  const metadata = get('JobMetadata').extract(details, site.extractMetadataTexts(),
+    { description: site.extractDescription(), country, now: NOW });
+
+  assert.deepEqual(plain(get('JobMetadata').validate(metadata)), []);
+  return plain(metadata);
+}
+
+test.describe('LinkedIn top card', () => {
+  test('a search page with the job open in the details pane', () => {
+    const metadata = extractMetadata('linkedin.html',
+      'https://www.linkedin.com/jobs/search/?currentJobId=4012345678&keywords=software%20engineer');
+
+    assert.deepEqual(metadata, {
+      title: 'Senior Software Engineer',
+      company: 'Acme Corp',
+      location: 'Austin, TX',
+      salary: { min: 120000, max: 150000, currency: 'USD', period: 'year', text: '$120K/yr - $150K/yr' },
+      seniority: 'mid_senior',
+      employmentType: 'full_time',
+      postedDate: '2026-10-16'
+    });
+  });
+
+  test('a job page seen logged out', () => {
+    const metadata = extractMetadata('linkedin-guest.html', 'https://www.linkedin.com/jobs/view/4098765432/');
+
+    assert.deepEqual(metadata, {
+      title: 'Director of Data Engineering',
+      company: 'Umbrella',
+      location: 'Chicago, IL',
+      salary: { min: 190000, max: 240000, currency: 'USD', period: 'year', text: '$190,000.00/yr - $240,000.00/yr' },
+      seniority: 'director',
+      employmentType: 'contract',
+      postedDate: '2026-10-05'
+    });
+  });
+});
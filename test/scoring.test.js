@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, plain, ANALYZER_SCRIPTS } = require('./load');
+
+const get = load(ANALYZER_SCRIPTS);
+const Scoring = get('Scoring');
+const Analyzer = get('Analyzer');
+
+const RULES = {
+  refusal: { id: 'refusal', tier: 'strongNegative', weight: -3, source: 'no {sponsorship_noun}' },
+  offer: { id: 'offer', tier: 'strongPositive', weight: 3, source: 'sponsorship available' },
+  relocation: { id: 'relocation', tier: 'moderatePositive', weight: 1, source: 'relocation assistance' }
+};
+
+/**
+ * Build evidence for every occurrence of a phrase
+ * @param {string} text - Job description text
+ * @param {string} phrase - Text of the match
+ * @param {Object} rule - Rule it matched
+ * @returns {Array<Object>}
+ */
+function find(text, phrase, rule) {
+  const evidence = [];
+  let index = text.indexOf(phrase);
+  while (index !== -1) {
+    evidence.push({ rule, text: phrase, index, length: phrase.length });
+    index = text.indexOf(phrase, index + phrase.length);
+  }
+  return evidence;
+}
+
+/**
+ * Get the multiplier notes of each hit, in text order
+ * @param {Object} scoring - Result of Scoring.score()
+ * @returns {Array<Array<string>>}
+ */
+function notes(scoring) {
+  return plain(scoring.breakdown
+    .reduce((hits, entry) => hits.concat(entry.hits), [])
+    .sort((a, b) => a.index - b.index)
+    .map(hit => hit.notes));
+}
+
+test.describe('Scoring.score', () => {
+  test('repeats of a rule count for less each time', () => {
+    const text = 'No sponsorship. No sponsorship. No sponsorship.';
+    const scoring = Scoring.score(find(text, 'No sponsorship', RULES.refusal), text);
+    assert.equal(scoring.score, -5.25);
+    assert.deepEqual(notes(scoring), [[], ['repeat #2 ×0.5'], ['repeat #3 ×0.25']]);
+  });
+
+  test('sections weigh the evidence inside them', () => {
+    const text = 'Requirements\nNo sponsorship for this role.\n\nEqual Opportunity\nNo sponsorship is implied by this notice.';
+    const scoring = Scoring.score(find(text, 'No sponsorship', RULES.refusal), text);
+    assert.deepEqual(notes(scoring), [['requirements section ×1.2'], ['repeat #2 ×0.5', 'legal section ×0.4']]);
+    assert.equal(scoring.score, -4.2);
+  });
+
+  test('statements contradicted in the same sentence count for less', () => {
+    const text = 'Sponsorship available for some roles, no sponsorship for interns.';
+    const evidence = find(text, 'Sponsorship available', RULES.offer).concat(find(text, 'no sponsorship', RULES.refusal));
+    const scoring = Scoring.score(evidence, text);
+    assert.deepEqual(notes(scoring), [['contradicted in sentence ×0.75'], ['contradicted in sentence ×0.75']]);
+    assert.equal(scoring.score, 0);
+    assert.equal(scoring.verdict, 'uncertain');
+  });
+
+  test('weak signals are only boosted by sponsorship terms of their own sign', () => {
+    const refused = 'No sponsorship. We offer relocation assistance.';
+    const refusedScoring = Scoring.score(
+      find(refused, 'No sponsorship', RULES.refusal).concat(find(refused, 'relocation assistance', RULES.relocation)), refused);
+    assert.deepEqual(notes(refusedScoring)[1], ['no sponsorship terms nearby ×0.5']);
+
+    const offered = 'Sponsorship available. We offer relocation assistance.';
+    const offeredScoring = Scoring.score(
+      find(offered, 'Sponsorship available', RULES.offer).concat(find(offered, 'relocation assistance', RULES.relocation)), offered);
+    assert.deepEqual(notes(offeredScoring)[1], ['near sponsorship terms ×1.5']);
+  });
+
+  test('weak signals do not take a strong verdict back across its threshold', () => {
+    const text = 'No sponsorship. Relocation assistance, relocation support and relocation assistance.';
+    const evidence = find(text, 'No sponsorship', RULES.refusal)
+      .concat(find(text, 'relocation assistance', RULES.relocation))
+      .concat(find(text, 'relocation support', Object.assign({}, RULES.relocation, { id: 'support' })));
+    const scoring = Scoring.score(evidence, text, { yes: 2, no: -2.5 });
+    assert.equal(scoring.verdict, 'no');
+    assert.equal(scoring.score, -2.5);
+  });
+});
+
+test.describe('refusals next to perks', () => {
+  test('stay refusals', () => {
+    [
+      'We do not offer visa sponsorship. We offer relocation assistance.',
+      'No visa sponsorship is available for this role, however relocation assistance is provided.',
+      'We are unable to sponsor visas. Relocation assistance provided.'
+    ].forEach(text => {
+      assert.equal(Analyzer.analyze(text).status, 'no', text);
+    });
+  });
+
+  test('perks next to an offer still add to it', () => {
+    const result = Analyzer.analyze('We offer visa sponsorship and relocation assistance.');
+    assert.equal(result.status, 'yes');
+    assert.equal(result.score, 4.5);
+  });
+});
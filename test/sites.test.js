@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFixture, plain, ANALYZER_SCRIPTS } = require('./load');
+
+const SCRIPTS = ANALYZER_SCRIPTS.concat(['sites.js']);
+
+/**
+ * Load a fixture page and run its site's adapter over it the way content.js does
+ * @param {string} fixture - File name in test/fixtures
+ * @param {string} url - URL the page was saved from
+ * @returns {Object} - { site, location, get }
+ */
+function openPage(fixture, url) {
+  const get = loadPage(SCRIPTS, readFixture(fixture), url);
+  return { site: get('SiteAdapters.getCurrent()'), location: get('window.location'), get };
+}
+
+/**
+ * Analyze the open job's description with the country rules of its location
+ * @param {Object} page - Result of openPage()
+ * @returns {Object} - Result of Analyzer.analyze()
+ */
+function analyzePage(page) {
+  const details = page.site.extractDetails();
+  const country = page.get('CountryPacks').detectCountry(details.location);
+  return page.get('Analyzer').analyze(page.site.extractDescription(), { country });
+}
+
+/**
+ * Get the card titles by stored job ID
+ * @param {Object} site - Adapter
+ * @returns {Object}
+ */
+function cardTitles(site) {
+  const titles = {};
+  site.findCards().forEach((card, jobId) => {
+    const title = site.findCardTitle(card);
+    titles[jobId] = title ? title.textContent.trim() : null;
+  });
+  return titles;
+}
+
+test.describe('LinkedIn', () => {
+  const page = openPage('linkedin.html',
+    'https://www.linkedin.com/jobs/search/?currentJobId=4012345678&keywords=software%20engineer');
+  const { site, location } = page;
+
+  test('finds the open job', () => {
+    assert.equal(site.id, 'linkedin');
+    assert.equal(site.isJobPage(location), true);
+    assert.equal(site.getJobId(location), '4012345678');
+    assert.equal(site.getJobUrl('4012345678'), 'https://www.linkedin.com/jobs/view/4012345678/');
+  });
+
+  test('reads the description and top card', () => {
+    assert.match(site.extractDescription(), /unable to sponsor H-1B visas now or in the future/);
+    const details = site.extractDetails();
+    assert.deepEqual(plain([details.company, details.title, details.location]),
+      ['Acme Corp', 'Senior Software Engineer', 'Austin, TX']);
+    // The pill after the salary pill, hidden screen-reader text included
+    assert.equal(page.get('JobLocation').readWorkplaceType(details.workplace), 'remote');
+    assert.ok(site.findBadgeAnchor().classList.contains('jobs-details-top-card__job-title-lockup'));
+    assert.equal(analyzePage(page).status, 'no');
+  });
+
+  test('finds the result cards but not the open job', () => {
+    assert.deepEqual(cardTitles(site), {
+      4012345678: 'Senior Software Engineer',
+      4012345679: 'Backend Engineer',
+      4012345680: 'Data Engineer'
+    });
+    assert.ok(site.findList().classList.contains('jobs-search-results-list'));
+  });
+});
+
+test.describe('Indeed', () => {
+  const page = openPage('indeed.html',
+    'https://www.indeed.com/jobs?q=software+engineer&l=Austin%2C+TX&vjk=0f12ab34cd56ef78');
+  const { site, location } = page;
+
+  test('finds the open job', () => {
+    assert.equal(site.id, 'indeed');
+    assert.equal(site.isJobPage(location), true);
+    assert.equal(site.getJobId(location), 'indeed:0f12ab34cd56ef78');
+    assert.equal(site.getJobUrl('indeed:0f12ab34cd56ef78'), 'https://www.indeed.com/viewjob?jk=0f12ab34cd56ef78');
+  });
+
+  test('reads the description and top card', () => {
+    assert.match(site.extractDescription(), /^Globex is hiring a Backend Engineer/);
+    assert.match(site.extractDescription(), /Visa sponsorship is available for this position/);
+    assert.deepEqual(plain(site.extractDetails()), {
+      company: 'Globex',
+      title: 'Backend Engineer',
+      location: 'Remote in Austin, TX',
+      workplace: null
+    });
+    assert.ok(site.findBadgeAnchor().classList.contains('jobsearch-JobInfoHeader-title-container'));
+    assert.equal(analyzePage(page).status, 'yes');
+  });
+
+  test('finds the result cards but not the open job', () => {
+    assert.deepEqual(cardTitles(site), {
+      'indeed:0f12ab34cd56ef78': 'Backend Engineer',
+      'indeed:1a2b3c4d5e6f7081': 'Platform Engineer'
+    });
+    assert.equal(site.findList().id, 'mosaic-jobResults');
+  });
+});
+
+test.describe('Glassdoor', () => {
+  const page = openPage('glassdoor.html',
+    'https://www.glassdoor.com/Job/austin-machine-learning-engineer-jobs-SRCH_IL.0,6_IC1139761_KO7,32.htm?jl=1009123456789');
+  const { site, location } = page;
+
+  test('finds the open job', () => {
+    assert.equal(site.id, 'glassdoor');
+    assert.equal(site.isJobPage(location), true);
+    assert.equal(site.getJobId(location), 'glassdoor:1009123456789');
+    assert.equal(site.getJobUrl('glassdoor:1009123456789'),
+      'https://www.glassdoor.com/job-listing/j?jl=1009123456789');
+  });
+
+  test('reads the title from the details pane, not the first card', () => {
+    assert.match(site.extractDescription(), /Must be a U\.S\. citizen and able to obtain a Secret clearance/);
+    assert.deepEqual(plain(site.extractDetails()), {
+      company: 'Initech',
+      title: 'Machine Learning Engineer',
+      location: 'Austin, TX',
+      workplace: null
+    });
+    assert.equal(site.findBadgeAnchor().getAttribute('data-test'), 'job-details-header');
+    assert.equal(analyzePage(page).status, 'restricted');
+  });
+
+  test('finds the result cards', () => {
+    assert.deepEqual(cardTitles(site), {
+      'glassdoor:1009123456790': 'Data Scientist',
+      'glassdoor:1009123456789': 'Machine Learning Engineer'
+    });
+    assert.equal(site.findList().getAttribute('aria-label'), 'Jobs List');
+  });
+});
+
+test.describe('Greenhouse', () => {
+  const page = openPage('greenhouse.html', 'https://job-boards.greenhouse.io/acme/jobs/4012345');
+  const { site, location } = page;
+
+  test('finds the open job', () => {
+    assert.equal(site.id, 'greenhouse');
+    assert.equal(site.isJobPage(location), true);
+    assert.equal(site.getJobId(location), 'greenhouse:acme/4012345');
+    assert.equal(site.getJobUrl('greenhouse:acme/4012345'), 'https://job-boards.greenhouse.io/acme/jobs/4012345');
+  });
+
+  test('reads the description and header, with the company from the page title', () => {
+    assert.match(site.extractDescription(), /This role is not eligible for visa sponsorship/);
+    assert.deepEqual(plain(site.extractDetails()), {
+      company: 'Acme',
+      title: 'Platform Engineer',
+      location: 'New York, NY',
+      workplace: null
+    });
+    assert.ok(site.findBadgeAnchor().classList.contains('job__title'));
+    assert.equal(analyzePage(page).status, 'no');
+  });
+
+  test('a job page has no result cards', () => {
+    assert.equal(site.findCards().size, 0);
+    assert.equal(site.findList(), null);
+  });
+});
+
+test.describe('Lever', () => {
+  const page = openPage('lever.html', 'https://jobs.lever.co/acme/1b2c3d4e-5f60-4a1b-8c2d-3e4f5a6b7c8d');
+  const { site, location } = page;
+
+  test('finds the open job', () => {
+    assert.equal(site.id, 'lever');
+    assert.equal(site.isJobPage(location), true);
+    assert.equal(site.getJobId(location), 'lever:acme/1b2c3d4e-5f60-4a1b-8c2d-3e4f5a6b7c8d');
+    assert.equal(site.getJobUrl('lever:acme/1b2c3d4e-5f60-4a1b-8c2d-3e4f5a6b7c8d'),
+      'https://jobs.lever.co/acme/1b2c3d4e-5f60-4a1b-8c2d-3e4f5a6b7c8d');
+  });
+
+  test('reads the description without the header, and the header categories', () => {
+    const description = site.extractDescription();
+    assert.match(description, /^Acme runs the infrastructure/);
+    assert.match(description, /can sponsor Skilled Worker visas/);
+    assert.doesNotMatch(description, /Apply for this job/);
+    assert.deepEqual(plain(site.extractDetails()), {
+      company: 'Acme',
+      title: 'Site Reliability Engineer',
+      location: 'London, England, United Kingdom',
+      workplace: 'Hybrid'
+    });
+    assert.ok(site.findBadgeAnchor().classList.contains('posting-headline'));
+  });
+
+  test('checks the description with the rules of the job country', () => {
+    const details = site.extractDetails();
+    assert.equal(page.get('CountryPacks').detectCountry(details.location), 'GB');
+    assert.equal(analyzePage(page).status, 'yes');
+  });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { load, loadPage, ANALYZER_SCRIPTS } = require('./load');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+/**
+ * Load storage.js with a clock the test moves
+ * @returns {Object} - { store: ResultStore, setNow(time) }
+ */
+function loadStore() {
+  const get = load(['storage.js'], { setTimeout, clearTimeout });
+  let now = NOW;
+  get('Date').now = () => now;
+  return { store: get('ResultStore'), setNow: time => { now = time; } };
+}
+
+const result = status => ({ status, confidence: 'high', score: status === 'yes' ? 3 : -3 });
+
+test.describe('ResultStore', () => {
+  test('a re-analyzed job keeps its first analysis time', () => {
+    const { store, setNow } = loadStore();
+    store.set('1', result('yes'), 'hash-a', '1.0.0');
+
+    setNow(NOW + 3 * DAY_MS);
+    store.set('1', result('no'), 'hash-b', '1.0.0');
+
+    const entry = store.get('1', '1.0.0');
+    assert.equal(entry.result.status, 'no');
+    assert.equal(entry.analyzedAt, NOW);
+    assert.equal(entry.updatedAt, NOW + 3 * DAY_MS);
+  });
+
+  test('a result from an older analyzer is not returned, but its first analysis time survives', () => {
+    const { store, setNow } = loadStore();
+    store.set('1', result('yes'), 'hash-a', '1.0.0');
+
+    setNow(NOW + DAY_MS);
+    assert.equal(store.get('1', '2.0.0'), null);
+    store.set('1', result('yes'), 'hash-a', '2.0.0');
+    assert.equal(store.get('1', '2.0.0').analyzedAt, NOW);
+  });
+
+  test('imports replace only older analyses and keep the earlier first analysis time', async () => {
+    const { store, setNow } = loadStore();
+    store.set('1', result('yes'), 'hash-a', '1.0.0');
+    setNow(NOW + DAY_MS);
+    store.set('1', result('yes'), 'hash-a', '1.0.0');
+    store.set('2', result('yes'), 'hash-a', '1.0.0');
+
+    const imported = {
+      1: { result: result('no'), analyzedAt: NOW - 5 * DAY_MS, updatedAt: NOW + 2 * DAY_MS },
+      2: { result: result('no'), analyzedAt: NOW - 5 * DAY_MS }
+    };
+    assert.equal(await store.merge(imported), 1);
+
+    const entries = store.getAll();
+    assert.equal(entries[1].result.status, 'no');
+    assert.equal(entries[1].analyzedAt, NOW - 5 * DAY_MS);
+    assert.equal(entries[2].result.status, 'yes');
+  });
+});
+
+test.describe('statistics popup', () => {
+  /**
+   * Open the popup over stored entries
+   * @param {Object} entries - Stored entries keyed by job ID
+   * @param {Object} [overrides] - Stored corrections keyed by job ID
+   * @returns {Promise<Document>}
+   */
+  async function openPopup(entries, overrides = {}) {
+    const stored = { h1bAnalysisCache: entries, h1bCorrections: { overrides, log: [], dismissed: [] } };
+    const chrome = {
+      storage: {
+        local: { get: async key => ({ [key]: stored[key] }), set: async () => {} },
+        onChanged: { addListener() {} }
+      }
+    };
+    const html = fs.readFileSync(path.join(__dirname, '..', 'popup.html'), 'utf8');
+    const scripts = ANALYZER_SCRIPTS.concat(['storage.js', 'corrections.js', 'popup.js']);
+    const get = loadPage(scripts, html, 'chrome-extension://test/popup.html', { chrome });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return get('document');
+  }
+
+  test('counts jobs on the day they were first analyzed, and names the store limit', async () => {
+    const now = Date.now();
+    const document = await openPopup({
+      1: { result: result('no'), company: 'Acme', analyzedAt: now - 30 * DAY_MS, updatedAt: now, lastAccessed: now },
+      2: { result: result('yes'), company: 'Globex', analyzedAt: now, updatedAt: now, lastAccessed: now }
+    });
+
+    assert.equal(document.getElementById('count-today').textContent, '1');
+    assert.equal(document.getElementById('count-week').textContent, '1');
+    assert.equal(document.getElementById('count-total').textContent, '2');
+    assert.equal(document.getElementById('total-label').textContent, 'Last 500 jobs');
+  });
+
+  test('counts corrected jobs by their corrected status', async () => {
+    const now = Date.now();
+    const document = await openPopup({
+      1: { result: result('no'), company: 'Acme', analyzedAt: now, updatedAt: now, lastAccessed: now },
+      2: { result: result('no'), company: 'Globex', analyzedAt: now, updatedAt: now, lastAccessed: now }
+    }, {
+      1: { status: 'yes', text: null, originalStatus: 'no', correctedAt: now }
+    });
+
+    const split = Array.from(document.querySelectorAll('#status-split li'))
+      .map(item => [item.querySelector('.status-split__label').textContent, item.querySelector('.status-split__value').textContent]);
+    assert.deepEqual(split.slice(0, 3), [['Sponsors', '1 (50%)'], ['Conditional', '0 (0%)'], ['No sponsorship', '1 (50%)']]);
+    assert.match(document.getElementById('waste-summary').textContent, /^50%/);
+  });
+});
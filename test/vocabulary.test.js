@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, plain, ANALYZER_SCRIPTS } = require('./load');
+
+const get = load(ANALYZER_SCRIPTS);
+const Analyzer = get('Analyzer');
+
+/**
+ * Analyze a posting and keep what the shorthand tests look at
+ * @param {string} text
+ * @returns {Object} - { status, statements: [kind, terms] pairs, visaSummary }
+ */
+function read(text) {
+  const result = Analyzer.analyze(text);
+  return {
+    status: result.status,
+    statements: plain(result.shorthand.map(statement => [statement.kind, statement.terms])),
+    visaSummary: result.visaSummary
+  };
+}
+
+test.describe('recruiter shorthand', () => {
+  test('"USC/GC only" is a restriction', () => {
+    const result = read('Senior Java Developer, Dallas TX. USC/GC only.');
+    assert.equal(result.status, 'restricted');
+    assert.deepEqual(result.statements, [['exclusive', ['usc', 'gc']]]);
+  });
+
+  test('"GC-EAD" welcome lists name candidates who need no sponsorship', () => {
+    const result = read('Contract role, 12 months. GC-EAD welcome.');
+    assert.equal(result.status, 'unclear');
+    assert.deepEqual(result.statements, [['included', ['gcEad']]]);
+    assert.ok(Analyzer.analyze('GC-EAD welcome.').score < 0);
+  });
+
+  test('"EAD holders" welcome lists name candidates who need no sponsorship', () => {
+    const result = read('Data analyst, hybrid in Chicago. EAD holders welcome.');
+    assert.equal(result.status, 'unclear');
+    assert.deepEqual(result.statements, [['included', ['ead']]]);
+    assert.ok(Analyzer.analyze('EAD holders welcome.').score < 0);
+  });
+
+  test('"No H1B" excludes H-1B visas', () => {
+    const result = read('Python developer, remote. No H1B.');
+    assert.equal(result.status, 'no');
+    assert.deepEqual(result.statements, [['excluded', ['h1b']]]);
+    assert.equal(result.visaSummary, 'H-1B ✗ · H-1B transfer ✗');
+  });
+
+  test('"No C2C" and "W2 only" say nothing about sponsorship', () => {
+    ['No C2C.', 'W2 only.'].forEach(text => {
+      assert.equal(read(`QA engineer, 6 month contract. ${text}`).status, 'not_mentioned', text);
+    });
+    assert.deepEqual(read('No C2C.').statements, [['excluded', ['c2c']]]);
+    assert.deepEqual(read('W2 only.').statements, [['exclusive', ['w2']]]);
+  });
+
+  test('"H1B transfer OK" supports transfers', () => {
+    const result = read('DevOps engineer, onsite in Newark. H1B transfer OK.');
+    assert.equal(result.status, 'yes');
+    assert.deepEqual(result.statements, [['included', ['h1bTransfer']]]);
+    assert.equal(result.visaSummary, 'H-1B transfer ✓');
+  });
+
+  test('"OPT/CPT welcome" supports students', () => {
+    const result = read('Junior developer, entry level. OPT/CPT welcome.');
+    assert.deepEqual(result.statements, [['included', ['opt', 'cpt']]]);
+    assert.ok(Analyzer.analyze('OPT/CPT welcome.').score > 0);
+    assert.equal(result.visaSummary, 'OPT/CPT ✓');
+  });
+
+  test('slash lists are expanded into their terms', () => {
+    const only = read('Business analyst, W2. USC/GC/H4-EAD only.');
+    assert.equal(only.status, 'no');
+    assert.deepEqual(only.statements, [['exclusive', ['usc', 'gc', 'h4Ead']]]);
+
+    const welcome = read('USC/GC/H4-EAD welcome.');
+    assert.equal(welcome.status, 'unclear');
+    assert.deepEqual(welcome.statements, [['included', ['usc', 'gc', 'h4Ead']]]);
+
+    // A visa anywhere in a welcome list makes it an offer
+    assert.equal(read('GC-EAD/H1B welcome.').status, 'yes');
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * Recruiter Vocabulary
+ * Reads the shorthand staffing-agency postings use for work authorization ("USC/GC only", "No H1B",
+ * "OPT/CPT welcome", "No C2C") and maps each term to the visa types it includes or excludes
+ *
+ * Statements are found on PhraseGrammar tokens: a list of terms (slash, comma, "and" or "or"
+ * separated, so "USC/GC/H4-EAD" is three terms) with a qualifier before or after it.
+ */
+
+const RecruiterVocabulary = (function () {
+  'use strict';
+
+  // Shorthand terms. `group` says what kind of candidate the term describes:
+  //   citizen, permanentResident - never need sponsorship, and legally count as U.S. persons
+  //   ead                        - work authorized through a spouse or pending case, no sponsorship needed
+  //   student                    - OPT/CPT, work authorized now but usually needs sponsorship later
+  //   visa                       - needs the employer to sponsor or transfer a visa
+  //   employment                 - how the contract is set up (W2, C2C), not a work authorization
+  // `visas` are the Analyzer.VISA_TYPES rows the term covers. `listOnly` terms are also common words
+  // ("TN" is usually Tennessee) and only count next to other terms ("H1B/TN OK").
+  const TERMS = {
+    usc: { label: 'U.S. citizens', group: 'citizen', aliases: ['usc', 'uscs', 'us citizen', 'us citizens'], visas: [] },
+    gc: { label: 'green card holders', group: 'permanentResident', aliases: ['gc', 'gcs', 'gc holder', 'gc holders', 'green card', 'lpr'], visas: [] },
+    gcEad: { label: 'GC-EAD', group: 'ead', aliases: ['gc ead'], visas: [] },
+    h4Ead: { label: 'H4-EAD', group: 'ead', aliases: ['h-4 ead'], visas: [] },
+    l2Ead: { label: 'L2-EAD', group: 'ead', aliases: ['l-2 ead'], visas: [] },
+    ead: { label: 'EAD holders', group: 'ead', aliases: ['ead', 'eads', 'ead holder', 'ead holders'], visas: [] },
+    optEad: { label: 'OPT-EAD', group: 'student', aliases: ['opt ead'], visas: ['opt', 'stemOpt'] },
+    stemOpt: { label: 'STEM OPT', group: 'student', aliases: ['stem opt'], visas: ['stemOpt'] },
+    opt: { label: 'OPT', group: 'student', aliases: ['opt'], visas: ['opt'] },
+    cpt: { label: 'CPT', group: 'student', aliases: ['cpt'], visas: ['opt'] },
+    h1bTransfer: { label: 'H-1B transfer', group: 'visa', aliases: ['h-1b transfer', 'h-1b transfers', 'h-1b visa transfer'], visas: ['h1bTransfer'] },
+    h1b: { label: 'H-1B', group: 'visa', aliases: ['h-1b'], visas: ['h1bNew', 'h1bTransfer'] },
+    tn: { label: 'TN', group: 'visa', aliases: ['tn visa', 'tn visas', 'tn'], visas: ['tn'], listOnly: ['tn'] },
+    e3: { label: 'E-3', group: 'visa', aliases: ['e-3'], visas: ['e3'] },
+    o1: { label: 'O-1', group: 'visa', aliases: ['o-1'], visas: ['o1'] },
+    anyVisa: {
+      label: 'any visa',
+      group: 'visa',
+      aliases: ['any visa', 'all visas', 'any visa status', 'all visa types', 'any work authorization', 'all work authorizations'],
+      visas: ['h1bNew', 'h1bTransfer', 'opt', 'stemOpt', 'tn', 'e3', 'o1', 'greenCard']
+    },
+    c2c: { label: 'C2C', group: 'employment', aliases: ['c2c', 'corp to corp'], visas: [] },
+    w2: { label: 'W2', group: 'employment', aliases: ['w2'], visas: [] },
+    contract1099: { label: '1099', group: 'employment', aliases: ['1099'], visas: [] }
+  };
+
+  // Qualifiers that turn a list of terms into a statement, as phrases before or after the list
+  const QUALIFIERS = {
+    before: {
+      excluded: ['no', 'not', 'not accepting', 'we do not accept', 'we can not accept'],
+      exclusive: ['only', 'must be', 'visa :', 'visa status :', 'work authorization :', 'work status :', 'status :'],
+      included: ['accepting', 'we accept', 'open to', 'welcome']
+    },
+    after: {
+      excluded: [
+        'not accepted', 'not eligible', 'not considered', 'not allowed', 'not ok', 'need not apply',
+        'can not apply', 'will not be considered', 'are not accepted', 'are not eligible'
+      ],
+      exclusive: ['only'],
+      included: [
+        'ok', 'okay', 'fine', 'welcome', 'accepted', 'acceptable', 'eligible', 'considered', 'can apply',
+        'may apply', 'works', 'is ok', 'are ok', 'is fine', 'are welcome', 'is welcome', 'are accepted',
+        'is accepted', 'are eligible', 'will be considered', 'also ok'
+      ]
+    }
+  };
+
+  // Words allowed between a list and a qualifier after it ("GC holders only", "H1B candidates welcome")
+  const FILLERS = ['holder', 'holders', 'candidate', 'candidates', 'applicant', 'applicants', 'consultants', 'visa', 'visas', 'status', 'also'];
+
+  // Words after a term that make it part of an ordinary sentence ("no green card sponsorship")
+  const STATEMENT_BREAKERS = ['sponsorship', 'sponsorships', 'sponsor', 'sponsored', 'petition', 'petitions', 'process', 'application', 'lottery'];
+
+  // Tokens that join terms into one list ("/" is not a token, so "USC/GC" is already adjacent)
+  const LIST_SEPARATORS = [',', 'or', 'and'];
+
+  const TERM_ALIASES = Object.keys(TERMS)
+    .reduce((aliases, key) => aliases.concat(TERMS[key].aliases.map(alias => ({
+      key,
+      words: PhraseGrammar.normalize(alias).split(' '),
+      listOnly: (TERMS[key].listOnly || []).includes(alias)
+    }))), [])
+    .sort((a, b) => b.words.length - a.words.length);
+
+  const QUALIFIER_WORDS = {};
+  ['before', 'after'].forEach(position => {
+    QUALIFIER_WORDS[position] = [];
+    Object.keys(QUALIFIERS[position]).forEach(kind => {
+      QUALIFIERS[position][kind].forEach(phrase => {
+        QUALIFIER_WORDS[position].push({ kind, words: PhraseGrammar.normalize(phrase).split(' ') });
+      });
+    });
+    QUALIFIER_WORDS[position].sort((a, b) => b.words.length - a.words.length);
+  });
+
+  /**
+   * Check if tokens starting at an index spell the given words
+   * @param {Array<Object>} tokens - Tokens from PhraseGrammar.parse()
+   * @param {number} index - First token
+   * @param {Array<string>} words - Normalized words
+   * @returns {boolean}
+   */
+  function wordsAt(tokens, index, words) {
+    return index >= 0 && words.every((word, offset) => tokens[index + offset] && tokens[index + offset].text === word);
+  }
+
+  /**
+   * Match the longest term starting at a token
+   * @param {Array<Object>} tokens
+   * @param {number} index
+   * @returns {{key: string, length: number, listOnly: boolean}|null}
+   */
+  function termAt(tokens, index) {
+    const alias = TERM_ALIASES.find(candidate => wordsAt(tokens, index, candidate.words));
+    return alias ? { key: alias.key, length: alias.words.length, listOnly: alias.listOnly } : null;
+  }
+
+  /**
+   * Read a list of terms starting at a token
+   * @param {Array<Object>} tokens
+   * @param {number} index
+   * @returns {{terms: Array<string>, start: number, end: number}|null} - end is the index after the last term;
+   *   null when there is no term, or only one that needs company
+   */
+  function readList(tokens, index) {
+    let term = termAt(tokens, index);
+    if (!term) return null;
+
+    const first = term;
+    const terms = [];
+    let end = index;
+    while (term) {
+      if (!terms.includes(term.key)) terms.push(term.key);
+      end += term.length;
+
+      let next = end;
+      while (next < tokens.length && LIST_SEPARATORS.includes(tokens[next].text)) next++;
+      term = termAt(tokens, next);
+      if (term) end = next;
+    }
+
+    if (terms.length === 1 && first.listOnly) return null;
+    return { terms, start: index, end };
+  }
+
+  /**
+   * Find a qualifier right before a list
+   * @param {Array<Object>} tokens
+   * @param {number} start - First token of the list
+   * @returns {{kind: string, start: number}|null}
+   */
+  function qualifierBefore(tokens, start) {
+    const qualifier = QUALIFIER_WORDS.before.find(candidate =>
+      wordsAt(tokens, start - candidate.words.length, candidate.words)
+    );
+    return qualifier ? { kind: qualifier.kind, start: start - qualifier.words.length } : null;
+  }
+
+  /**
+   * Find a qualifier after a list, skipping words like "holders" and "candidates"
+   * @param {Array<Object>} tokens
+   * @param {number} end - Index after the last term of the list
+   * @returns {{kind: string, end: number}|null}
+   */
+  function qualifierAfter(tokens, end) {
+    let index = end;
+    while (index < tokens.length && FILLERS.includes(tokens[index].text)) index++;
+
+    const qualifier = QUALIFIER_WORDS.after.find(candidate => wordsAt(tokens, index, candidate.words));
+    return qualifier ? { kind: qualifier.kind, end: index + qualifier.words.length } : null;
+  }
+
+  /**
+   * Build a statement covering a token range
+   * @param {Object} parsed - PhraseGrammar.parse() result
+   * @param {string} kind - 'excluded', 'exclusive' or 'included'
+   * @param {Array<string>} terms - Term keys
+   * @param {number} first - First token index
+   * @param {number} last - Index after the last token
+   * @returns {Object} - { kind, terms, text, index, length }
+   */
+  function createStatement(parsed, kind, terms, first, last) {
+    const start = parsed.tokens[first].start;
+    const end = parsed.tokens[last - 1].end;
+    return { kind, terms, text: parsed.text.substring(start, end), index: start, length: end - start };
+  }
+
+  /**
+   * Find shorthand statements in parsed text
+   * "No H1B" -> excluded, "USC/GC only" -> exclusive, "H1B transfer OK" -> included.
+   * A list with conflicting qualifiers on both sides ("No C2C, OPT welcome") gives the first term
+   * to the qualifier before it and the rest to the qualifier after it.
+   * @param {Object} parsed - PhraseGrammar.parse() result
+   * @returns {Array<Object>} - Statements: { kind, terms, text, index, length }
+   */
+  function findStatements(parsed) {
+    const tokens = parsed.tokens;
+    const statements = [];
+    let index = 0;
+
+    while (index < tokens.length) {
+      const list = readList(tokens, index);
+      if (!list) {
+        index++;
+        continue;
+      }
+
+      if (list.end < tokens.length && STATEMENT_BREAKERS.includes(tokens[list.end].text)) {
+        index = list.end;
+        continue;
+      }
+
+      const before = qualifierBefore(tokens, list.start);
+      const after = qualifierAfter(tokens, list.end);
+
+      if (before && after && before.kind !== after.kind && list.terms.length > 1) {
+        const firstTerm = termAt(tokens, list.start);
+        statements.push(createStatement(parsed, before.kind, list.terms.slice(0, 1), before.start, list.start + firstTerm.length));
+        statements.push(createStatement(parsed, after.kind, list.terms.slice(1), list.start + firstTerm.length, after.end));
+      } else if (before || after) {
+        // A negation before the list wins over anything after it ("No H1B candidates considered")
+        const kind = before && (before.kind === 'excluded' || !after) ? before.kind : after.kind;
+        statements.push(createStatement(parsed, kind, list.terms, before ? before.start : list.start, after ? after.end : list.end));
+      }
+
+      index = Math.max(list.end, after ? after.end : 0);
+    }
+
+    // Separators between the two halves of a split list are not part of either statement
+    statements.forEach(statement => {
+      const trimmed = statement.text.replace(/^[\s,/]+/, '');
+      statement.index += statement.text.length - trimmed.length;
+      statement.length = trimmed.length;
+      statement.text = trimmed;
+    });
+
+    return statements;
+  }
+
+  /**
+   * Get the groups of the non-employment terms in a statement
+   * @param {Object} statement
+   * @returns {Array<string>}
+   */
+  function getGroups(statement) {
+    return statement.terms
+      .map(key => TERMS[key].group)
+      .filter(group => group !== 'employment');
+  }
+
+  /**
+   * Decide which analyzer tier a statement counts toward
+   * @param {Object} statement - From findStatements()
+   * @returns {string|null} - Tier name, or null when it says nothing about sponsorship ("W2 only", "No GC")
+   */
+  function classifyStatement(statement) {
+    const groups = getGroups(statement);
+    if (groups.length === 0) return null;
+
+    const hasVisa = groups.includes('visa');
+    const hasStudent = groups.includes('student');
+
+    if (statement.kind === 'excluded') {
+      if (hasVisa) return 'strongNegative';
+      if (hasStudent) return 'moderateNegative';
+      return null;
+    }
+
+    if (statement.kind === 'exclusive') {
+      // "USC/GC only" is the shorthand for "U.S. citizens or permanent residents only"
+      if (groups.every(group => group === 'citizen' || group === 'permanentResident')) return 'restriction';
+      if (hasVisa) return 'strongPositive';
+      if (hasStudent) return 'moderatePositive';
+      return 'strongNegative';
+    }
+
+    if (hasVisa) return 'strongPositive';
+    if (hasStudent) return 'moderatePositive';
+    // "GC-EAD welcome", "EAD holders welcome": every candidate named is already authorized to work
+    return 'moderateNegative';
+  }
+
+  /**
+   * Get the visa rows a statement supports or excludes
+   * @param {Object} statement - From findStatements()
+   * @param {Array<string>} visaTypes - Every visa row key
+   * @returns {{supported: Array<string>, excluded: Array<string>, implied: Array<string>}} - implied rows are
+   *   excluded only because an "only" list leaves them out
+   */
+  function getVisaVerdicts(statement, visaTypes) {
+    // "W2 only" is about the employment arrangement, not who can be hired
+    if (getGroups(statement).length === 0) return { supported: [], excluded: [], implied: [] };
+
+    const named = [];
+    statement.terms.forEach(key => {
+      TERMS[key].visas.forEach(visa => {
+        if (!named.includes(visa)) named.push(visa);
+      });
+    });
+
+    if (statement.kind === 'excluded') {
+      return { supported: [], excluded: named, implied: [] };
+    }
+    if (statement.kind === 'exclusive') {
+      return { supported: named, excluded: [], implied: visaTypes.filter(visa => !named.includes(visa)) };
+    }
+    return { supported: named, excluded: [], implied: [] };
+  }
+
+  /**
+   * Describe a statement in plain words, e.g. "Only U.S. citizens, green card holders"
+   * @param {Object} statement - From findStatements()
+   * @returns {string}
+   */
+  function describeStatement(statement) {
+    const labels = statement.terms.map(key => TERMS[key].label).join(', ');
+    if (statement.kind === 'excluded') return `No ${labels}`;
+    if (statement.kind === 'exclusive') return `Only ${labels}`;
+    return `${labels} accepted`;
+  }
+
+  // Public API
+  return {
+    findStatements,
+    classifyStatement,
+    getVisaVerdicts,
+    describeStatement,
+    TERMS,
+    QUALIFIERS
+  };
+})();